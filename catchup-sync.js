@@ -0,0 +1,152 @@
+// catchup-sync.js - Recover messages posted while the bot was offline
+const { getGuildConfig } = require('./guild-config');
+const { isChannelExcluded } = require('./channel-exclusion');
+const monitor = require('./monitor');
+const { fetchMessagesAfter } = require('./exportguild');
+const { getFormattedDateTime, dbAll, dbGet } = require('./utils');
+
+/**
+ * Pick the message ID to resume a channel from. Live messages are stored without
+ * moving lastMessageId, so the newest archived message is usually a closer starting point.
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} channelRow - Row from the channels table
+ * @returns {Promise<string>}
+ */
+async function getResumePoint(db, channelRow) {
+  const newest = await dbGet(db, `
+    SELECT id FROM messages
+    WHERE channelId = ?
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `, [channelRow.id]);
+
+  if (newest && BigInt(newest.id) > BigInt(channelRow.lastMessageId)) {
+    return newest.id;
+  }
+  return channelRow.lastMessageId;
+}
+
+/**
+ * Fetch and store the messages a single channel missed
+ * @param {Channel} channel - The Discord channel
+ * @param {string} afterId - Message ID to resume after
+ * @returns {Promise<number>} Number of messages stored
+ */
+async function catchUpChannel(channel, afterId) {
+  const { messages, highestMessageId } = await fetchMessagesAfter(channel, afterId);
+  if (messages.length === 0) {
+    return 0;
+  }
+
+  // Bot messages are never archived, matching exports and live monitoring
+  const nonBotMessages = messages.filter(message => !message.author.bot);
+  const batchSize = getGuildConfig(channel.guildId, 'dbBatchSize') || 100;
+  for (let i = 0; i < nonBotMessages.length; i += batchSize) {
+    await monitor.storeMessagesInDbBatch(nonBotMessages.slice(i, i + batchSize));
+  }
+
+  await monitor.markChannelFetchingCompleted(channel.guildId, channel.id, highestMessageId);
+  return nonBotMessages.length;
+}
+
+/**
+ * Post the catch-up summary to the configured log channel
+ * @param {Client} client - Discord client
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} summary - Result of catchUpGuild
+ */
+async function sendCatchupReport(client, guild, summary) {
+  const logChannelId = getGuildConfig(guild.id, 'catchupLogChannel');
+  if (!logChannelId || summary.recovered === 0) return;
+
+  try {
+    const logChannel = await client.channels.fetch(logChannelId);
+    if (!logChannel) return;
+
+    const lines = summary.channels
+      .filter(result => result.recovered > 0)
+      .map(result => `• <#${result.channelId}>: ${result.recovered.toLocaleString()}`);
+
+    let description = lines.join('\n');
+    if (description.length > 4000) {
+      description = `${description.substring(0, 4000)}\n…`;
+    }
+
+    await logChannel.send({
+      embeds: [{
+        title: '🔄 Startup Catch-up',
+        description: `Recovered ${summary.recovered.toLocaleString()} messages posted while the bot was offline.\n\n${description}`,
+        fields: [
+          { name: 'Guild', value: guild.name, inline: true },
+          { name: 'Channels Checked', value: String(summary.checked), inline: true },
+          { name: 'Errors', value: String(summary.errors), inline: true }
+        ],
+        footer: { text: `Time: ${getFormattedDateTime()}` }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    console.error(`[${getFormattedDateTime()}] Error sending catch-up report:`, error);
+  }
+}
+
+/**
+ * Backfill every archived channel of a guild from its last known message to now
+ * @param {Guild} guild - The Discord guild
+ * @returns {Promise<Object>} { checked, recovered, errors, channels: [{channelId, name, recovered}] }
+ */
+async function catchUpGuild(guild) {
+  const db = monitor.getDatabase(guild.id);
+  if (!db) {
+    throw new Error(`Database not initialized for guild ${guild.id}`);
+  }
+
+  const rows = await dbAll(db, `
+    SELECT id, name, lastMessageId
+    FROM channels
+    WHERE lastMessageId IS NOT NULL AND COALESCE(deleted, 0) = 0
+  `);
+
+  const summary = { checked: 0, recovered: 0, errors: 0, channels: [] };
+  console.log(`[${getFormattedDateTime()}] Starting catch-up sync for ${rows.length} channels in ${guild.name} (${guild.id})`);
+
+  for (const row of rows) {
+    if (!/^\d+$/.test(row.lastMessageId)) {
+      continue;
+    }
+
+    const channel = await guild.client.channels.fetch(row.id).catch(() => null);
+    if (!channel || channel.guildId !== guild.id || !channel.isTextBased()) {
+      console.log(`Skipping catch-up for ${row.name} (${row.id}) - channel is not accessible`);
+      continue;
+    }
+    if (isChannelExcluded(channel)) {
+      continue;
+    }
+
+    summary.checked++;
+    try {
+      const afterId = await getResumePoint(db, row);
+      const recovered = await catchUpChannel(channel, afterId);
+      summary.recovered += recovered;
+      summary.channels.push({ channelId: channel.id, name: channel.name, recovered });
+
+      if (recovered > 0) {
+        console.log(`Catch-up recovered ${recovered} messages in ${channel.name} (${channel.id})`);
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`Error catching up channel ${channel.name} (${channel.id}):`, error);
+    }
+  }
+
+  console.log(`[${getFormattedDateTime()}] Catch-up sync for ${guild.name} complete: ` +
+    `${summary.recovered} messages recovered across ${summary.checked} channels (${summary.errors} errors)`);
+
+  await sendCatchupReport(guild.client, guild, summary);
+  return summary;
+}
+
+module.exports = {
+  catchUpGuild
+};
@@ -0,0 +1,107 @@
+// channel-exclusion.js - Decide whether a channel is excluded from export and monitoring
+const { getGuildConfig, compileNamePattern, CHANNEL_TYPE_NAMES } = require('./guild-config');
+
+// Compiled name patterns keyed by pattern text; null for patterns that no longer compile
+const compiledPatterns = new Map();
+
+/**
+ * Get the compiled regular expression for a name pattern
+ * @param {string} pattern - Pattern text
+ * @returns {RegExp|null}
+ */
+function getCompiledPattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    try {
+      compiledPatterns.set(pattern, compileNamePattern(pattern));
+    } catch (error) {
+      console.error(`Ignoring invalid channel name pattern ${pattern}: ${error.message}`);
+      compiledPatterns.set(pattern, null);
+    }
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * The channel followed by the channels it inherits rules from:
+ * a thread's parent channel and the category above that
+ * @param {Channel} channel - Guild channel or thread
+ * @returns {{lineage: Channel[], ids: string[]}} Resolved channels, and the IDs including uncached parents
+ */
+function getChannelLineage(channel) {
+  const lineage = [];
+  const ids = [];
+  let current = channel;
+
+  while (current) {
+    lineage.push(current);
+    ids.push(current.id);
+    if (current.parentId && !current.parent) {
+      ids.push(current.parentId);
+    }
+    current = current.parent;
+  }
+
+  return { lineage, ids };
+}
+
+/**
+ * Explain why a channel is excluded. Rules for a channel also apply to its threads,
+ * and rules for a category to everything in it.
+ * @param {Channel} channel - Guild channel or thread
+ * @returns {string|null} The reason, or null when the channel is archived
+ */
+function getExclusionReason(channel) {
+  const guildId = channel.guildId || channel.guild?.id;
+  const excludedChannels = new Set(getGuildConfig(guildId, 'excludedChannels'));
+  const excludedTypes = getGuildConfig(guildId, 'excludedChannelTypes');
+  const patterns = getGuildConfig(guildId, 'excludedNamePatterns');
+  const includedChannels = getGuildConfig(guildId, 'includedChannels');
+  const { lineage, ids } = getChannelLineage(channel);
+
+  for (const current of lineage) {
+    const inherited = current === channel ? '' : ` (inherited from ${current.name})`;
+
+    if (excludedChannels.has(current.id)) {
+      return `excluded by ID${inherited}`;
+    }
+
+    const typeName = excludedTypes.find(name => (CHANNEL_TYPE_NAMES[name] || []).includes(current.type));
+    if (typeName) {
+      return `channel type ${typeName} is excluded${inherited}`;
+    }
+
+    const pattern = patterns.find(text => {
+      const regex = getCompiledPattern(text);
+      return regex && current.name && regex.test(current.name);
+    });
+    if (pattern) {
+      return `name matches ${pattern}${inherited}`;
+    }
+  }
+
+  // Parents missing from the cache can still be matched by ID
+  const uncachedParentId = ids.find(id => !lineage.some(current => current.id === id) && excludedChannels.has(id));
+  if (uncachedParentId) {
+    return `excluded by ID (inherited from ${uncachedParentId})`;
+  }
+
+  if (includedChannels.length > 0 && !ids.some(id => includedChannels.includes(id))) {
+    return 'not in the include-only list';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a channel is excluded from export and monitoring
+ * @param {Channel} channel - Guild channel or thread
+ * @returns {boolean}
+ */
+function isChannelExcluded(channel) {
+  return getExclusionReason(channel) !== null;
+}
+
+module.exports = {
+  getExclusionReason,
+  isChannelExcluded
+};
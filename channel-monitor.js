@@ -1,6 +1,7 @@
 // channel-monitor.js - Module to monitor channel creation and deletion events
 const { ChannelType } = require('discord.js');
-const config = require('./config');
+const { getGuildConfig } = require('./guild-config');
+const { getExclusionReason } = require('./channel-exclusion');
 const monitor = require('./monitor');
 
 /**
@@ -22,9 +23,10 @@ function initializeChannelMonitoring(client) {
         return;
       }
 
-      // Check if channel is excluded
-      if (config.excludedChannels.includes(channel.id)) {
-        console.log(`[${getFormattedDateTime()}] Ignoring excluded channel: ${channel.name} (${channel.id})`);
+      // Check if channel is excluded, directly or through its category
+      const exclusionReason = getExclusionReason(channel);
+      if (exclusionReason) {
+        console.log(`[${getFormattedDateTime()}] Ignoring excluded channel: ${channel.name} (${channel.id}) - ${exclusionReason}`);
         return;
       }
 
@@ -37,15 +39,15 @@ function initializeChannelMonitoring(client) {
       console.log(`[${getFormattedDateTime()}] New channel detected: ${channel.name} (${channel.id})`);
 
       // Only process if a database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(channel.guild);
+      const dbExists = monitor.hasDatabase(channel.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping new channel tracking - no database for guild ${channel.guild.name}`);
         return;
       }
 
       // Add channel to monitoring
-      await monitor.markChannelFetchingStarted(channel.id, channel.name);
-      await monitor.markChannelFetchingCompleted(channel.id);
+      await monitor.markChannelFetchingStarted(channel.guild.id, channel.id, channel.name);
+      await monitor.markChannelFetchingCompleted(channel.guild.id, channel.id);
       console.log(`[${getFormattedDateTime()}] Added new channel to monitoring: ${channel.name} (${channel.id})`);
 
       // Optionally send a notification to a designated log channel
@@ -65,7 +67,7 @@ client.on('channelDelete', async (channel) => {
     console.log(`[${getFormattedDateTime()}] Channel deleted: ${channel.name} (${channel.id})`);
     
     // Mark the channel as deleted in the database
-    await markChannelAsDeleted(channel.id, channel.name);
+    await markChannelAsDeleted(channel.guild.id, channel.id, channel.name);
     
     // Optionally send a notification to a designated log channel
     await sendNotification(client, channel, 'deleted');
@@ -84,9 +86,10 @@ module.exports = {
   // Listen for thread creation events
   client.on('threadCreate', async (thread) => {
     try {
-      // Check if thread is excluded
-      if (config.excludedChannels.includes(thread.id)) {
-        console.log(`[${getFormattedDateTime()}] Ignoring excluded thread: ${thread.name} (${thread.id})`);
+      // Check if thread is excluded, directly or through its parent channel
+      const exclusionReason = getExclusionReason(thread);
+      if (exclusionReason) {
+        console.log(`[${getFormattedDateTime()}] Ignoring excluded thread: ${thread.name} (${thread.id}) - ${exclusionReason}`);
         return;
       }
 
@@ -99,15 +102,15 @@ module.exports = {
       console.log(`[${getFormattedDateTime()}] New thread detected: ${thread.name} (${thread.id})`);
 
       // Only process if a database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(thread.guild);
+      const dbExists = monitor.hasDatabase(thread.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping new thread tracking - no database for guild ${thread.guild.name}`);
         return;
       }
 
       // Add thread to monitoring
-      await monitor.markChannelFetchingStarted(thread.id, thread.name);
-      await monitor.markChannelFetchingCompleted(thread.id);
+      await monitor.markChannelFetchingStarted(thread.guild.id, thread.id, thread.name);
+      await monitor.markChannelFetchingCompleted(thread.guild.id, thread.id);
       console.log(`[${getFormattedDateTime()}] Added new thread to monitoring: ${thread.name} (${thread.id})`);
 
       // Optionally send a notification to a designated log channel
@@ -119,9 +122,9 @@ module.exports = {
   });
 }
 
-async function markChannelAsDeleted(channelId, channelName) {
+async function markChannelAsDeleted(guildId, channelId, channelName) {
   try {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guildId);
     if (!db) {
       console.log(`No database available to mark channel ${channelName} (${channelId}) as deleted`);
       return false;
@@ -194,7 +197,7 @@ function canAccessChannel(channel) {
  */
 async function sendNotification(client, channel, action, isThread = false) {
   // Check if log channel is configured
-  const logChannelId = config.getConfig('channelMonitorLogChannel', 'CHANNEL_MONITOR_LOG');
+  const logChannelId = getGuildConfig(channel.guild.id, 'channelMonitorLogChannel');
   if (!logChannelId) return;
 
   try {
@@ -241,4 +244,4 @@ function getFormattedDateTime() {
 
 module.exports = {
   initializeChannelMonitoring
-};
\ No newline at end of file
+};
\ No newline at end of file
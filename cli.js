@@ -0,0 +1,486 @@
+// cli.js - Offline command-line tool for querying, exporting and maintaining guild databases
+
+// Keep stdout for command output; dotenv and the library modules log with console.log
+if (require.main === module) {
+  console.log = (...args) => console.error(...args);
+}
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const monitor = require('./monitor');
+const { MIGRATIONS, runMigrations, getSchemaVersion } = require('./migrations');
+const { collectMessageStats, parseMessageStatsArgs, describeWindow } = require('./message-stats');
+const { searchMessages, parseSearchQuery } = require('./search');
+const { exportMessagesToNDJSON } = require('./process-data');
+const { exportTableToCsv, parseCsvArgs } = require('./csv-export');
+const { exportChannelToHtml } = require('./html-export');
+const { vacuumDatabase } = require('./vacuum');
+const { buildExportFilePath, formatFileSize } = require('./export-utils');
+const { parseChannelReference, dbAll, dbGet } = require('./utils');
+
+const USAGE = `Usage: node cli.js <command> <database> [options]
+
+<database> is a .db file, or a guild ID to use that guild's newest database in the current directory.
+
+Commands:
+  stats <database> [--days N | --from YYYY-MM-DD --to YYYY-MM-DD | --all] [--channel ID] [--top N]
+  search <database> <query> [--page N] [--limit N]
+      query supports from:<userId> in:<channelId> before:YYYY-MM-DD after:YYYY-MM-DD
+  export <database> ndjson [--out FILE]
+  export <database> csv [table ...] [--columns table=col1,col2 ...] [--flatten] [--out DIRECTORY]
+  export <database> html --channel ID [--out FILE]
+  channels <database>
+  check <database> [--quick]
+  vacuum <database>
+
+Add --json to stats, search, channels and check for machine-readable output.
+stats, search, export, channels and vacuum refuse files with an older schema; add --migrate to upgrade
+such a file first. Apart from vacuum, commands open the database read-only. check never modifies the file.`;
+
+// Rows listed per section in the stats report unless --top is given
+const DEFAULT_TOP = 10;
+
+// Search results shown per page unless --limit is given
+const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * Write command output to stdout
+ * @param {string} text - Text to print
+ */
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Remove an option and its value from the argument list
+ * @param {string[]} args - Arguments, modified in place
+ * @param {string} name - Option name, e.g. "--out"
+ * @returns {string|null} The value, or null when the option is absent
+ */
+function takeOption(args, name) {
+  const index = args.findIndex(arg => arg.toLowerCase() === name);
+  if (index === -1) return null;
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`${name} needs a value`);
+  }
+  args.splice(index, 2);
+  return value;
+}
+
+/**
+ * Remove a flag from the argument list
+ * @param {string[]} args - Arguments, modified in place
+ * @param {string} name - Flag name, e.g. "--json"
+ * @returns {boolean} Whether the flag was present
+ */
+function takeFlag(args, name) {
+  const index = args.findIndex(arg => arg.toLowerCase() === name);
+  if (index === -1) return false;
+  args.splice(index, 1);
+  return true;
+}
+
+/**
+ * Parse a positive whole number option
+ * @param {string|null} value - Option value
+ * @param {string} name - Option name for the error message
+ * @param {number} fallback - Value when the option is absent
+ * @returns {number}
+ */
+function parsePositiveInt(value, name, fallback) {
+  if (value === null) return fallback;
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Find the database file a command refers to
+ * @param {string} reference - File path or guild ID
+ * @returns {string} Absolute path of the database file
+ */
+function resolveDatabasePath(reference) {
+  if (fs.existsSync(reference)) {
+    return path.resolve(reference);
+  }
+  if (/^\d+$/.test(reference)) {
+    const filePath = monitor.findDatabaseFile({ id: reference, name: reference });
+    if (filePath) return filePath;
+    throw new Error(`No database found for guild ${reference} in ${process.cwd()}`);
+  }
+  throw new Error(`Database file ${reference} not found`);
+}
+
+/**
+ * Open an existing database, run a function and close it again.
+ * Without migrate the file is opened read-only and must already have the current schema.
+ * @param {string} dbPath - Database file
+ * @param {Function} fn - Called with the open connection
+ * @param {Object} options - { migrate: upgrade the schema first, checkSchema: false to skip the version check }
+ * @returns {Promise<*>} What fn returns
+ */
+async function withDatabase(dbPath, fn, { migrate = false, checkSchema = true } = {}) {
+  const mode = migrate ? sqlite3.OPEN_READWRITE : sqlite3.OPEN_READONLY;
+  const db = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, mode, err => {
+      if (err) reject(new Error(`Cannot open ${dbPath}: ${err.message}`));
+      else resolve(connection);
+    });
+  });
+
+  try {
+    if (migrate) {
+      await runMigrations(db);
+    } else if (checkSchema) {
+      const version = await getSchemaVersion(db);
+      const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+      if (version < latest) {
+        throw new Error(`${path.basename(dbPath)} has schema version ${version}, but this version of the bot needs ${latest}. ` +
+          'Run the command again with --migrate to upgrade the file (make a copy first if it is a backup).');
+      }
+    }
+    return await fn(db);
+  } finally {
+    await new Promise(resolve => db.close(() => resolve()));
+  }
+}
+
+/**
+ * Read a value stored in guild_metadata
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} key - Metadata key
+ * @returns {Promise<string|null>}
+ */
+async function getMetadata(db, key) {
+  const row = await dbGet(db, `SELECT value FROM guild_metadata WHERE key = ?`, [key]);
+  return row ? row.value : null;
+}
+
+/**
+ * node cli.js stats <database> [options]
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { json }
+ * @returns {Promise<number>} Exit code
+ */
+async function runStats(dbPath, args, flags) {
+  const top = parsePositiveInt(takeOption(args, '--top'), '--top', DEFAULT_TOP);
+  const options = parseMessageStatsArgs(['stats', ...args]);
+
+  return withDatabase(dbPath, async db => {
+    const stats = await collectMessageStats(db, options);
+    if (flags.json) {
+      print(JSON.stringify({ window: describeWindow(options), ...stats }, null, 2));
+      return 0;
+    }
+
+    const { totals } = stats;
+    print(`Messages (${describeWindow(options)}): ${totals.messages.toLocaleString()} from ${totals.authors.toLocaleString()} authors in ${totals.channels.toLocaleString()} channels`);
+    print(`With attachments: ${totals.withAttachments.toLocaleString()}, deleted: ${totals.deleted.toLocaleString()}`);
+
+    print('\nTop channels:');
+    for (const row of stats.channels.slice(0, top)) {
+      print(`  ${String(row.messages).padStart(9)}  #${row.label || 'unknown'} (${row.key})`);
+    }
+    print('\nTop authors:');
+    for (const row of stats.users.slice(0, top)) {
+      print(`  ${String(row.messages).padStart(9)}  ${row.label || 'unknown'} (${row.key})`);
+    }
+    print('\nMessages per hour (UTC):');
+    for (const row of stats.hours) {
+      print(`  ${String(row.key).padStart(2, '0')}:00  ${row.messages.toLocaleString()}`);
+    }
+    return 0;
+  }, { migrate: flags.migrate });
+}
+
+/**
+ * node cli.js search <database> <query> [options]
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { json }
+ * @returns {Promise<number>} Exit code
+ */
+async function runSearch(dbPath, args, flags) {
+  const page = parsePositiveInt(takeOption(args, '--page'), '--page', 1);
+  const limit = parsePositiveInt(takeOption(args, '--limit'), '--limit', DEFAULT_SEARCH_LIMIT);
+  const query = parseSearchQuery(args.join(' '));
+
+  return withDatabase(dbPath, async db => {
+    const { total, results } = await searchMessages(db, query, page - 1, limit);
+    if (flags.json) {
+      print(JSON.stringify({ total, page, results }, null, 2));
+      return 0;
+    }
+
+    const channelNames = new Map((await dbAll(db, `SELECT id, name FROM channels`)).map(row => [row.id, row.name]));
+    const pageCount = Math.max(1, Math.ceil(total / limit));
+    print(`${total.toLocaleString()} result(s), page ${page} of ${pageCount}`);
+    for (const row of results) {
+      const time = new Date(row.timestamp).toISOString().replace('T', ' ').substring(0, 16);
+      const deleted = row.deleted ? ' [deleted]' : '';
+      print(`\n${time}  #${channelNames.get(row.channelId) || row.channelId}  ${row.authorUsername || row.authorId}${deleted}  (${row.id})`);
+      print(`  ${(row.snippet || '').replace(/\s+/g, ' ')}`);
+    }
+    return 0;
+  }, { migrate: flags.migrate });
+}
+
+/**
+ * node cli.js export <database> ndjson|csv|html [options]
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { migrate }
+ * @returns {Promise<number>} Exit code
+ */
+async function runExport(dbPath, args, flags) {
+  const format = (args.shift() || '').toLowerCase();
+  const out = takeOption(args, '--out');
+  const onProgress = count => console.error(`  ${count.toLocaleString()} rows written...`);
+
+  if (format === 'ndjson') {
+    return withDatabase(dbPath, async db => {
+      const filePath = out ? path.resolve(out) : buildExportFilePath(dbPath, 'messages', 'ndjson');
+      const result = await exportMessagesToNDJSON(db, filePath, { onProgress });
+      print(`Wrote ${result.messageCount.toLocaleString()} messages to ${result.filePath} (${formatFileSize(fs.statSync(result.filePath).size)})`);
+      return 0;
+    }, { migrate: flags.migrate });
+  }
+
+  if (format === 'csv') {
+    const options = parseCsvArgs(['export', 'csv', ...args]);
+    if (out) {
+      fs.mkdirSync(out, { recursive: true });
+    }
+
+    return withDatabase(dbPath, async db => {
+      let failures = 0;
+      for (const table of options.tables) {
+        const filePath = out
+          ? path.resolve(out, `${path.basename(dbPath, '.db')}_${table}.csv`)
+          : buildExportFilePath(dbPath, `csv-${table}`, 'csv');
+        try {
+          const result = await exportTableToCsv(db, table, filePath, {
+            columns: options.columns[table],
+            flatten: options.flatten,
+            onProgress
+          });
+          print(`Wrote ${result.rowCount.toLocaleString()} ${table} rows to ${result.filePath}`);
+        } catch (error) {
+          failures++;
+          console.error(`Error exporting ${table}: ${error.message}`);
+        }
+      }
+      return failures > 0 ? 1 : 0;
+    }, { migrate: flags.migrate });
+  }
+
+  if (format === 'html') {
+    const channelId = parseChannelReference(takeOption(args, '--channel') || '');
+    if (!channelId) {
+      throw new Error('HTML transcripts need a channel: export <database> html --channel ID');
+    }
+
+    return withDatabase(dbPath, async db => {
+      const filePath = out ? path.resolve(out) : buildExportFilePath(dbPath, `transcript-${channelId}`, 'html');
+      const result = await exportChannelToHtml(db, {
+        channelId,
+        guildId: await getMetadata(db, 'guild_id'),
+        guildName: await getMetadata(db, 'guild_name') || path.basename(dbPath, '.db')
+      }, filePath);
+      print(`Wrote ${result.messageCount.toLocaleString()} messages from #${result.channelName} to ${result.filePath}`);
+      return 0;
+    }, { migrate: flags.migrate });
+  }
+
+  throw new Error('Export format must be ndjson, csv or html');
+}
+
+/**
+ * node cli.js channels <database>
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { json }
+ * @returns {Promise<number>} Exit code
+ */
+async function runChannels(dbPath, args, flags) {
+  return withDatabase(dbPath, async db => {
+    const channels = await dbAll(db, `
+      SELECT c.id, c.name, COALESCE(c.deleted, 0) AS deleted, COALESCE(c.historyComplete, 0) AS historyComplete,
+             COUNT(m.id) AS messages, MIN(m.timestamp) AS oldest, MAX(m.timestamp) AS newest
+      FROM channels c
+      LEFT JOIN messages m ON m.channelId = c.id
+      GROUP BY c.id
+      ORDER BY messages DESC, c.name
+    `);
+
+    if (flags.json) {
+      print(JSON.stringify({ channels }, null, 2));
+      return 0;
+    }
+
+    const formatDate = time => time ? new Date(time).toISOString().substring(0, 10) : '-';
+    print(`${channels.length} channel(s)`);
+    for (const channel of channels) {
+      const notes = [
+        channel.historyComplete ? 'full history' : null,
+        channel.deleted ? 'deleted' : null
+      ].filter(Boolean);
+      print(`  ${String(channel.messages).padStart(9)}  ${formatDate(channel.oldest)} .. ${formatDate(channel.newest)}  #${channel.name || 'unknown'} (${channel.id})${notes.length > 0 ? `  [${notes.join(', ')}]` : ''}`);
+    }
+    return 0;
+  }, { migrate: flags.migrate });
+}
+
+/**
+ * Compare the full-text index with the messages table using reads only.
+ * FTS5's own integrity-check command is a write, so it cannot run on a read-only connection.
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<string[]>} Problems found
+ */
+async function checkSearchIndex(db) {
+  const table = await dbGet(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'`);
+  if (!table) return [];
+
+  const { missing } = await dbGet(db, `
+    SELECT COUNT(*) AS missing FROM messages m
+    WHERE m.content IS NOT NULL AND m.content != ''
+      AND NOT EXISTS (SELECT 1 FROM messages_fts f WHERE f.rowid = CAST(m.id AS INTEGER))
+  `);
+  const { orphaned } = await dbGet(db, `
+    SELECT COUNT(*) AS orphaned FROM messages_fts f
+    WHERE NOT EXISTS (SELECT 1 FROM messages m WHERE CAST(m.id AS INTEGER) = f.rowid)
+  `);
+  const { stale } = await dbGet(db, `
+    SELECT COUNT(*) AS stale FROM messages m
+    JOIN messages_fts f ON f.rowid = CAST(m.id AS INTEGER)
+    WHERE f.content != m.content
+  `);
+
+  return [
+    missing > 0 ? `messages_fts: ${missing} message(s) missing from the search index` : null,
+    orphaned > 0 ? `messages_fts: ${orphaned} index row(s) without a message` : null,
+    stale > 0 ? `messages_fts: ${stale} index row(s) with outdated content` : null
+  ].filter(Boolean);
+}
+
+/**
+ * node cli.js check <database> [--quick]
+ * Opens the file read-only and skips migrations, so a damaged or old database is inspected as it is.
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { json }
+ * @returns {Promise<number>} Exit code: 1 when problems were found
+ */
+async function runCheck(dbPath, args, flags) {
+  const quick = takeFlag(args, '--quick');
+
+  return withDatabase(dbPath, async db => {
+    const problems = [];
+    try {
+      const rows = await dbAll(db, quick ? 'PRAGMA quick_check' : 'PRAGMA integrity_check');
+      problems.push(...rows.map(row => Object.values(row)[0]).filter(result => result !== 'ok'));
+    } catch (error) {
+      // A damaged schema can stop SQLite from running the check at all
+      problems.push(`${quick ? 'quick_check' : 'integrity_check'}: ${error.message}`);
+    }
+
+    // The search index is checked separately; SQLite's own check does not look inside FTS5 tables
+    try {
+      problems.push(...await checkSearchIndex(db));
+    } catch (error) {
+      problems.push(`messages_fts: ${error.message}`);
+    }
+
+    let schemaVersion = null;
+    try {
+      schemaVersion = await getSchemaVersion(db);
+    } catch (error) {
+      problems.push(`schema_version: ${error.message}`);
+    }
+
+    const result = {
+      database: dbPath,
+      size: fs.statSync(dbPath).size,
+      schemaVersion,
+      ok: problems.length === 0,
+      problems
+    };
+
+    if (flags.json) {
+      print(JSON.stringify(result, null, 2));
+    } else {
+      print(`${path.basename(dbPath)} (${formatFileSize(result.size)}, schema version ${result.schemaVersion ?? 'unknown'})`);
+      print(result.ok ? `✅ ${quick ? 'Quick check' : 'Integrity check'} passed` : `❌ ${problems.length} problem(s) found:`);
+      for (const problem of problems) {
+        print(`  ${problem}`);
+      }
+    }
+    return result.ok ? 0 : 1;
+  }, { checkSchema: false });
+}
+
+/**
+ * node cli.js vacuum <database> [--migrate]
+ * @param {string} dbPath - Database file
+ * @param {string[]} args - Remaining arguments
+ * @param {Object} flags - { migrate }
+ * @returns {Promise<number>} Exit code
+ */
+async function runVacuum(dbPath, args, flags) {
+  // Older schemas are only upgraded on request, like the other commands
+  await withDatabase(dbPath, async () => {}, { migrate: flags.migrate });
+  const result = await vacuumDatabase(dbPath);
+  print(`Vacuumed ${path.basename(dbPath)}: ${result.sizeBefore} MB -> ${result.sizeAfter} MB (saved ${result.spaceSaved} MB, ${result.percentSaved}%)`);
+  return 0;
+}
+
+const COMMANDS = {
+  stats: runStats,
+  search: runSearch,
+  export: runExport,
+  channels: runChannels,
+  check: runCheck,
+  vacuum: runVacuum
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after "node cli.js"
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command, databaseRef, ...rest] = argv;
+
+  if (!command || ['help', '--help', '-h'].includes(command)) {
+    print(USAGE);
+    return 0;
+  }
+  const handler = COMMANDS[command.toLowerCase()];
+  if (!handler || !databaseRef) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const args = [...rest];
+  const flags = { json: takeFlag(args, '--json'), migrate: takeFlag(args, '--migrate') };
+  return handler(resolveDatabasePath(databaseRef), args, flags);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,164 @@
+// config-commands.js - Per-guild settings commands (!config)
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const {
+  GUILD_SETTINGS,
+  CHANNEL_TYPE_NAMES,
+  getGuildConfig,
+  getSettingSource,
+  setGuildConfig,
+  resetGuildConfig,
+  parseSettingValue,
+  formatSettingValue
+} = require('./guild-config');
+const { splitMessageContent } = require('./utils');
+
+const CONFIG_USAGE = [
+  'Usage:',
+  '`!config list` - show every setting and where its value comes from',
+  '`!config get <setting>` - show one setting',
+  '`!config set <setting> <value>` - override a setting for this server',
+  '`!config reset <setting>` - go back to the default value'
+].join('\n');
+
+/**
+ * Find a setting by name, ignoring case
+ * @param {string} name - Setting name as typed
+ * @returns {string|null} The setting key
+ */
+function findSettingKey(name) {
+  if (!name) return null;
+  return Object.keys(GUILD_SETTINGS).find(key => key.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Describe the values a setting accepts
+ * @param {Object} setting - Entry of GUILD_SETTINGS
+ * @returns {string}
+ */
+function describeSettingType(setting) {
+  switch (setting.type) {
+    case 'boolean':
+      return 'true or false';
+    case 'integer':
+      if (setting.max !== undefined) return `whole number from ${setting.min} to ${setting.max}`;
+      return `whole number, at least ${setting.min}`;
+    case 'channel':
+      return 'a channel, or none';
+    case 'channelList':
+      return 'channels separated by spaces or commas, or none';
+    case 'patternList':
+      return 'channel name globs (ticket-*) or /regexes/ separated by spaces, or none';
+    case 'channelTypeList':
+      return `channel types separated by spaces or commas (${Object.keys(CHANNEL_TYPE_NAMES).join(', ')}), or none`;
+    default:
+      return setting.type;
+  }
+}
+
+/**
+ * Reject concurrency settings that would leave the minimum above the maximum
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting being changed
+ * @param {*} value - New value
+ */
+function checkConcurrencyBounds(guildId, key, value) {
+  const min = key === 'exportMinConcurrency' ? value : getGuildConfig(guildId, 'exportMinConcurrency');
+  const max = key === 'exportMaxConcurrency' ? value : getGuildConfig(guildId, 'exportMaxConcurrency');
+  if (min > max) {
+    throw new Error(`exportMinConcurrency (${min}) cannot be larger than exportMaxConcurrency (${max})`);
+  }
+}
+
+/**
+ * Send text that may exceed Discord's message limit without pinging anyone
+ * @param {Message} message - The command message
+ * @param {string} text - Text to send
+ */
+async function sendQuiet(message, text) {
+  for (const chunk of splitMessageContent(text)) {
+    await message.channel.send({ content: chunk, allowedMentions: { parse: [] } });
+  }
+}
+
+/**
+ * Handle !config list|get|set|reset
+ * @param {Message} message - The command message
+ * @param {string[]} args - Command arguments
+ */
+async function handleConfigCommand(message, args) {
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to change bot settings.');
+  }
+
+  const guildId = message.guildId;
+  const subCommand = args[1]?.toLowerCase() || 'list';
+
+  if (subCommand === 'list') {
+    const lines = [`**Settings for ${message.guild.name}**`];
+    for (const [key, setting] of Object.entries(GUILD_SETTINGS)) {
+      const value = formatSettingValue(key, getGuildConfig(guildId, key));
+      lines.push(`**${key}** = ${value} (${getSettingSource(guildId, key)})`);
+      lines.push(`  ${setting.description}`);
+    }
+    lines.push('', 'Sources: guild = set with !config, env = environment variable, default = config.js');
+    return sendQuiet(message, lines.join('\n'));
+  }
+
+  if (!['get', 'set', 'reset'].includes(subCommand)) {
+    return message.reply(CONFIG_USAGE);
+  }
+
+  const key = findSettingKey(args[2]);
+  if (!key) {
+    const known = Object.keys(GUILD_SETTINGS).map(name => `\`${name}\``).join(', ');
+    return message.reply(`${args[2] ? `Unknown setting "${args[2]}". ` : ''}Settings: ${known}`);
+  }
+  const setting = GUILD_SETTINGS[key];
+
+  if (subCommand === 'get') {
+    return sendQuiet(message, [
+      `**${key}** = ${formatSettingValue(key, getGuildConfig(guildId, key))} (${getSettingSource(guildId, key)})`,
+      setting.description,
+      `Accepts: ${describeSettingType(setting)}`,
+      `Environment variable: \`${setting.env}\``
+    ].join('\n'));
+  }
+
+  const db = monitor.getDatabase(guildId);
+  if (!db) {
+    return message.reply('The database for this server is not available, so settings cannot be saved.');
+  }
+
+  if (subCommand === 'set') {
+    if (args.length < 4) {
+      return message.reply(`Please provide a value for ${key} (${describeSettingType(setting)}).`);
+    }
+
+    let value;
+    try {
+      value = parseSettingValue(key, args.slice(3), message.guild);
+      if (['exportMinConcurrency', 'exportMaxConcurrency'].includes(key)) {
+        checkConcurrencyBounds(guildId, key, value);
+      }
+    } catch (error) {
+      return message.reply(`❌ ${error.message}`);
+    }
+
+    await setGuildConfig(db, guildId, key, value, message.author.id);
+    console.log(`Setting ${key} for guild ${guildId} changed to ${JSON.stringify(value)} by ${message.author.tag}`);
+    return sendQuiet(message, `✅ **${key}** is now ${formatSettingValue(key, value)} for this server.`);
+  }
+
+  // reset
+  const hadOverride = await resetGuildConfig(db, guildId, key);
+  if (!hadOverride) {
+    return message.reply(`${key} is not overridden for this server.`);
+  }
+  console.log(`Setting ${key} for guild ${guildId} reset by ${message.author.tag}`);
+  return sendQuiet(message, `✅ **${key}** is back to ${formatSettingValue(key, getGuildConfig(guildId, key))} (${getSettingSource(guildId, key)}).`);
+}
+
+module.exports = {
+  handleConfigCommand
+};
@@ -1,10 +1,9 @@
 // config.js - Configuration settings for the Discord guild export bot
-const fs = require('fs');
-const path = require('path');
 
-// Configuration object
+// Configuration object. Settings listed in guild-config.js are defaults that each guild
+// can override with !config; the overrides are stored in the guild's database.
 const config = {
-  // List of channel IDs to exclude from export
+  // List of channel and category IDs to exclude from export; threads follow their parent channel
   excludedChannels: [
     '1162761808541659208',
     '1162761859619885076',
@@ -22,6 +21,15 @@ const config = {
     '1142972007080808468'
   ],
   
+  // Channel names to exclude from export, as globs like "ticket-*" or /regexes/
+  excludedNamePatterns: [],
+  
+  // Channel types to exclude from export (text, announcement, voice, stage, forum, media, thread, private-thread)
+  excludedChannelTypes: [],
+  
+  // When not empty, only these channels and categories (and their threads) are exported
+  includedChannels: [],
+  
   // Export threshold - how many messages to process before auto-save
   exportThreshold: 1000,
   
@@ -67,6 +75,49 @@ const config = {
   // Number of members to process in each batch
 memberBatchSize: 100,
   
+  // Whether message edits and deletions are tracked (revision history and tombstones)
+  messageTrackingEnabled: true,
+  
+  // Whether reactions are tracked per user in the message_reactions table
+  reactionTrackingEnabled: true,
+  
+  // Whether slash commands are registered with Discord on startup
+  slashCommandsEnabled: true,
+  
+  // Whether commands can still be typed with the ! prefix
+  prefixCommandsEnabled: true,
+  
+  // Whether messages posted while the bot was offline are fetched on startup
+  startupCatchupEnabled: true,
+  
+  // Channel where the startup catch-up summary is posted (set to empty string to disable)
+  catchupLogChannel: "",
+  
+  // Channels fetched in parallel when an export starts; the export raises or lowers this
+  // between the minimum and maximum depending on how often Discord rate limits it
+  exportInitialConcurrency: 5,
+  exportMinConcurrency: 1,
+  exportMaxConcurrency: 25,
+  
+  // Directory (relative to the working directory) where export files are written
+  exportDirectory: "exports",
+  
+  // Largest export file in MB that will be uploaded to Discord instead of only saved on disk
+  attachmentSizeLimitMB: 8,
+  
+  // Read-only HTTP API over the guild databases; also needs HTTP_API_TOKEN in the environment
+  httpApiEnabled: false,
+  
+  // Address and port the HTTP API listens on
+  httpApiHost: "127.0.0.1",
+  httpApiPort: 8080,
+  
+  // Health check (/healthz) and Prometheus metrics (/metrics) on their own listener, independent of the HTTP API.
+  // /healthz needs no token; set METRICS_TOKEN to require it as a bearer token for /metrics
+  metricsEnabled: false,
+  metricsHost: "127.0.0.1",
+  metricsPort: 9464,
+  
   // Helper function to get environment variables or use defaults from this config
   getConfig: function(key, envName) {
     // If environment variable exists, use it, otherwise use config value
@@ -83,133 +134,7 @@ memberBatchSize: 100,
     }
     // Return the default config value
     return this[key];
-  },
-  
-  // Add a channel to the excluded channels list
-  addExcludedChannel: function(channelId) {
-    // Make sure we have a clean channel ID (no spaces, only the ID numbers)
-    channelId = channelId.trim();
-    
-    // Extract the ID if a URL or mention was provided
-    if (channelId.includes('/')) {
-      // Handle URL format (extract the last part of the URL)
-      channelId = channelId.split('/').pop();
-    } else if (channelId.startsWith('<#') && channelId.endsWith('>')) {
-      // Handle channel mention format (<#123456789>)
-      channelId = channelId.substring(2, channelId.length - 1);
-    }
-    
-    // Check if the channel is already in the list
-    if (!this.excludedChannels.includes(channelId)) {
-      this.excludedChannels.push(channelId);
-      this.saveConfig();
-      return true;
-    }
-    return false;
-  },
-  
-  // Remove a channel from the excluded channels list
-  removeExcludedChannel: function(channelId) {
-    // Clean up the channel ID input
-    channelId = channelId.trim();
-    
-    // Extract the ID if a URL or mention was provided
-    if (channelId.includes('/')) {
-      // Handle URL format
-      channelId = channelId.split('/').pop();
-    } else if (channelId.startsWith('<#') && channelId.endsWith('>')) {
-      // Handle channel mention format
-      channelId = channelId.substring(2, channelId.length - 1);
-    }
-    
-    // Find the index of the channel in the array
-    const index = this.excludedChannels.indexOf(channelId);
-    
-    // Remove the channel if found
-    if (index !== -1) {
-      this.excludedChannels.splice(index, 1);
-      this.saveConfig();
-      return true;
-    }
-    return false;
-  },
-  
-  // Save the current configuration to the config.js file
-  saveConfig: function() {
-    try {
-      // Get the path to this file
-      const configPath = path.resolve(__dirname, 'config.js');
-      
-      // Create a formatted representation of the excluded channels array
-      const channelsStr = this.excludedChannels
-        .map(id => `    '${id}'`)
-        .join(',\n');
-      
-      // Create the new file content
-      const fileContent = `// config.js - Configuration settings for the Discord guild export bot
-const fs = require('fs');
-const path = require('path');
-
-// Configuration object
-const config = {
-  // List of channel IDs to exclude from export
-  excludedChannels: [
-${channelsStr}
-  ],
-  
-  // Export threshold - how many messages to process before auto-save
-  exportThreshold: ${this.exportThreshold},
-  
-  // Memory limit in MB - default to 500MB
-  memoryLimitMB: ${this.memoryLimitMB},
-  
-  // Memory check interval in milliseconds (20 seconds)
-  memoryCheckInterval: ${this.memoryCheckInterval},
-  
-  // Auto-save interval in milliseconds (90 seconds)
-  autoSaveInterval: ${this.autoSaveInterval},
-  
-  // Message database timeout in milliseconds (1 hour)
-  messageDbTimeout: ${this.messageDbTimeout},
-  
-  // WAL entry retention time in milliseconds (7 days)
-  walRetentionTime: ${this.walRetentionTime},
-  
-  // Database batch insert size - how many messages to insert at once during export
-  dbBatchSize: ${this.dbBatchSize},
-  
-  // Monitor batch insert size - how many messages to insert at once during monitoring
-  monitorBatchSize: ${this.monitorBatchSize},
-  
-  // Status update interval in milliseconds
-  statusUpdateInterval: ${this.statusUpdateInterval},
-  
-  // How often to check the WAL for aged entries (in milliseconds)
-  walCheckInterval: ${this.walCheckInterval},
-  
-  // Helper function to get environment variables or use defaults from this config
-  getConfig: ${this.getConfig.toString()},
-  
-  // Add a channel to the excluded channels list
-  addExcludedChannel: ${this.addExcludedChannel.toString()},
-  
-  // Remove a channel from the excluded channels list
-  removeExcludedChannel: ${this.removeExcludedChannel.toString()},
-  
-  // Save the current configuration to the config.js file
-  saveConfig: ${this.saveConfig.toString()}
-};
-
-module.exports = config;`;
-      
-      // Write the file
-      fs.writeFileSync(configPath, fileContent, 'utf8');
-      return true;
-    } catch (error) {
-      console.error('Error saving config:', error);
-      return false;
-    }
   }
 };
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
\ No newline at end of file
@@ -0,0 +1,303 @@
+// csv-export.js - Export guild database tables to CSV files for spreadsheets and BI tools
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const { dbAll } = require('./utils');
+const {
+  parseJsonColumn,
+  streamRows,
+  writeToStream,
+  closeStream,
+  buildExportFilePath,
+  formatFileSize,
+  deliverExportFiles
+} = require('./export-utils');
+
+// Tables that can be exported, in the order they are exported by default
+const CSV_TABLES = ['messages', 'guild_members', 'member_roles', 'role_history', 'guild_roles'];
+
+// JSON columns that can be flattened into plain columns with --flatten
+const FLATTENERS = {
+  attachmentsJson: {
+    columns: ['attachment_count', 'attachment_filenames', 'attachment_urls'],
+    flatten: (value) => {
+      const attachments = parseJsonColumn(value, []);
+      return [
+        attachments.length,
+        attachments.map(att => att.filename).join('; '),
+        attachments.map(att => att.url).join('; ')
+      ];
+    }
+  },
+  reactionsJson: {
+    columns: ['reaction_total', 'reactions'],
+    flatten: (value) => {
+      const reactions = parseJsonColumn(value, []);
+      return [
+        reactions.reduce((total, reaction) => total + (reaction.count || 0), 0),
+        reactions.map(reaction => `${reaction.emoji}:${reaction.count}`).join('; ')
+      ];
+    }
+  },
+  mentions: {
+    columns: ['mention_ids', 'mention_usernames'],
+    flatten: (value) => {
+      const users = parseJsonColumn(value, []);
+      return [
+        users.map(user => user.id).join('; '),
+        users.map(user => user.username).join('; ')
+      ];
+    }
+  }
+};
+
+// How often to refresh the status message while exporting (in rows)
+const PROGRESS_INTERVAL = 50000;
+
+/**
+ * Quote a value for CSV output (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV line from a list of values
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing newline
+ */
+function toCsvRow(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+/**
+ * Get the column names of a table, or null if the table does not exist
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<string[]|null>}
+ */
+async function getTableColumns(db, table) {
+  const columns = await dbAll(db, `PRAGMA table_info(${table})`);
+  return columns.length > 0 ? columns.map(column => column.name) : null;
+}
+
+/**
+ * Stream one table to a CSV file
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} table - One of CSV_TABLES
+ * @param {string} filePath - Destination file
+ * @param {Object} options - Options
+ * @param {string[]} options.columns - Source columns to include (default: all)
+ * @param {boolean} options.flatten - Expand JSON columns into plain columns
+ * @param {Function} options.onProgress - Called with the running row count every PROGRESS_INTERVAL rows
+ * @returns {Promise<{table: string, rowCount: number, filePath: string}>}
+ */
+async function exportTableToCsv(db, table, filePath, options = {}) {
+  if (!CSV_TABLES.includes(table)) {
+    throw new Error(`Table ${table} cannot be exported. Available tables: ${CSV_TABLES.join(', ')}`);
+  }
+
+  const tableColumns = await getTableColumns(db, table);
+  if (!tableColumns) {
+    throw new Error(`Table ${table} does not exist in this database`);
+  }
+
+  const selectedColumns = options.columns && options.columns.length > 0 ? options.columns : tableColumns;
+  const unknownColumns = selectedColumns.filter(column => !tableColumns.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new Error(`Unknown column(s) for ${table}: ${unknownColumns.join(', ')}`);
+  }
+
+  // Work out the header, replacing flattened JSON columns with their derived columns
+  const header = [];
+  for (const column of selectedColumns) {
+    if (options.flatten && FLATTENERS[column]) {
+      header.push(...FLATTENERS[column].columns);
+    } else {
+      header.push(column);
+    }
+  }
+
+  const columnList = selectedColumns.map(column => `"${column}"`).join(', ');
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let rowCount = 0;
+
+  try {
+    // Byte order mark so spreadsheet applications detect UTF-8
+    await writeToStream(stream, '\ufeff' + toCsvRow(header));
+
+    await streamRows(db, (lastRow, pageSize) => ({
+      sql: `SELECT rowid AS rowNumber, ${columnList} FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?`,
+      params: [lastRow ? lastRow.rowNumber : 0, pageSize]
+    }), async (row) => {
+      const values = [];
+      for (const column of selectedColumns) {
+        if (options.flatten && FLATTENERS[column]) {
+          values.push(...FLATTENERS[column].flatten(row[column]));
+        } else {
+          values.push(row[column]);
+        }
+      }
+
+      await writeToStream(stream, toCsvRow(values));
+      rowCount++;
+
+      if (options.onProgress && rowCount % PROGRESS_INTERVAL === 0) {
+        await options.onProgress(rowCount);
+      }
+    });
+  } finally {
+    await closeStream(stream);
+  }
+
+  return { table, rowCount, filePath };
+}
+
+/**
+ * Parse the arguments of !exportguild csv
+ * Format: !exportguild csv [table ...] [--columns table=col1,col2 ...] [--flatten]
+ * @param {string[]} args - Command arguments
+ * @returns {{tables: string[], columns: Object, flatten: boolean}}
+ */
+function parseCsvArgs(args) {
+  const options = { tables: [], columns: {}, flatten: false };
+  let mode = 'tables';
+
+  for (const arg of args.slice(2)) {
+    const lowerArg = arg.toLowerCase();
+
+    if (lowerArg === '--flatten') {
+      options.flatten = true;
+      mode = 'tables';
+    } else if (lowerArg === '--columns') {
+      mode = 'columns';
+    } else if (mode === 'columns') {
+      const [table, columnList] = arg.split('=');
+      if (!columnList) {
+        throw new Error(`Invalid column selection "${arg}". Use table=col1,col2`);
+      }
+      options.columns[table.toLowerCase()] = columnList.split(',').map(column => column.trim()).filter(Boolean);
+    } else {
+      options.tables.push(lowerArg);
+    }
+  }
+
+  // Selecting columns for a table implies exporting it
+  for (const table of Object.keys(options.columns)) {
+    if (!options.tables.includes(table)) {
+      options.tables.push(table);
+    }
+  }
+
+  if (options.tables.length === 0) {
+    options.tables = [...CSV_TABLES];
+  }
+
+  const unknownTables = options.tables.filter(table => !CSV_TABLES.includes(table));
+  if (unknownTables.length > 0) {
+    throw new Error(`Unknown table(s): ${unknownTables.join(', ')}. Available tables: ${CSV_TABLES.join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Handle the !exportguild csv command
+ * @param {Message} message - The Discord message that triggered the command
+ * @param {string[]} args - Command arguments
+ */
+async function handleCsvExport(message, args) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let options;
+  try {
+    options = parseCsvArgs(args);
+  } catch (parseError) {
+    return message.reply(
+      `${parseError.message}\n` +
+      'Usage: `!exportguild csv [table ...] [--columns table=col1,col2] [--flatten]`'
+    );
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
+  if (!db || !fs.existsSync(dbPath)) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  const statusMessage = await message.channel.send(
+    `CSV Export Status\n` +
+    `🔄 Exporting ${options.tables.join(', ')}${options.flatten ? ' (flattened JSON columns)' : ''}...`
+  );
+
+  const startTime = Date.now();
+  const results = [];
+  const failures = [];
+
+  for (const table of options.tables) {
+    const filePath = buildExportFilePath(dbPath, `csv-${table}`, 'csv');
+
+    try {
+      const result = await exportTableToCsv(db, table, filePath, {
+        columns: options.columns[table],
+        flatten: options.flatten,
+        onProgress: async (count) => {
+          try {
+            await statusMessage.edit(
+              `CSV Export Status\n` +
+              `🔄 ${table}: written ${count.toLocaleString()} rows so far...`
+            );
+          } catch (editError) {
+            console.error('Error updating CSV status message:', editError);
+          }
+        }
+      });
+
+      console.log(`CSV export of ${table} complete: ${result.rowCount} rows written to ${result.filePath}`);
+      results.push(result);
+    } catch (error) {
+      console.error(`Error exporting ${table} to CSV:`, error);
+      failures.push(`${table}: ${error.message}`);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  let summary = `CSV Export Status\n`;
+
+  if (results.length > 0) {
+    summary += `✅ Exported ${results.length} table(s) in ${duration}s\n`;
+    summary += results.map(result =>
+      `• ${result.table}: ${result.rowCount.toLocaleString()} rows → \`${path.basename(result.filePath)}\` (${formatFileSize(fs.statSync(result.filePath).size)})`
+    ).join('\n');
+  } else {
+    summary += `❌ No tables were exported`;
+  }
+
+  if (failures.length > 0) {
+    summary += `\n⚠️ Skipped:\n` + failures.map(failure => `• ${failure}`).join('\n');
+  }
+
+  await deliverExportFiles(message, statusMessage, results.map(result => result.filePath), summary);
+}
+
+module.exports = {
+  CSV_TABLES,
+  handleCsvExport,
+  exportTableToCsv,
+  parseCsvArgs,
+  toCsvRow
+};
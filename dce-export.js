@@ -0,0 +1,416 @@
+// dce-export.js - Export archived channels in the JSON layout used by DiscordChatExporter
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const { parseChannelReference, dbAll, dbGet } = require('./utils');
+const {
+  parseJsonColumn,
+  streamRows,
+  writeToStream,
+  closeStream,
+  buildExportFilePath,
+  formatFileSize,
+  deliverExportFiles
+} = require('./export-utils');
+
+// Discord message type numbers mapped to DiscordChatExporter's MessageKind names
+const MESSAGE_KINDS = {
+  0: 'Default',
+  1: 'RecipientAdd',
+  2: 'RecipientRemove',
+  3: 'Call',
+  4: 'ChannelNameChange',
+  5: 'ChannelIconChange',
+  6: 'ChannelPinnedMessage',
+  7: 'GuildMemberJoin',
+  18: 'ThreadCreated',
+  19: 'Reply'
+};
+
+// Discord channel type numbers mapped to DiscordChatExporter's ChannelKind names
+const CHANNEL_KINDS = {
+  0: 'GuildTextChat',
+  2: 'GuildVoiceChat',
+  4: 'GuildCategory',
+  5: 'GuildNews',
+  10: 'GuildNewsThread',
+  11: 'GuildPublicThread',
+  12: 'GuildPrivateThread',
+  13: 'GuildStageVoice',
+  15: 'GuildForum'
+};
+
+/**
+ * Build the image URL DiscordChatExporter uses for an emoji
+ * @param {string|null} id - Custom emoji ID, or null for a unicode emoji
+ * @param {string} name - Emoji name (or the unicode characters)
+ * @param {boolean} animated - Whether a custom emoji is animated
+ * @returns {string} Image URL
+ */
+function getEmojiImageUrl(id, name, animated) {
+  if (id) {
+    return `https://cdn.discordapp.com/emojis/${id}.${animated ? 'gif' : 'png'}`;
+  }
+
+  // Twemoji file names are the code points joined by dashes, without variation selectors
+  // unless the emoji is a zero-width-joiner sequence
+  const codePoints = Array.from(name || '').map(char => char.codePointAt(0).toString(16));
+  const fileName = codePoints.includes('200d')
+    ? codePoints.join('-')
+    : codePoints.filter(codePoint => codePoint !== 'fe0f').join('-');
+  return `https://cdn.jsdelivr.net/gh/twitter/twemoji@latest/assets/svg/${fileName}.svg`;
+}
+
+/**
+ * Build a DiscordChatExporter emoji object
+ * @param {string|null} id - Custom emoji ID
+ * @param {string} name - Emoji name
+ * @param {boolean} animated - Whether the emoji is animated
+ * @returns {Object} Emoji object
+ */
+function formatEmoji(id, name, animated) {
+  return {
+    id: id || '',
+    name: name || '',
+    code: name || '',
+    isAnimated: !!animated,
+    imageUrl: getEmojiImageUrl(id, name, animated)
+  };
+}
+
+/**
+ * Create a cached lookup that turns user IDs into DiscordChatExporter user objects,
+ * using the member tracking tables when they are available
+ * @param {sqlite3.Database} db - Guild database connection
+ * @returns {Promise<Function>} async (userId, fallbackName, isBot) => user object
+ */
+async function createUserResolver(db) {
+  const cache = new Map();
+  const memberTable = await dbGet(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'guild_members'`);
+  const roleTable = await dbGet(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'member_roles'`);
+
+  return async (userId, fallbackName, isBot) => {
+    if (cache.has(userId)) {
+      return cache.get(userId);
+    }
+
+    const member = memberTable
+      ? await dbGet(db, `SELECT username, displayName, avatarURL, bot FROM guild_members WHERE id = ?`, [userId])
+      : null;
+    const roles = roleTable
+      ? await dbAll(db, `SELECT roleId, roleName, roleColor, rolePosition FROM member_roles WHERE memberId = ? ORDER BY rolePosition DESC`, [userId])
+      : [];
+
+    const coloredRole = roles.find(role => role.roleColor && role.roleColor !== '#000000');
+    const name = (member && member.username) || fallbackName || 'Unknown User';
+
+    const user = {
+      id: userId,
+      name,
+      discriminator: '0000',
+      nickname: (member && member.displayName) || name,
+      color: coloredRole ? coloredRole.roleColor : null,
+      isBot: member ? !!member.bot : !!isBot,
+      roles: roles.map(role => ({
+        id: role.roleId,
+        name: role.roleName,
+        color: role.roleColor && role.roleColor !== '#000000' ? role.roleColor : null,
+        position: role.rolePosition
+      })),
+      avatarUrl: (member && member.avatarURL) || `https://cdn.discordapp.com/embed/avatars/${Number(BigInt(userId) >> 22n) % 6}.png`
+    };
+
+    cache.set(userId, user);
+    return user;
+  };
+}
+
+/**
+ * Convert a stored embed into a DiscordChatExporter embed object
+ * @param {Object} embed - Embed as stored by extractMessageMetadata
+ * @returns {Object} Embed object
+ */
+function formatEmbed(embed) {
+  const color = typeof embed.color === 'number'
+    ? `#${embed.color.toString(16).padStart(6, '0').toUpperCase()}`
+    : null;
+
+  return {
+    title: embed.title || '',
+    url: embed.url || null,
+    timestamp: embed.timestamp || null,
+    description: embed.description || '',
+    color,
+    author: embed.author || null,
+    thumbnail: embed.thumbnail || null,
+    video: embed.video || null,
+    images: embed.image ? [embed.image] : [],
+    fields: (embed.fields || []).map(field => ({
+      name: field.name,
+      value: field.value,
+      isInline: !!field.inline
+    })),
+    footer: embed.footer || null
+  };
+}
+
+/**
+ * Convert a messages row into a DiscordChatExporter message object
+ * @param {Object} row - Row from the messages table
+ * @param {Function} resolveUser - Resolver from createUserResolver
+ * @returns {Promise<Object>} Message object
+ */
+async function formatDceMessage(row, resolveUser) {
+  const reference = parseJsonColumn(row.message_reference, null);
+
+  const mentions = [];
+  for (const user of parseJsonColumn(row.mentions, [])) {
+    mentions.push(await resolveUser(user.id, user.username, false));
+  }
+
+  const inlineEmojis = [];
+  const emojiPattern = /<(a?):(\w+):(\d+)>/g;
+  let match;
+  while ((match = emojiPattern.exec(row.content || '')) !== null) {
+    inlineEmojis.push(formatEmoji(match[3], match[2], match[1] === 'a'));
+  }
+
+  return {
+    id: row.id,
+    type: MESSAGE_KINDS[row.type] || 'Default',
+    timestamp: row.createdAt,
+    timestampEdited: row.edited_timestamp || null,
+    callEndedTimestamp: null,
+    isPinned: false,
+    content: row.content || '',
+    author: await resolveUser(row.authorId, row.authorUsername, row.authorBot),
+    attachments: parseJsonColumn(row.attachmentsJson, []).map(att => ({
+      id: att.id,
+      url: att.url,
+      fileName: att.filename,
+      fileSizeBytes: att.size
+    })),
+    embeds: parseJsonColumn(row.embedsJson, []).map(formatEmbed),
+    stickers: parseJsonColumn(row.sticker_items, []).map(sticker => ({
+      id: sticker.id,
+      name: sticker.name,
+      format: 'Png',
+      sourceUrl: `https://media.discordapp.net/stickers/${sticker.id}.png`
+    })),
+    reactions: parseJsonColumn(row.reactionsJson, []).map(reaction => ({
+      emoji: formatEmoji(reaction.emojiId, reaction.emoji, reaction.animated),
+      count: reaction.count,
+      users: []
+    })),
+    mentions,
+    inlineEmojis,
+    ...(reference ? {
+      reference: {
+        messageId: reference.messageId || null,
+        channelId: reference.channelId || null,
+        guildId: reference.guildId || null
+      }
+    } : {})
+  };
+}
+
+/**
+ * Write one channel's archived messages to a DiscordChatExporter JSON file
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} options - Export options
+ * @param {Object} options.guild - { id, name, iconUrl }
+ * @param {Object} options.channel - { id, name, type, categoryId, category, topic }
+ * @param {string} filePath - Destination file
+ * @returns {Promise<{messageCount: number, filePath: string}>}
+ */
+async function exportChannelToDce(db, options, filePath) {
+  const { guild, channel } = options;
+
+  const resolveUser = await createUserResolver(db);
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let messageCount = 0;
+
+  const header = {
+    guild: {
+      id: guild.id,
+      name: guild.name,
+      iconUrl: guild.iconUrl || null
+    },
+    channel: {
+      id: channel.id,
+      type: CHANNEL_KINDS[channel.type] || 'GuildTextChat',
+      categoryId: channel.categoryId || null,
+      category: channel.category || null,
+      name: channel.name,
+      topic: channel.topic || null
+    },
+    dateRange: {
+      after: null,
+      before: null
+    },
+    exportedAt: new Date().toISOString()
+  };
+
+  try {
+    // Write the header object without its closing brace so the messages array can be streamed into it
+    const headerJson = JSON.stringify(header, null, 2);
+    await writeToStream(stream, headerJson.slice(0, -2) + ',\n  "messages": [');
+
+    await streamRows(db, (lastRow, pageSize) => ({
+      sql: lastRow
+        ? `SELECT * FROM messages
+           WHERE channelId = ? AND (timestamp > ? OR (timestamp = ? AND id > ?))
+           ORDER BY timestamp, id LIMIT ?`
+        : `SELECT * FROM messages WHERE channelId = ? ORDER BY timestamp, id LIMIT ?`,
+      params: lastRow
+        ? [channel.id, lastRow.timestamp, lastRow.timestamp, lastRow.id, pageSize]
+        : [channel.id, pageSize]
+    }), async (row) => {
+      const dceMessage = await formatDceMessage(row, resolveUser);
+      await writeToStream(stream, (messageCount > 0 ? ',' : '') + '\n    ' + JSON.stringify(dceMessage));
+      messageCount++;
+    });
+
+    await writeToStream(stream, `${messageCount > 0 ? '\n  ' : ''}],\n  "messageCount": ${messageCount}\n}\n`);
+  } finally {
+    await closeStream(stream);
+  }
+
+  return { messageCount, filePath };
+}
+
+/**
+ * Describe a channel for the export header, preferring live data from Discord
+ * and falling back to what the database knows about it
+ * @param {Guild} guild - The Discord guild
+ * @param {string} channelId - Channel ID
+ * @param {string} storedName - Channel name from the channels table
+ * @returns {Object} Channel description
+ */
+function describeChannel(guild, channelId, storedName) {
+  const liveChannel = guild.channels.cache.get(channelId);
+  const parent = liveChannel && liveChannel.parent;
+
+  return {
+    id: channelId,
+    name: liveChannel ? liveChannel.name : (storedName || channelId),
+    type: liveChannel ? liveChannel.type : 0,
+    categoryId: parent ? parent.id : null,
+    category: parent ? parent.name : null,
+    topic: liveChannel && liveChannel.topic ? liveChannel.topic : null
+  };
+}
+
+/**
+ * Handle the !exportguild dce [channel] command
+ * @param {Message} message - The Discord message that triggered the command
+ * @param {string[]} args - Command arguments
+ */
+async function handleDceExport(message, args) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let channelId = null;
+  if (args[2]) {
+    channelId = parseChannelReference(args[2]);
+    if (!channelId) {
+      return message.reply('Please provide a channel or thread mention, URL or ID: `!exportguild dce [channel]`');
+    }
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
+  if (!db || !fs.existsSync(dbPath)) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  // Export either the requested channel or every channel that has stored messages
+  const channels = channelId
+    ? await dbAll(db, `SELECT id, name FROM channels WHERE id = ?`, [channelId])
+    : await dbAll(db, `SELECT id, name FROM channels WHERE id IN (SELECT DISTINCT channelId FROM messages) ORDER BY name`);
+
+  if (channelId && channels.length === 0) {
+    channels.push({ id: channelId, name: null });
+  }
+
+  if (channels.length === 0) {
+    return message.reply('There are no archived messages to export yet.');
+  }
+
+  const statusMessage = await message.channel.send(
+    `DiscordChatExporter JSON Export\n` +
+    `🔄 Exporting ${channels.length} channel(s)...`
+  );
+
+  const guildInfo = {
+    id: message.guild.id,
+    name: message.guild.name,
+    iconUrl: message.guild.iconURL()
+  };
+
+  const startTime = Date.now();
+  const results = [];
+  const failures = [];
+
+  for (const [index, storedChannel] of channels.entries()) {
+    const channel = describeChannel(message.guild, storedChannel.id, storedChannel.name);
+    const filePath = buildExportFilePath(dbPath, `dce-${channel.name}-${channel.id}`, 'json');
+
+    try {
+      const result = await exportChannelToDce(db, { guild: guildInfo, channel }, filePath);
+      console.log(`DiscordChatExporter JSON for #${channel.name} written to ${result.filePath} (${result.messageCount} messages)`);
+      results.push({ ...result, channelName: channel.name });
+    } catch (error) {
+      console.error(`Error exporting #${channel.name} as DiscordChatExporter JSON:`, error);
+      failures.push(`#${channel.name}: ${error.message}`);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    if ((index + 1) % 10 === 0) {
+      try {
+        await statusMessage.edit(
+          `DiscordChatExporter JSON Export\n` +
+          `🔄 Exported ${index + 1}/${channels.length} channels...`
+        );
+      } catch (editError) {
+        console.error('Error updating DCE status message:', editError);
+      }
+    }
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const totalMessages = results.reduce((total, result) => total + result.messageCount, 0);
+  let summary = `DiscordChatExporter JSON Export\n`;
+
+  if (results.length > 0) {
+    summary += `✅ Exported ${totalMessages.toLocaleString()} messages from ${results.length} channel(s) in ${duration}s\n`;
+    summary += results.slice(0, 15).map(result =>
+      `• #${result.channelName}: ${result.messageCount.toLocaleString()} messages → \`${path.basename(result.filePath)}\` (${formatFileSize(fs.statSync(result.filePath).size)})`
+    ).join('\n');
+    if (results.length > 15) {
+      summary += `\n…and ${results.length - 15} more`;
+    }
+  } else {
+    summary += `❌ No channels were exported`;
+  }
+
+  if (failures.length > 0) {
+    summary += `\n⚠️ Failed:\n` + failures.slice(0, 15).map(failure => `• ${failure}`).join('\n');
+    if (failures.length > 15) {
+      summary += `\n…and ${failures.length - 15} more (see the bot log)`;
+    }
+  }
+
+  await deliverExportFiles(message, statusMessage, results.map(result => result.filePath), summary);
+}
+
+module.exports = {
+  handleDceExport,
+  exportChannelToDce,
+  formatDceMessage
+};
@@ -0,0 +1,329 @@
+// export-estimate.js - Dry run of !exportguild that projects message volume, duration and database size
+const fs = require('fs');
+const { PermissionFlagsBits, ChannelType } = require('discord.js');
+const { getGuildConfig } = require('./guild-config');
+const { isChannelExcluded } = require('./channel-exclusion');
+const monitor = require('./monitor');
+const { parseExportOptions, fetchVisibleChannels, describeExportOptions } = require('./exportguild');
+const { formatFileSize } = require('./export-utils');
+const { getFormattedDateTime, splitMessageContent, timestampFromSnowflake, dbAll, dbGet } = require('./utils');
+
+// Channels sampled at the same time
+const SAMPLE_CONCURRENCY = 5;
+
+// Discord's global limit on REST requests per second
+const GLOBAL_REQUESTS_PER_SECOND = 50;
+
+// Database bytes per stored message (row, indexes and full-text index) when no database exists yet
+const DEFAULT_BYTES_PER_MESSAGE = 1200;
+
+// Channels and skipped channels listed in the report
+const REPORT_CHANNEL_LIMIT = 20;
+
+const ESTIMATE_USAGE = 'Usage: `!exportguild estimate [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--channels #a #b] [--category name]`';
+
+/**
+ * Fetch one page of messages and summarise the part of it that falls in the export range
+ * @param {Channel} channel - The channel to sample
+ * @param {Object} fetchOptions - Options for channel.messages.fetch
+ * @param {string|null} afterId - Messages at or below this ID are outside the range
+ * @returns {Promise<Object|null>} { ids, count, bots, oldestId, newestId, oldest, newest, reachedEnd },
+ *   or null when no message of the page is in range
+ */
+async function samplePage(channel, fetchOptions, afterId) {
+  const messages = await channel.messages.fetch({ limit: 100, ...fetchOptions });
+  const sorted = Array.from(messages.values())
+    .filter(message => !afterId || BigInt(message.id) > BigInt(afterId))
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  return {
+    ids: sorted.map(message => message.id),
+    count: sorted.length,
+    // A short page, or one that crossed the start of the range, holds everything left in that direction
+    reachedEnd: messages.size < 100 || sorted.length < messages.size,
+    bots: sorted.filter(message => message.author.bot).length,
+    oldestId: sorted[0].id,
+    newestId: sorted[sorted.length - 1].id,
+    oldest: sorted[0].createdTimestamp,
+    newest: sorted[sorted.length - 1].createdTimestamp
+  };
+}
+
+/**
+ * Messages per millisecond within a sample page
+ * @param {Object} page - Result of samplePage
+ * @returns {number|null} Rate, or null when the page spans no time
+ */
+function pageRate(page) {
+  const span = page.newest - page.oldest;
+  return span > 0 ? (page.count - 1) / span : null;
+}
+
+/**
+ * Estimate the messages an export would fetch from one channel. The newest and oldest
+ * pages in scope give the posting rate at both ends; the volume in between is the
+ * channel's time span times the average of the two rates (the trapezoid rule).
+ * @param {Channel} channel - The channel to sample
+ * @param {Object} options - Export options
+ * @param {Object|null} coverage - Row from the channels table when the channel is already archived
+ * @returns {Promise<Object>} { total, fetched, nonBotShare, requests, exact }
+ */
+async function estimateChannel(channel, options, coverage) {
+  const newestPage = await samplePage(channel, options.beforeId ? { before: options.beforeId } : {}, options.afterId);
+  if (!newestPage) {
+    return { total: 0, fetched: 0, nonBotShare: 1, requests: 1, exact: true };
+  }
+
+  if (newestPage.reachedEnd) {
+    return {
+      total: newestPage.count,
+      fetched: newestPage.count,
+      nonBotShare: (newestPage.count - newestPage.bots) / newestPage.count,
+      requests: 1,
+      exact: true
+    };
+  }
+
+  const oldestPage = await samplePage(channel, { after: options.afterId || '0' }, null);
+  if (!oldestPage) {
+    const nonBotShare = (newestPage.count - newestPage.bots) / newestPage.count;
+    return { total: newestPage.count, fetched: newestPage.count, nonBotShare, requests: 2, exact: false };
+  }
+  const sampled = newestPage.count + oldestPage.count;
+  const nonBotShare = (sampled - newestPage.bots - oldestPage.bots) / sampled;
+
+  // The two pages overlap when the channel holds fewer than 200 messages in scope
+  if (BigInt(oldestPage.newestId) >= BigInt(newestPage.oldestId)) {
+    const total = new Set([...newestPage.ids, ...oldestPage.ids]).size;
+    return { total, fetched: total, nonBotShare, requests: 2, exact: true };
+  }
+
+  const rates = [pageRate(newestPage), pageRate(oldestPage)].filter(rate => rate !== null);
+  const rate = rates.length > 0 ? rates.reduce((sum, value) => sum + value, 0) / rates.length : 0;
+  const span = newestPage.newest - oldestPage.oldest;
+  const total = Math.max(newestPage.count + oldestPage.count, Math.round(span * rate));
+
+  // Incremental exports only fetch what lies outside the archived range
+  let fetched = total;
+  if (coverage && coverage.lastMessageId && !options.afterId && !options.beforeId) {
+    const archivedEnd = timestampFromSnowflake(coverage.lastMessageId);
+    const archivedStart = coverage.oldestMessageId ? timestampFromSnowflake(coverage.oldestMessageId) : archivedEnd;
+    const newer = Math.max(0, newestPage.newest - archivedEnd);
+    const older = coverage.historyComplete ? 0 : Math.max(0, archivedStart - oldestPage.oldest);
+    fetched = Math.min(total, Math.round((newer + older) * rate));
+  }
+
+  return { total, fetched, nonBotShare, requests: 2, exact: false };
+}
+
+/**
+ * List text channels an export would skip, and why
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} options - Export options
+ * @returns {Object} { excluded: Channel[], unreadable: Channel[] }
+ */
+function findSkippedChannels(guild, options) {
+  const skipped = { excluded: [], unreadable: [] };
+
+  for (const channel of guild.channels.cache.values()) {
+    if (channel.type !== ChannelType.GuildText && channel.type !== ChannelType.GuildForum) continue;
+
+    // Channels outside a --channels/--category selection are not skipped, just not asked for
+    const selected = (!options.channelIds && !options.categoryIds) ||
+      (options.channelIds && options.channelIds.has(channel.id)) ||
+      (options.categoryIds && options.categoryIds.has(channel.parentId));
+    if (!selected) continue;
+
+    if (isChannelExcluded(channel)) {
+      skipped.excluded.push(channel);
+    } else if (!channel.viewable || !(channel.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.ReadMessageHistory) ?? false)) {
+      skipped.unreadable.push(channel);
+    }
+  }
+
+  return skipped;
+}
+
+/**
+ * Read what the existing database can tell about storage and past export speed.
+ * Nothing is opened or created when the guild has no database yet.
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} { coverage: Map, bytesPerMessage, messagesPerSecond }
+ */
+async function readArchiveFacts(guildId) {
+  const facts = { coverage: new Map(), bytesPerMessage: DEFAULT_BYTES_PER_MESSAGE, messagesPerSecond: null };
+  const db = monitor.getDatabase(guildId);
+  if (!db) {
+    return facts;
+  }
+
+  const rows = await dbAll(db, `SELECT id, lastMessageId, oldestMessageId, historyComplete FROM channels`);
+  rows.forEach(row => facts.coverage.set(row.id, row));
+
+  const { messageCount } = await dbGet(db, `SELECT COUNT(*) AS messageCount FROM messages`);
+  const dbPath = monitor.getCurrentDatabasePath(guildId);
+  if (messageCount > 1000 && dbPath && fs.existsSync(dbPath)) {
+    facts.bytesPerMessage = fs.statSync(dbPath).size / messageCount;
+  }
+
+  // The last sizeable completed run is the best measure of this bot's real throughput
+  const run = await dbGet(db, `
+    SELECT messagesProcessed, startedAt, endedAt
+    FROM export_runs
+    WHERE status = 'completed' AND messagesProcessed >= 10000 AND endedAt > startedAt
+    ORDER BY startedAt DESC
+    LIMIT 1
+  `);
+  if (run) {
+    facts.messagesPerSecond = run.messagesProcessed / ((run.endedAt - run.startedAt) / 1000);
+  }
+
+  return facts;
+}
+
+/**
+ * Format a duration in seconds as e.g. "3h 20m"
+ * @param {number} seconds - Duration
+ * @returns {string}
+ */
+function formatEstimateDuration(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${Math.max(1, minutes)}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Handle !exportguild estimate [export options]
+ * @param {Message} message - The command message
+ * @param {string[]} args - Command arguments
+ */
+async function handleExportEstimate(message, args) {
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  const guild = message.guild;
+  let options;
+  try {
+    // Same options as a real export, minus the "estimate" subcommand
+    options = parseExportOptions([args[0], ...args.slice(2)], guild);
+  } catch (parseError) {
+    return message.reply(`${parseError.message}\n${ESTIMATE_USAGE}`);
+  }
+
+  const statusMessage = await message.channel.send('📏 Estimating export size: listing channels...');
+  const channels = await fetchVisibleChannels(guild, options);
+  const skipped = findSkippedChannels(guild, options);
+  const facts = await readArchiveFacts(guild.id);
+
+  const results = [];
+  const errors = [];
+  let nextIndex = 0;
+  let requestTime = 0;
+  let requestCount = 0;
+
+  const sampleWorker = async () => {
+    while (nextIndex < channels.length) {
+      const { channel, isThread, parentName } = channels[nextIndex++];
+      const started = Date.now();
+      try {
+        const estimate = await estimateChannel(channel, options, facts.coverage.get(channel.id) || null);
+        requestTime += Date.now() - started;
+        requestCount += estimate.requests;
+        results.push({ channel, isThread, parentName, ...estimate });
+      } catch (error) {
+        console.error(`Error sampling ${channel.name} (${channel.id}) for the estimate:`, error);
+        errors.push({ channel, error: error.message });
+      }
+    }
+  };
+
+  await statusMessage.edit(`📏 Estimating export size: sampling ${channels.length} channels...`);
+  await Promise.all(Array.from({ length: Math.min(SAMPLE_CONCURRENCY, channels.length) }, sampleWorker));
+
+  // Project the duration from a past run when there is one, otherwise from the sampled
+  // request latency, the export's starting concurrency and Discord's global request limit
+  const totalMessages = results.reduce((sum, result) => sum + result.total, 0);
+  const fetchedMessages = results.reduce((sum, result) => sum + result.fetched, 0);
+  const storedMessages = Math.round(results.reduce((sum, result) => sum + result.fetched * result.nonBotShare, 0));
+  const requests = results.reduce((sum, result) => sum + Math.ceil(result.fetched / 100) + 1, 0);
+  const latencySeconds = requestCount > 0 ? requestTime / requestCount / 1000 : 0.5;
+  const concurrency = getGuildConfig(guild.id, 'exportInitialConcurrency') || 1;
+  const largestRequests = results.reduce((max, result) => Math.max(max, Math.ceil(result.fetched / 100)), 0);
+
+  let durationSeconds;
+  let durationBasis;
+  if (facts.messagesPerSecond) {
+    durationSeconds = fetchedMessages / facts.messagesPerSecond;
+    durationBasis = `the last completed export (${Math.round(facts.messagesPerSecond)} messages/sec)`;
+  } else {
+    const requestsPerSecond = Math.min(GLOBAL_REQUESTS_PER_SECOND, concurrency / latencySeconds);
+    durationSeconds = requests / requestsPerSecond;
+    durationBasis = `${Math.round(latencySeconds * 1000)}ms per request with ${concurrency} channels in parallel`;
+  }
+  // The largest channel is fetched one page at a time, however many workers there are
+  durationSeconds = Math.max(durationSeconds, largestRequests * latencySeconds);
+
+  const lines = [];
+  lines.push(`# Export estimate for ${guild.name}`);
+  lines.push('');
+  const scope = describeExportOptions(options);
+  if (scope) {
+    lines.push(`**Scope:** ${scope}`);
+  }
+  lines.push(`**Channels:** ${results.length} (${results.filter(result => result.isThread).length} threads)`);
+  lines.push(`**Messages in scope:** ~${totalMessages.toLocaleString()}`);
+  if (fetchedMessages !== totalMessages) {
+    lines.push(`**Messages left to fetch:** ~${fetchedMessages.toLocaleString()} (the rest is already archived)`);
+  }
+  lines.push(`**Messages stored (without bots):** ~${storedMessages.toLocaleString()}`);
+  lines.push(`**API requests:** ~${requests.toLocaleString()}`);
+  lines.push(`**Projected duration:** ~${formatEstimateDuration(durationSeconds)} (based on ${durationBasis})`);
+  lines.push(`**Database growth:** ~${formatFileSize(storedMessages * facts.bytesPerMessage)}`);
+
+  lines.push('');
+  lines.push(`## Largest channels`);
+  const largest = results.filter(result => result.fetched > 0).sort((a, b) => b.fetched - a.fetched);
+  if (largest.length === 0) {
+    lines.push('*No messages to fetch*');
+  } else {
+    largest.slice(0, REPORT_CHANNEL_LIMIT).forEach(result => {
+      const name = result.isThread ? `${result.parentName} › ${result.channel.name}` : result.channel.name;
+      lines.push(`- **${name}**: ${result.exact ? '' : '~'}${result.fetched.toLocaleString()}`);
+    });
+    if (largest.length > REPORT_CHANNEL_LIMIT) {
+      lines.push(`*…and ${largest.length - REPORT_CHANNEL_LIMIT} more channels*`);
+    }
+  }
+
+  const listSkipped = (title, channelList) => {
+    if (channelList.length === 0) return;
+    lines.push('');
+    lines.push(`## ${title} (${channelList.length})`);
+    lines.push(channelList.slice(0, REPORT_CHANNEL_LIMIT).map(channel => channel.name).join(', ') +
+      (channelList.length > REPORT_CHANNEL_LIMIT ? `, …and ${channelList.length - REPORT_CHANNEL_LIMIT} more` : ''));
+  };
+  listSkipped('Excluded channels', skipped.excluded);
+  listSkipped('Unreadable channels', skipped.unreadable);
+  listSkipped('Channels that could not be sampled', errors.map(entry => entry.channel));
+
+  lines.push('');
+  lines.push(`*Dry run: nothing was written to the database. Estimated ${getFormattedDateTime()} UTC*`);
+
+  // Channel names are plain text; never ping anyone from the report
+  const chunks = splitMessageContent(lines.join('\n'));
+  await statusMessage.edit({ content: chunks[0], allowedMentions: { parse: [] } });
+  for (const chunk of chunks.slice(1)) {
+    await message.channel.send({ content: chunk, allowedMentions: { parse: [] } });
+  }
+}
+
+module.exports = {
+  handleExportEstimate,
+  estimateChannel
+};
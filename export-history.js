@@ -0,0 +1,248 @@
+// export-history.js - Audit trail of export runs (export_runs table, !exportguild history)
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const { splitMessageContent, dbAll, dbGet, dbRun } = require('./utils');
+
+// Runs listed when no --limit is given, and the most that can be requested
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 50;
+
+// Channels listed in the details of a single run
+const RUN_CHANNEL_LIMIT = 25;
+
+const HISTORY_USAGE = 'Usage: `!exportguild history [--limit N]` or `!exportguild history --run <id>`';
+
+const STATUS_EMOJI = {
+  running: '🔄',
+  completed: '✅',
+  cancelled: '⏹️',
+  failed: '❌',
+  interrupted: '⚠️'
+};
+
+/**
+ * Record the start of an export run
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} run - { startedBy: User, parameters: Object, scope: string, channelsTotal: number }
+ * @returns {Promise<number>} ID of the new run
+ */
+async function startExportRun(db, run) {
+  // Only one export runs per guild, so rows still marked running belong to a process that died
+  await dbRun(db, `
+    UPDATE export_runs
+    SET status = 'interrupted', errorMessage = COALESCE(errorMessage, 'The bot stopped before the export finished')
+    WHERE status = 'running'
+  `);
+
+  const result = await dbRun(db, `
+    INSERT INTO export_runs (startedById, startedByTag, parametersJson, scope, status, startedAt, channelsTotal)
+    VALUES (?, ?, ?, ?, 'running', ?, ?)
+  `, [
+    run.startedBy.id,
+    run.startedBy.tag,
+    JSON.stringify(run.parameters),
+    run.scope,
+    Date.now(),
+    run.channelsTotal || 0
+  ]);
+
+  return result.lastID;
+}
+
+/**
+ * Record the outcome of an export run
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {number} runId - ID from startExportRun
+ * @param {Object} exportState - Export state at the end of the run
+ * @param {string} status - 'completed', 'cancelled' or 'failed'
+ * @param {string|null} errorMessage - Why the run failed
+ */
+async function finishExportRun(db, runId, exportState, status, errorMessage = null) {
+  const channelCounts = {};
+  for (const [channelId, entry] of exportState.channelMessageCounts) {
+    channelCounts[channelId] = entry;
+  }
+
+  await dbRun(db, `
+    UPDATE export_runs
+    SET status = ?, endedAt = ?, channelsTotal = ?, channelsProcessed = ?,
+        messagesProcessed = ?, messagesStored = ?, botMessagesFiltered = ?,
+        channelCountsJson = ?, dbErrors = ?, rateLimitHits = ?, errorMessage = ?
+    WHERE id = ?
+  `, [
+    status,
+    Date.now(),
+    exportState.totalChannels,
+    exportState.processedChannels,
+    exportState.messagesTotalProcessed,
+    exportState.messagesStoredInDb,
+    exportState.messageDroppedCount,
+    JSON.stringify(channelCounts),
+    exportState.dbErrors,
+    exportState.rateLimitHits,
+    errorMessage,
+    runId
+  ]);
+}
+
+/**
+ * List the most recent export runs, newest first
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {number} limit - Maximum number of runs
+ * @returns {Promise<Array>}
+ */
+function listExportRuns(db, limit = DEFAULT_HISTORY_LIMIT) {
+  return dbAll(db, `SELECT * FROM export_runs ORDER BY startedAt DESC, id DESC LIMIT ?`, [limit]);
+}
+
+/**
+ * Format a duration in milliseconds as e.g. "1h 5m 12s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatRunDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds % 60}s`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Format one run as a single summary line
+ * @param {Object} run - Row from export_runs
+ * @returns {string}
+ */
+function formatRunSummary(run) {
+  const started = `<t:${Math.floor(run.startedAt / 1000)}:f>`;
+  const duration = run.endedAt ? ` (${formatRunDuration(run.endedAt - run.startedAt)})` : '';
+  return `**#${run.id}** ${STATUS_EMOJI[run.status] || ''} ${run.status} — ${started}${duration} by ${run.startedByTag || run.startedById}\n` +
+    `  ${run.scope || 'full'} · ${run.messagesStored.toLocaleString()} messages stored · ` +
+    `${run.channelsProcessed}/${run.channelsTotal} channels · ${run.rateLimitHits} rate limits · ${run.dbErrors} errors`;
+}
+
+/**
+ * Format the details of a single run, including its per-channel counts
+ * @param {Object} run - Row from export_runs
+ * @returns {string}
+ */
+function formatRunDetails(run) {
+  const lines = [`# Export run #${run.id}`, '', formatRunSummary(run), ''];
+
+  let parameters = {};
+  try {
+    parameters = JSON.parse(run.parametersJson || '{}');
+  } catch (parseError) {
+    // Shown as empty parameters
+  }
+  lines.push(`**Command:** \`${['!exportguild', ...(parameters.args || [])].join(' ')}\``);
+  lines.push(`**Messages processed:** ${run.messagesProcessed.toLocaleString()} (${run.botMessagesFiltered.toLocaleString()} bot messages skipped)`);
+  if (run.errorMessage) {
+    lines.push(`**Error:** ${run.errorMessage}`);
+  }
+
+  let channelCounts = {};
+  try {
+    channelCounts = JSON.parse(run.channelCountsJson || '{}');
+  } catch (parseError) {
+    // Shown as no channel data
+  }
+
+  const channels = Object.entries(channelCounts).sort((a, b) => b[1].messages - a[1].messages);
+  lines.push('', `## Messages per channel (${channels.length} channels)`);
+  if (channels.length === 0) {
+    lines.push('*No channel data recorded*');
+  } else {
+    channels.slice(0, RUN_CHANNEL_LIMIT).forEach(([channelId, entry]) => {
+      lines.push(`- <#${channelId}> (${entry.name}): ${entry.messages.toLocaleString()}`);
+    });
+    if (channels.length > RUN_CHANNEL_LIMIT) {
+      lines.push(`*…and ${channels.length - RUN_CHANNEL_LIMIT} more channels*`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse the options of !exportguild history
+ * @param {string[]} args - Command arguments
+ * @returns {Object} { limit, runId }
+ */
+function parseHistoryArgs(args) {
+  const options = { limit: DEFAULT_HISTORY_LIMIT, runId: null };
+
+  for (let i = 2; i < args.length; i++) {
+    const arg = args[i].toLowerCase();
+    const value = parseInt((args[i + 1] || '').replace(/^#/, ''), 10);
+
+    if (arg === '--limit') {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid limit "${args[i + 1] || ''}"`);
+      }
+      options.limit = Math.min(value, MAX_HISTORY_LIMIT);
+      i++;
+    } else if (arg === '--run') {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid run ID "${args[i + 1] || ''}"`);
+      }
+      options.runId = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Handle !exportguild history [--limit N] [--run ID]
+ * @param {Message} message - The command message
+ * @param {string[]} args - Command arguments
+ */
+async function handleExportHistoryCommand(message, args) {
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let options;
+  try {
+    options = parseHistoryArgs(args);
+  } catch (parseError) {
+    return message.reply(`${parseError.message}\n${HISTORY_USAGE}`);
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  if (!db) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  let content;
+  if (options.runId !== null) {
+    const run = await dbGet(db, `SELECT * FROM export_runs WHERE id = ?`, [options.runId]);
+    if (!run) {
+      return message.reply(`No export run #${options.runId} was found.`);
+    }
+    content = formatRunDetails(run);
+  } else {
+    const runs = await listExportRuns(db, options.limit);
+    if (runs.length === 0) {
+      return message.reply('No export runs have been recorded yet.');
+    }
+    content = `# Export history for ${message.guild.name}\n\n${runs.map(formatRunSummary).join('\n\n')}`;
+  }
+
+  // Channel and user names are shown as plain text; never ping anyone
+  for (const chunk of splitMessageContent(content)) {
+    await message.channel.send({ content: chunk, allowedMentions: { parse: [] } });
+  }
+}
+
+module.exports = {
+  startExportRun,
+  finishExportRun,
+  listExportRuns,
+  handleExportHistoryCommand
+};
@@ -0,0 +1,206 @@
+// export-scheduler.js - Adaptive channel concurrency and channel ordering for exports
+const { RESTEvents } = require('discord.js');
+const { getGuildConfig } = require('./guild-config');
+const { dbAll, timestampFromSnowflake } = require('./utils');
+
+// How often the scheduler considers adding a worker (milliseconds)
+const ADJUST_INTERVAL = 10000;
+
+// Time without rate-limit pressure before concurrency is raised again
+const PRESSURE_COOLDOWN = 30000;
+
+// A burst of 429s from parallel requests counts as one signal within this window
+const SHRINK_COOLDOWN = 5000;
+
+// Multiplier applied to the concurrency when Discord pushes back
+const SHRINK_FACTOR = 0.75;
+
+// Assumed message rate (per millisecond) for channels with nothing archived yet: one per hour
+const DEFAULT_DENSITY = 1 / 3600000;
+
+// Routes used to page through channel messages
+const MESSAGES_ROUTE = /\/channels\/[^/]+\/messages$/;
+
+/**
+ * Create a scheduler that sizes the export worker pool from Discord's rate-limit feedback.
+ * Concurrency grows by one worker at a time while requests go through cleanly and shrinks
+ * by SHRINK_FACTOR on 429 responses or global rate limits.
+ * @param {Client} client - Discord client whose REST manager is observed
+ * @param {Object} exportState - Export state; rateLimitHits is updated from the REST events
+ * @param {Set<string>} channelIds - Channels in this export; other rate limits are ignored
+ * @returns {Object} Scheduler with concurrency, onConcurrencyChange, start() and stop()
+ */
+function createExportScheduler(client, exportState, channelIds) {
+  const guildId = exportState.control.guild.id;
+  const minConcurrency = Math.max(1, getGuildConfig(guildId, 'exportMinConcurrency') || 1);
+  const maxConcurrency = Math.max(minConcurrency, getGuildConfig(guildId, 'exportMaxConcurrency') || 15);
+  const initialConcurrency = getGuildConfig(guildId, 'exportInitialConcurrency') || minConcurrency;
+
+  let adjustTimer = null;
+  let lastPressureAt = 0;
+  let lastShrinkAt = 0;
+  let requestsSinceAdjust = 0;
+
+  const scheduler = {
+    concurrency: Math.min(maxConcurrency, Math.max(minConcurrency, initialConcurrency)),
+    minConcurrency,
+    maxConcurrency,
+    // Latest state of each rate-limit bucket seen on message fetches, keyed by bucket hash
+    buckets: new Map(),
+    // Set by the caller; invoked after the concurrency has been raised
+    onConcurrencyChange: null,
+    // Set by the caller; whether channels are still waiting for a worker
+    hasPendingWork: () => true,
+    start,
+    stop
+  };
+
+  const isExportRoute = (route, majorParameter) =>
+    MESSAGES_ROUTE.test(route) && channelIds.has(majorParameter);
+
+  const applyPressure = reason => {
+    const now = Date.now();
+    lastPressureAt = now;
+    if (now - lastShrinkAt < SHRINK_COOLDOWN || scheduler.concurrency <= minConcurrency) {
+      return;
+    }
+
+    lastShrinkAt = now;
+    const previous = scheduler.concurrency;
+    scheduler.concurrency = Math.max(minConcurrency, Math.floor(previous * SHRINK_FACTOR));
+    console.log(`Export concurrency lowered from ${previous} to ${scheduler.concurrency} (${reason})`);
+  };
+
+  // discord.js waits on its own when a bucket runs dry; these waits are normal per channel,
+  // but a global limit means every worker is blocked
+  const onRateLimited = info => {
+    if (info.global) {
+      exportState.rateLimitHits++;
+      applyPressure(`global rate limit, retry after ${info.retryAfter}ms`);
+    } else if (isExportRoute(info.route, info.majorParameter)) {
+      exportState.rateLimitHits++;
+    }
+  };
+
+  const onResponse = (request, response) => {
+    const route = request.route || '';
+    if (!MESSAGES_ROUTE.test(route)) return;
+
+    const bucket = response.headers.get('x-ratelimit-bucket');
+    if (bucket) {
+      scheduler.buckets.set(bucket, {
+        limit: parseInt(response.headers.get('x-ratelimit-limit'), 10),
+        remaining: parseInt(response.headers.get('x-ratelimit-remaining'), 10),
+        resetAt: Date.now() + parseFloat(response.headers.get('x-ratelimit-reset-after') || '0') * 1000
+      });
+    }
+
+    if (response.status === 429) {
+      const scope = response.headers.get('x-ratelimit-scope') || 'user';
+      // Shared limits belong to the resource, not to how hard we are pushing
+      if (scope !== 'shared') {
+        applyPressure(`429 on ${route} (${scope})`);
+      }
+    } else {
+      requestsSinceAdjust++;
+    }
+  };
+
+  const adjust = () => {
+    const now = Date.now();
+    const busy = requestsSinceAdjust > 0;
+    requestsSinceAdjust = 0;
+
+    // Forget buckets that have long since reset
+    for (const [hash, bucket] of scheduler.buckets) {
+      if (bucket.resetAt < now - PRESSURE_COOLDOWN) {
+        scheduler.buckets.delete(hash);
+      }
+    }
+
+    if (!busy || exportState.control.state !== 'running' || !scheduler.hasPendingWork()) return;
+    if (scheduler.concurrency >= maxConcurrency || now - lastPressureAt < PRESSURE_COOLDOWN) return;
+
+    scheduler.concurrency++;
+    console.log(`Export concurrency raised to ${scheduler.concurrency}`);
+    if (scheduler.onConcurrencyChange) {
+      scheduler.onConcurrencyChange(scheduler.concurrency);
+    }
+  };
+
+  function start() {
+    client.rest.on(RESTEvents.RateLimited, onRateLimited);
+    client.rest.on(RESTEvents.Response, onResponse);
+    adjustTimer = setInterval(adjust, ADJUST_INTERVAL);
+    console.log(`Export scheduler started with concurrency ${scheduler.concurrency} (min ${minConcurrency}, max ${maxConcurrency})`);
+  }
+
+  function stop() {
+    client.rest.off(RESTEvents.RateLimited, onRateLimited);
+    client.rest.off(RESTEvents.Response, onResponse);
+    clearInterval(adjustTimer);
+    adjustTimer = null;
+  }
+
+  return scheduler;
+}
+
+/**
+ * Estimate how many messages are left to fetch in each channel and sort the largest first,
+ * so long channels start early instead of running alone at the end of the export.
+ * The estimate is the unarchived time span of the channel multiplied by its message rate,
+ * taken from what is already archived (or a default for channels with nothing archived).
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Array<{channel: Channel}>} channels - Channels from fetchVisibleChannels
+ * @param {Object} options - Export options; date-bounded exports only count the requested range
+ * @returns {Promise<Array<{channel: Channel, estimatedMessages: number}>>} New array, largest first
+ */
+async function prioritizeChannels(db, channels, options = {}) {
+  const rows = await dbAll(db, `
+    SELECT c.id, c.lastMessageId, c.oldestMessageId, c.historyComplete, COUNT(m.id) AS archived
+    FROM channels c
+    LEFT JOIN messages m ON m.channelId = c.id
+    GROUP BY c.id
+  `);
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+
+  const rangeStart = options.afterId ? timestampFromSnowflake(options.afterId) : 0;
+  const rangeEnd = options.beforeId ? timestampFromSnowflake(options.beforeId) : Infinity;
+  const overlap = (start, end) => Math.max(0, Math.min(end, rangeEnd) - Math.max(start, rangeStart));
+
+  const estimated = channels.map(channelObj => {
+    const channel = channelObj.channel;
+    if (!channel.lastMessageId) {
+      return { ...channelObj, estimatedMessages: 0 };
+    }
+
+    const created = channel.createdTimestamp;
+    const newest = timestampFromSnowflake(channel.lastMessageId);
+    const row = rowsById.get(channel.id);
+
+    let density = DEFAULT_DENSITY;
+    let remainingSpan = overlap(created, newest);
+
+    if (row && row.lastMessageId && row.oldestMessageId) {
+      const archivedStart = timestampFromSnowflake(row.oldestMessageId);
+      const archivedEnd = timestampFromSnowflake(row.lastMessageId);
+      if (row.archived > 0 && archivedEnd > archivedStart) {
+        density = row.archived / (archivedEnd - archivedStart);
+      }
+
+      // Range exports refetch their slice; full exports only fetch around what is archived
+      if (!options.afterId && !options.beforeId) {
+        remainingSpan = overlap(archivedEnd, newest) + (row.historyComplete ? 0 : overlap(created, archivedStart));
+      }
+    }
+
+    return { ...channelObj, estimatedMessages: Math.round(remainingSpan * density) };
+  });
+
+  return estimated.sort((a, b) => b.estimatedMessages - a.estimatedMessages);
+}
+
+module.exports = {
+  createExportScheduler,
+  prioritizeChannels
+};
@@ -0,0 +1,243 @@
+// export-utils.js - Shared helpers for writing database contents out to files
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { getGuildConfig } = require('./guild-config');
+const { dbAll, splitMessageContent } = require('./utils');
+
+// How many rows to read from the database per page while streaming
+const EXPORT_PAGE_SIZE = 1000;
+
+// Discord allows at most 10 attachments per message; more files than this are only saved on disk
+const MAX_ATTACHMENTS = 10;
+
+// Saved-on-disk files listed by path before the rest are summarised
+const MAX_LISTED_FILES = 10;
+
+/**
+ * Parse a JSON column value, returning a fallback for empty or malformed values
+ * @param {string|null} value - Raw column value
+ * @param {*} fallback - Value to return when parsing is not possible
+ * @returns {*} Parsed value
+ */
+function parseJsonColumn(value, fallback = null) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Read rows page by page and hand each row to a callback.
+ * Only one page is held in memory at a time, so this is safe on very large tables.
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Function} buildPageQuery - Called with the last row of the previous page (or null),
+ *   returns { sql, params } for the next page. The query must apply its own ORDER BY and LIMIT.
+ * @param {Function} onRow - Called (and awaited) for every row
+ * @param {number} pageSize - The LIMIT used by buildPageQuery
+ * @param {Function} [onPage] - Called (and awaited) with each page before its rows, to load related rows in one query
+ * @returns {Promise<number>} Number of rows streamed
+ */
+async function streamRows(db, buildPageQuery, onRow, pageSize = EXPORT_PAGE_SIZE, onPage = null) {
+  let lastRow = null;
+  let rowCount = 0;
+
+  while (true) {
+    const { sql, params } = buildPageQuery(lastRow, pageSize);
+    const rows = await dbAll(db, sql, params);
+
+    if (onPage && rows.length > 0) {
+      await onPage(rows);
+    }
+
+    for (const row of rows) {
+      await onRow(row);
+      rowCount++;
+    }
+
+    if (rows.length < pageSize) {
+      break;
+    }
+
+    lastRow = rows[rows.length - 1];
+  }
+
+  return rowCount;
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {fs.WriteStream} stream - Destination stream
+ * @param {string} chunk - Data to write
+ */
+async function writeToStream(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await new Promise(resolve => stream.once('drain', resolve));
+  }
+}
+
+/**
+ * End a stream and wait until everything has been flushed to disk
+ * @param {fs.WriteStream} stream - Stream to close
+ */
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(() => resolve());
+  });
+}
+
+/**
+ * Build the output path for an export file, next to the other exports of the same database
+ * @param {string} dbPath - Path of the source database
+ * @param {string} label - Short label describing the export (e.g. "messages")
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Absolute file path
+ */
+function buildExportFilePath(dbPath, label, extension) {
+  const exportDir = path.resolve(process.cwd(), config.getConfig('exportDirectory', 'EXPORT_DIRECTORY') || 'exports');
+  if (!fs.existsSync(exportDir)) {
+    fs.mkdirSync(exportDir, { recursive: true });
+  }
+
+  const dbName = path.basename(dbPath, '.db');
+  const now = new Date();
+  const dateStr = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-${String(now.getUTCDate()).padStart(2, '0')}`;
+  const timeStr = `${String(now.getUTCHours()).padStart(2, '0')}-${String(now.getUTCMinutes()).padStart(2, '0')}-${String(now.getUTCSeconds()).padStart(2, '0')}`;
+  const safeLabel = label.replace(/[^a-z0-9_-]/gi, '-').toLowerCase();
+
+  return path.join(exportDir, `${dbName}_${safeLabel}_${dateStr}_${timeStr}.${extension}`);
+}
+
+/**
+ * Format a byte count for status messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+/**
+ * List files saved on disk under a heading, naming at most MAX_LISTED_FILES of them
+ * @param {string} heading - Why the files were not uploaded
+ * @param {Array<{filePath: string, size: number}>} files - Files to list
+ * @returns {string}
+ */
+function describeSavedFiles(heading, files) {
+  let text = `\n\n💾 ${heading}:\n`;
+  text += files.slice(0, MAX_LISTED_FILES).map(file => `• \`${file.filePath}\` (${formatFileSize(file.size)})`).join('\n');
+  if (files.length > MAX_LISTED_FILES) {
+    text += `\n…and ${files.length - MAX_LISTED_FILES} more in \`${path.dirname(files[0].filePath)}\``;
+  }
+  return text;
+}
+
+/**
+ * Group files into messages whose attachments together stay under the upload limit
+ * @param {Array<{filePath: string, size: number}>} files - Files that each fit the limit
+ * @param {number} limitBytes - Upload limit per message
+ * @returns {Array<Array<{filePath: string, size: number}>>}
+ */
+function batchUploads(files, limitBytes) {
+  const batches = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const file of files) {
+    if (current.length > 0 && currentSize + file.size > limitBytes) {
+      batches.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(file);
+    currentSize += file.size;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * Upload export files to the channel when they fit under the attachment limit,
+ * otherwise leave them on disk and report where they were saved
+ * @param {Message} message - The command message
+ * @param {Message} statusMessage - Status message to update with the result
+ * @param {string[]} filePaths - Files produced by the export
+ * @param {string} summary - Summary text to show above the file list
+ */
+async function deliverExportFiles(message, statusMessage, filePaths, summary) {
+  const limitMB = getGuildConfig(message.guild.id, 'attachmentSizeLimitMB') || 8;
+  const limitBytes = limitMB * 1024 * 1024;
+
+  const uploadable = [];
+  const tooLarge = [];
+  const overAttachmentCap = [];
+
+  for (const filePath of filePaths) {
+    const size = fs.statSync(filePath).size;
+    if (size > limitBytes) {
+      tooLarge.push({ filePath, size });
+    } else if (uploadable.length >= MAX_ATTACHMENTS) {
+      overAttachmentCap.push({ filePath, size });
+    } else {
+      uploadable.push({ filePath, size });
+    }
+  }
+
+  let response = summary;
+
+  if (tooLarge.length > 0) {
+    response += describeSavedFiles(`Saved on the bot host (too large to upload, limit ${limitMB} MB)`, tooLarge);
+  }
+  if (overAttachmentCap.length > 0) {
+    response += describeSavedFiles(`Saved on the bot host (only the first ${MAX_ATTACHMENTS} files are uploaded)`, overAttachmentCap);
+  }
+
+  // Long summaries continue in follow-up messages instead of failing the edit
+  const [firstChunk, ...otherChunks] = splitMessageContent(response);
+  await statusMessage.edit(firstChunk);
+  for (const chunk of otherChunks) {
+    await message.channel.send(chunk);
+  }
+
+  // The upload limit applies to all attachments of a message together
+  for (const batch of batchUploads(uploadable, limitBytes)) {
+    try {
+      await message.channel.send({
+        content: `📎 Export file${batch.length > 1 ? 's' : ''}:`,
+        files: batch.map(file => ({
+          attachment: file.filePath,
+          name: path.basename(file.filePath)
+        }))
+      });
+    } catch (uploadError) {
+      console.error('Error uploading export files:', uploadError);
+      await message.channel.send(
+        `⚠️ Could not upload the export file(s): ${uploadError.message}\n` +
+        batch.map(file => `• Saved at \`${file.filePath}\` (${formatFileSize(file.size)})`).join('\n')
+      );
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_PAGE_SIZE,
+  parseJsonColumn,
+  streamRows,
+  writeToStream,
+  closeStream,
+  buildExportFilePath,
+  formatFileSize,
+  deliverExportFiles
+};
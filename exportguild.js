@@ -7,13 +7,12 @@ const config = require('./config');
 const monitor = require('./monitor');
 const memberTracker = require('./member-tracker');
 const memberLeft = require('./member-left');
-
-// Parse excluded channels from environment variable or config
-const excludedChannelsArray = config.getConfig('excludedChannels', 'EX_CHANNELS');
-const excludedChannels = new Set(excludedChannelsArray);
-
-// Database batch size - how many messages to insert at once
-const DB_BATCH_SIZE = config.getConfig('dbBatchSize', 'DB_BATCH_SIZE') || 100;
+const walManager = require('./wal-manager');
+const exportHistory = require('./export-history');
+const { getGuildConfig } = require('./guild-config');
+const { isChannelExcluded } = require('./channel-exclusion');
+const { createExportScheduler, prioritizeChannels } = require('./export-scheduler');
+const { parseChannelReference, parseRangeDate, snowflakeFromTimestamp, dbGet } = require('./utils');
 
 // Memory limit in MB
 const MEMORY_LIMIT_MB = config.getConfig('memoryLimitMB', 'MEMORY_LIMIT_MB');
@@ -25,11 +24,8 @@ const MEMORY_SCALE_FACTOR = 0.85;
 // Memory check frequency in milliseconds
 const MEMORY_CHECK_INTERVAL = config.getConfig('memoryCheckInterval', 'MEMORY_CHECK_INTERVAL');
 
-// Status update interval in milliseconds
-const STATUS_UPDATE_INTERVAL = config.getConfig('statusUpdateInterval', 'STATUS_UPDATE_INTERVAL') || 5000;
-
-// Maximum concurrent API requests
-const MAX_CONCURRENT_REQUESTS = 15;
+// Exports currently fetching messages, by guild ID, so other commands can pause, resume or cancel them
+const runningExports = new Map();
 
 // Function to check current memory usage and return details
 function checkMemoryUsage() {
@@ -55,6 +51,14 @@ function checkMemoryUsage() {
   };
 }
 
+/**
+ * Exports currently fetching messages
+ * @returns {Map<string, Object>} Export state by guild ID
+ */
+function getRunningExports() {
+  return runningExports;
+}
+
 // Log memory usage
 function logMemoryUsage(prefix = '') {
   const memory = checkMemoryUsage();
@@ -152,7 +156,131 @@ async function checkAndHandleMemoryUsage(exportState, trigger = 'MANUAL') {
   return false;
 }
 
-async function fetchVisibleChannels(guild) {
+/**
+ * Parse the options of !exportguild
+ * Format: !exportguild [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--channels #a #b ...] [--category name|id]
+ * @param {string[]} args - Command arguments
+ * @param {Guild} guild - The Discord guild (used to resolve category names)
+ * @returns {Object} Export options: { from, to, afterId, beforeId, channelIds, categoryIds }
+ */
+function parseExportOptions(args, guild) {
+  const options = {
+    from: null,
+    to: null,
+    afterId: null,
+    beforeId: null,
+    channelIds: null,
+    categoryIds: null
+  };
+
+  // Skip the command itself and the optional "export" subcommand
+  const tokens = args.slice(1);
+  if (tokens[0] && tokens[0].toLowerCase() === 'export') {
+    tokens.shift();
+  }
+
+  let i = 0;
+  // Collect the values following an option up to the next --option
+  const takeValues = () => {
+    const values = [];
+    while (i < tokens.length && !tokens[i].startsWith('--')) {
+      values.push(tokens[i++]);
+    }
+    return values;
+  };
+
+  while (i < tokens.length) {
+    const option = tokens[i++].toLowerCase();
+
+    if (option === '--from' || option === '--to') {
+      const [value] = takeValues();
+      const time = parseRangeDate(value, option === '--to');
+      if (option === '--from') {
+        options.from = time;
+      } else {
+        options.to = time;
+      }
+    } else if (option === '--channels' || option === '--channel') {
+      const values = takeValues();
+      if (values.length === 0) {
+        throw new Error('--channels needs at least one channel mention, URL or ID.');
+      }
+      options.channelIds = options.channelIds || new Set();
+      for (const value of values) {
+        const channelId = parseChannelReference(value);
+        if (!channelId) {
+          throw new Error(`Could not recognise channel "${value}".`);
+        }
+        options.channelIds.add(channelId);
+      }
+    } else if (option === '--category') {
+      const value = takeValues().join(' ');
+      const categoryId = parseChannelReference(value);
+      const category = guild.channels.cache.find(channel =>
+        channel.type === ChannelType.GuildCategory &&
+        (channel.id === categoryId || channel.name.toLowerCase() === value.toLowerCase())
+      );
+      if (!category) {
+        throw new Error(`Could not find a category called "${value}".`);
+      }
+      options.categoryIds = options.categoryIds || new Set();
+      options.categoryIds.add(category.id);
+    } else {
+      throw new Error(`Unknown option "${option}".`);
+    }
+  }
+
+  if (options.from !== null && options.to !== null && options.from >= options.to) {
+    throw new Error('--from must be earlier than --to.');
+  }
+
+  // Snowflakes encode their creation time, so the dates become message ID bounds.
+  // "after" is exclusive, so step one below the first ID of the --from millisecond.
+  // A --from at or before the Discord epoch (2015-01-01) has no lower bound, since every message is newer.
+  if (options.from !== null) {
+    const firstSnowflake = BigInt(snowflakeFromTimestamp(options.from));
+    if (firstSnowflake > 0n) {
+      options.afterId = (firstSnowflake - 1n).toString();
+    }
+  }
+  if (options.to !== null) {
+    options.beforeId = snowflakeFromTimestamp(options.to);
+  }
+
+  return options;
+}
+
+/**
+ * Whether an export was limited to a date range or a subset of channels
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {boolean}
+ */
+function isPartialExport(options) {
+  return !!(options.afterId || options.beforeId || options.channelIds || options.categoryIds);
+}
+
+/**
+ * Describe the export options for status messages
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {string|null} Description, or null for a full export
+ */
+function describeExportOptions(options) {
+  const parts = [];
+  if (options.from !== null || options.to !== null) {
+    const from = options.from !== null ? new Date(options.from).toISOString().slice(0, 10) : 'beginning';
+    const to = options.to !== null ? new Date(options.to - 1).toISOString().slice(0, 10) : 'now';
+    parts.push(`${from} → ${to}`);
+  }
+  if (options.channelIds) {
+    parts.push(`${options.channelIds.size} selected channel(s)`);
+  }
+  if (options.categoryIds) {
+    parts.push(`${options.categoryIds.size} selected categor${options.categoryIds.size === 1 ? 'y' : 'ies'}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+async function fetchVisibleChannels(guild, options = {}) {
   // Get only visible text-based channels
   const visibleChannels = [];
   
@@ -164,7 +292,7 @@ async function fetchVisibleChannels(guild) {
   const textChannels = guild.channels.cache
     .filter(channel => {
       const isTextChannel = channel.type === ChannelType.GuildText || channel.type === ChannelType.GuildForum;
-      const notExcluded = !excludedChannels.has(channel.id);
+      const notExcluded = !isChannelExcluded(channel);
       const isViewable = channel.viewable;
       const canReadHistory = channel.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.ReadMessageHistory) ?? false;
       
@@ -176,6 +304,31 @@ async function fetchVisibleChannels(guild) {
       parentId: null
     }));
   
+  // Channels created after the end of the range cannot contain messages from it
+  const createdBeforeRangeEnd = (channel) => !options.beforeId || BigInt(channel.id) < BigInt(options.beforeId);
+  
+  // Apply --channels / --category selections. Threads are selected through their parent
+  // or by their own ID, so keep every readable channel around for thread discovery.
+  const allTextChannels = textChannels.splice(0, textChannels.length);
+  textChannels.push(...allTextChannels.filter(({ channel }) => {
+    if (!createdBeforeRangeEnd(channel)) return false;
+    if (!options.channelIds && !options.categoryIds) return true;
+    return (options.channelIds && options.channelIds.has(channel.id)) ||
+      (options.categoryIds && options.categoryIds.has(channel.parentId));
+  }));
+  
+  if (textChannels.length !== allTextChannels.length) {
+    console.log(`Export options selected ${textChannels.length} of ${allTextChannels.length} text channels`);
+  }
+  
+  // Only look for threads in unselected channels when a selected ID was not a top-level channel
+  const selectedParentIds = new Set(textChannels.map(({ channel }) => channel.id));
+  const looksForSelectedThreads = options.channelIds &&
+    Array.from(options.channelIds).some(channelId => !selectedParentIds.has(channelId));
+  const threadSourceChannels = looksForSelectedThreads
+    ? allTextChannels.filter(({ channel }) => createdBeforeRangeEnd(channel))
+    : textChannels;
+  
   // Sort channels by ID (numerically smaller first)
   textChannels.sort((a, b) => {
     // Convert IDs to BigInt for proper numeric comparison
@@ -189,7 +342,7 @@ async function fetchVisibleChannels(guild) {
   
   // Get threads in batches to avoid rate limiting
   const threadChannels = [];
-  for (const channelObj of textChannels) {
+  for (const channelObj of threadSourceChannels) {
     const channel = channelObj.channel;
     if (!channel.threads) {
       console.log(`Channel ${channel.name} (${channel.id}) doesn't have threads property, skipping thread processing`);
@@ -222,7 +375,13 @@ async function fetchVisibleChannels(guild) {
       // Add visible threads
       for (const thread of [...activeThreads.threads.values(), ...archivedThreads.threads.values()]) {
         try {
-          if (!excludedChannels.has(thread.id) && 
+          const threadSelected = selectedParentIds.has(channel.id) ||
+            (options.channelIds && options.channelIds.has(thread.id));
+          if (!threadSelected || !createdBeforeRangeEnd(thread)) {
+            continue;
+          }
+          
+          if (!isChannelExcluded(thread) && 
               thread.viewable && 
               thread.permissionsFor(guild.members.me).has(PermissionFlagsBits.ReadMessageHistory)) {
             threadChannels.push({
@@ -272,63 +431,166 @@ async function fetchVisibleChannels(guild) {
   return visibleChannels;
 }
 
+/**
+ * Count messages stored for a channel, for the status message and the export run history
+ * @param {Object} exportState - Export state
+ * @param {Channel} channel - The channel the messages came from
+ * @param {number} count - Number of messages
+ */
+function countChannelMessages(exportState, channel, count) {
+  exportState.messagesInCurrentChannel += count;
+  
+  const entry = exportState.channelMessageCounts.get(channel.id) || { name: channel.name, messages: 0 };
+  entry.messages += count;
+  exportState.channelMessageCounts.set(channel.id, entry);
+}
+
+/**
+ * Pause the calling worker while the export is paused
+ * Called at batch boundaries, after the worker has stored everything it fetched.
+ * @param {Object} exportState - Export state
+ * @returns {Promise<boolean>} Whether the export was cancelled and the worker should stop
+ */
+async function reachedControlPoint(exportState) {
+  const control = exportState.control;
+  
+  if (control.state === 'paused') {
+    control.parkedWorkers++;
+    releaseLockIfPaused(exportState);
+    await new Promise(resolve => control.waiters.push(resolve));
+    control.parkedWorkers--;
+  }
+  
+  return control.state === 'cancelled';
+}
+
+/**
+ * Once every worker is parked, free the guild for other commands until the export resumes
+ * @param {Object} exportState - Export state
+ */
+function releaseLockIfPaused(exportState) {
+  const control = exportState.control;
+  if (control.state !== 'paused' || control.lockReleased || control.workers === 0 ||
+      control.parkedWorkers < control.workers) {
+    return;
+  }
+  
+  control.lockReleased = true;
+  control.activeOperations.delete(control.guild.id);
+  console.log(`Export paused for guild ${control.guild.name} (${control.guild.id}); ${exportState.processedChannels}/${exportState.totalChannels} channels processed`);
+  updateStatusMessage(control.statusMessage, exportState, control.guild, true);
+}
+
+/**
+ * Wake every parked worker after the export was resumed or cancelled
+ * @param {Object} control - exportState.control
+ */
+function wakeParkedWorkers(control) {
+  const waiters = control.waiters;
+  control.waiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Wait until no other operation runs in the guild, then take the operation lock back
+ * @param {Object} control - exportState.control
+ */
+async function reacquireOperationLock(control) {
+  while (control.activeOperations.has(control.guild.id)) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  control.activeOperations.add(control.guild.id);
+  control.lockReleased = false;
+}
+
 async function processChannelsInParallel(channels, exportState, statusMessage, guild) {
-  // Create a queue for processing channels with controlled concurrency
+  // Largest channels first, so they don't end up running alone at the end of the export
+  try {
+    channels = await prioritizeChannels(monitor.getDatabase(guild.id), channels, exportState.options);
+    console.log(`Channel order by estimated size: ${channels.slice(0, 5)
+      .map(channelObj => `${channelObj.channel.name} (~${channelObj.estimatedMessages})`).join(', ')}${channels.length > 5 ? ', ...' : ''}`);
+  } catch (error) {
+    console.error('Error estimating channel sizes, keeping the default order:', error);
+  }
+  
+  // Shared queue position; each worker takes the next channel when it finishes one
   let currentIndex = 0;
+  const control = exportState.control;
+  const scheduler = createExportScheduler(guild.client, exportState, new Set(channels.map(channelObj => channelObj.channel.id)));
+  exportState.scheduler = scheduler;
   
-  // Process function that takes from the queue
-  const processNext = async () => {
-    if (currentIndex >= channels.length) return;
-    
-    const channelIndex = currentIndex++;
-    const channelObj = channels[channelIndex];
-    const channel = channelObj.channel;
-    
-    exportState.runningTasksCount++;
-    exportState.currentChannel = channel;
-    exportState.currentChannelIndex = channelIndex + 1;
-    exportState.messagesInCurrentChannel = 0;
-    
-    // Store the channel in the active channels list
-    exportState.activeChannels.set(channel.id, channel.name);
-    
-    console.log(`Processing channel ${channelIndex + 1}/${channels.length}: ${channel.name} (${channel.id})`);
+  const worker = async () => {
+    control.workers++;
     
     try {
-      await fetchMessagesFromChannel(channel, exportState, statusMessage, guild);
-    } catch (error) {
-      console.error(`Error processing channel ${channel.name}:`, error);
+      while (currentIndex < channels.length) {
+        // Give up this worker when the scheduler has lowered the concurrency
+        if (control.workers > scheduler.concurrency) return;
+        
+        // Pausing and cancelling also take effect between channels
+        if (await reachedControlPoint(exportState)) return;
+        if (currentIndex >= channels.length) return;
+        
+        const channelIndex = currentIndex++;
+        const channelObj = channels[channelIndex];
+        const channel = channelObj.channel;
+        
+        exportState.runningTasksCount++;
+        exportState.currentChannel = channel;
+        exportState.currentChannelIndex = channelIndex + 1;
+        exportState.messagesInCurrentChannel = 0;
+        exportState.channelMessageCounts.set(channel.id, { name: channel.name, messages: 0 });
+        
+        // Store the channel in the active channels list
+        exportState.activeChannels.set(channel.id, channel.name);
+        
+        console.log(`Processing channel ${channelIndex + 1}/${channels.length}: ${channel.name} (${channel.id})`);
+        
+        try {
+          await fetchMessagesFromChannel(channel, exportState, statusMessage, guild);
+        } catch (error) {
+          console.error(`Error processing channel ${channel.name}:`, error);
+        } finally {
+          exportState.runningTasksCount--;
+          exportState.processedChannels++;
+          // Remove channel from active channels list
+          exportState.activeChannels.delete(channel.id);
+        }
+      }
     } finally {
-      exportState.runningTasksCount--;
-      exportState.processedChannels++;
-      // Remove channel from active channels list
-      exportState.activeChannels.delete(channel.id);
-      // Always process next to ensure we continue even after errors
-      processNext();
+      control.workers--;
+      // The remaining workers may all be parked already
+      releaseLockIfPaused(exportState);
     }
   };
   
-  // Start initial batch of tasks
-  const initialBatch = Math.min(MAX_CONCURRENT_REQUESTS, channels.length);
-  const initialPromises = [];
-  
-  for (let i = 0; i < initialBatch; i++) {
-    initialPromises.push(processNext());
-  }
-  
-  // Wait for all channels to complete processing
-  await Promise.all(initialPromises);
+  // Start workers up to the current concurrency; more are added when the scheduler raises it
+  const workers = new Set();
+  const spawnWorkers = () => {
+    while (control.workers < Math.min(scheduler.concurrency, channels.length - currentIndex)) {
+      const running = worker().finally(() => workers.delete(running));
+      workers.add(running);
+    }
+  };
+  scheduler.hasPendingWork = () => currentIndex < channels.length;
+  scheduler.onConcurrencyChange = spawnWorkers;
   
-  // Wait until all concurrent tasks are done
-  while (exportState.runningTasksCount > 0) {
-    await new Promise(resolve => setTimeout(resolve, 100));
+  scheduler.start();
+  try {
+    spawnWorkers();
+    // Wait until the queue is drained or the export is cancelled, including workers added meanwhile
+    while (workers.size > 0) {
+      await Promise.all([...workers]);
+    }
+  } finally {
+    scheduler.stop();
   }
 }
 
 // Helper function to get channel info from the database with proper sanitization
-async function getChannelInfo(channelId) {
+async function getChannelInfo(guildId, channelId) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guildId);
     if (!db) {
       console.log("Database not initialized, returning null");
       resolve(null);
@@ -336,7 +598,7 @@ async function getChannelInfo(channelId) {
     }
     
     const sql = `
-      SELECT id, name, fetchStarted, lastMessageId
+      SELECT id, name, fetchStarted, lastMessageId, oldestMessageId, historyComplete
       FROM channels
       WHERE id = ?
     `;
@@ -353,6 +615,114 @@ async function getChannelInfo(channelId) {
   });
 }
 
+/**
+ * Fetch every message posted in a channel after a given message ID
+ * @param {TextChannel} channel - The channel to fetch from
+ * @param {string} afterId - Only messages newer than this ID are fetched
+ * @param {Object|null} exportState - Export state for memory checks and pausing, or null outside an export
+ * @returns {Promise<{messages: Message[], highestMessageId: string|null, interrupted: boolean}>}
+ *   Messages oldest first, the newest ID seen, and whether a pause or cancel stopped the fetch early
+ */
+async function fetchMessagesAfter(channel, afterId, exportState = null) {
+  // Start with an empty array to collect all new messages
+  let newMessages = [];
+  
+  // We'll fetch in reverse chronological order (newest first)
+  let currentAfter = afterId;
+  let hasMoreMessages = true;
+  let batchCount = 0;
+  
+  // Track the highest message ID (newest message)
+  let highestMessageId = null;
+  let interrupted = false;
+  
+  // Keep fetching batches of messages until we've got them all
+  while (hasMoreMessages) {
+    // Stop at the batch boundary so the caller can store what we have before pausing
+    if (exportState && exportState.control.state !== 'running') {
+      interrupted = true;
+      break;
+    }
+    
+    batchCount++;
+    console.log(`Fetching batch ${batchCount} of newer messages with after=${currentAfter} in ${channel.name}`);
+    
+    // Use the after parameter to get messages newer than our reference point
+    const messages = await channel.messages.fetch({ 
+      limit: 100,
+      after: currentAfter
+    });
+    
+    console.log(`Fetched ${messages.size} messages after ${currentAfter} in ${channel.name}`);
+    
+    // If no messages, we're done
+    if (messages.size === 0) {
+      hasMoreMessages = false;
+      console.log(`No more new messages in ${channel.name} after batch ${batchCount}`);
+      continue;
+    }
+    
+    // For the first batch, the newest message will be the first one in the collection
+    // (Discord returns newest-first when using "after")
+    if (batchCount === 1 && messages.size > 0) {
+      // Get the first message from the collection (newest one)
+      const newestMessage = messages.first();
+      highestMessageId = newestMessage.id;
+      console.log(`Identified newest message ID: ${highestMessageId} from first batch`);
+    } else if (messages.size > 0) {
+      // Check if any message in this batch is newer than our current highest
+      const currentBatchNewest = messages.first().id;
+      
+      // Compare as BigInt to ensure proper numerical comparison
+      if (!highestMessageId || BigInt(currentBatchNewest) > BigInt(highestMessageId)) {
+        highestMessageId = currentBatchNewest;
+        console.log(`Updated highest message ID to: ${highestMessageId} from batch ${batchCount}`);
+      }
+    }
+    
+    // Discord returns newest-first when using "after", but we want oldest-first for processing
+    // So add them in the right order
+    const messagesArray = Array.from(messages.values());
+    
+    // Sort by ID ascending (oldest first)
+    messagesArray.sort((a, b) => {
+      const aId = BigInt(a.id);
+      const bId = BigInt(b.id);
+      return aId < bId ? -1 : aId > bId ? 1 : 0;
+    });
+    
+    // Add these messages to our collection
+    newMessages = [...newMessages, ...messagesArray];
+    console.log(`Added ${messagesArray.length} messages, total now: ${newMessages.length}`);
+    
+    // Update the reference point to get the next batch
+    // We need the highest ID (newest message) from this batch for the next "after" query
+    const batchHighestId = messagesArray.reduce((max, msg) => {
+      return BigInt(msg.id) > BigInt(max) ? msg.id : max;
+    }, messagesArray[0].id);
+    
+    currentAfter = batchHighestId;
+    console.log(`Updated currentAfter to ${currentAfter} for next batch`);
+    
+    // Discord pagination with "after" gives us newest messages first in each batch
+    // If we got less than 100, we've reached the end
+    if (messages.size < 100) {
+      hasMoreMessages = false;
+      console.log(`Reached newest messages for ${channel.name} after ${batchCount} batches`);
+    }
+
+    // Check memory usage occasionally
+    if (exportState && batchCount % 5 === 0) {
+      const memoryExceeded = await checkAndHandleMemoryUsage(exportState, 'PAGINATION_FETCH');
+      if (memoryExceeded) {
+        console.log(`Memory limit reached during pagination. Will continue but may need cleanup.`);
+      }
+    }
+  }
+  
+  return { messages: newMessages, highestMessageId, interrupted };
+}
+
 // fetchMessagesFromChannel function in exportguild.js - CORRECTED VERSION
 async function fetchMessagesFromChannel(channel, exportState, statusMessage, guild) {
   if (!channel.isTextBased()) {
@@ -362,25 +732,39 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
   
   // IMPORTANT: Initialize lastStoredMessageId here first before using it
   let lastStoredMessageId = null;
+  let oldestStoredMessageId = null;
+  let historyComplete = false;
   
   try {
     // Get channel info from database before marking as fetching started
-    const channelInfo = await getChannelInfo(channel.id);
+    const channelInfo = await getChannelInfo(guild.id, channel.id);
     if (channelInfo && channelInfo.lastMessageId) {
       lastStoredMessageId = channelInfo.lastMessageId;
       console.log(`Found existing messages for channel ${channel.name} (${channel.id}), last message ID: ${lastStoredMessageId}`);
     }
+    if (channelInfo) {
+      oldestStoredMessageId = channelInfo.oldestMessageId;
+      historyComplete = channelInfo.historyComplete === 1;
+    }
   } catch (error) {
     console.error(`Error checking for existing messages in channel ${channel.name}:`, error);
   }
   
   // Now mark the channel as fetching started AFTER we've retrieved the lastStoredMessageId
-  await monitor.markChannelFetchingStarted(channel.id, channel.name);
+  await monitor.markChannelFetchingStarted(guild.id, channel.id, channel.name);
   console.log(`Marked channel ${channel.name} (${channel.id}) for monitoring`);
   
+  // Date-bounded exports walk only the requested slice and leave the incremental state alone
+  if (exportState.options.afterId || exportState.options.beforeId) {
+    await fetchMessagesInRange(channel, exportState, statusMessage, guild);
+    await monitor.markChannelFetchingCompleted(guild.id, channel.id, lastStoredMessageId);
+    return;
+  }
+  
   let lastMessageId = null;
   let keepFetching = true;
   let fetchCount = 0;
+  let cancelled = false;
   
   // For batch database operations
   let messageBatch = [];
@@ -418,161 +802,97 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
     try {
       console.log(`Using pagination to fetch messages after ID: ${lastStoredMessageId} in ${channel.name}`);
       
-      // Start with an empty array to collect all new messages
-      let newMessages = [];
+      let afterId = lastStoredMessageId;
       
-      // We'll fetch in reverse chronological order (newest first)
-      let currentAfter = lastStoredMessageId;
-      let hasMoreMessages = true;
-      let batchCount = 0;
-      
-      // Track the highest message ID (newest message)
-      let highestMessageId = null;
-      
-      // Keep fetching batches of messages until we've got them all
-      while (hasMoreMessages) {
-        batchCount++;
-        console.log(`Fetching batch ${batchCount} of newer messages with after=${currentAfter} in ${channel.name}`);
-        
-        // Use the after parameter to get messages newer than our reference point
-        const messages = await channel.messages.fetch({ 
-          limit: 100,
-          after: currentAfter
-        });
+      // A pause or cancel interrupts the fetch: what was fetched so far is stored and
+      // recorded as lastMessageId, then the fetch continues from there after a resume
+      while (true) {
+        const fetched = await fetchMessagesAfter(channel, afterId, exportState);
+        const newMessages = fetched.messages;
+        let highestMessageId = fetched.highestMessageId;
         
-        console.log(`Fetched ${messages.size} messages after ${currentAfter} in ${channel.name}`);
-        
-        // If no messages, we're done
-        if (messages.size === 0) {
-          hasMoreMessages = false;
-          console.log(`No more new messages in ${channel.name} after batch ${batchCount}`);
-          continue;
-        }
+        // Final count of all new messages
+        console.log(`Total new messages found in ${channel.name}: ${newMessages.length}`);
         
-        // For the first batch, the newest message will be the first one in the collection
-        // (Discord returns newest-first when using "after")
-        if (batchCount === 1 && messages.size > 0) {
-          // Get the first message from the collection (newest one)
-          const newestMessage = messages.first();
-          highestMessageId = newestMessage.id;
-          console.log(`Identified newest message ID: ${highestMessageId} from first batch`);
-        } else if (messages.size > 0) {
-          // Check if any message in this batch is newer than our current highest
-          const currentBatchNewest = messages.first().id;
+        if (newMessages.length > 0) {
+          // Use the highest message ID we tracked during fetching
+          // Make sure it's clean
+          if (highestMessageId) {
+            // Make sure it's a clean string with no spaces
+            highestMessageId = String(highestMessageId).replace(/\s+/g, '');
+          }
+          
+          // Filter out bot messages
+          const nonBotMessages = newMessages.filter(message => !message.author.bot);
+          exportState.messageDroppedCount += (newMessages.length - nonBotMessages.length);
+          exportState.messagesTotalProcessed += newMessages.length;
           
-          // Compare as BigInt to ensure proper numerical comparison
-          if (!highestMessageId || BigInt(currentBatchNewest) > BigInt(highestMessageId)) {
-            highestMessageId = currentBatchNewest;
-            console.log(`Updated highest message ID to: ${highestMessageId} from batch ${batchCount}`);
+          console.log(`Found ${nonBotMessages.length} new non-bot messages in ${channel.name}`);
+          
+          // Process and store these messages in batches
+          const DB_BATCH_SIZE = exportState.dbBatchSize;
+          for (let i = 0; i < nonBotMessages.length; i += DB_BATCH_SIZE) {
+            const batch = nonBotMessages.slice(i, i + DB_BATCH_SIZE);
+            try {
+              console.log(`Storing batch of ${batch.length} messages from ${channel.name}`);
+              await monitor.storeMessagesInDbBatch(batch);
+              exportState.messagesStoredInDb += batch.length;
+              countChannelMessages(exportState, channel, batch.length);
+              exportState.processedMessages += batch.length;
+            } catch (dbError) {
+              console.error(`Error storing messages batch from ${channel.name}:`, dbError);
+              exportState.dbErrors++;
+              
+              // Try individual storage if batch fails
+              for (const msg of batch) {
+                try {
+                  await monitor.storeMessageInDb(msg);
+                  exportState.messagesStoredInDb++;
+                  countChannelMessages(exportState, channel, 1);
+                  exportState.processedMessages++;
+                } catch (singleError) {
+                  console.error(`Error storing message ${msg.id}:`, singleError);
+                  exportState.dbErrors++;
+                }
+              }
+            }
+            
+            // Update status message
+            const currentTime = Date.now();
+            if (currentTime - exportState.lastStatusUpdateTime > exportState.statusUpdateInterval) {
+              exportState.lastStatusUpdateTime = currentTime;
+              updateStatusMessage(statusMessage, exportState, guild);
+            }
           }
+          
+          // Update the channel with the new lastMessageId
+          console.log(`Setting new lastMessageId to ${highestMessageId} for channel ${channel.name} (old ID: ${afterId})`);
+          await monitor.markChannelFetchingCompleted(guild.id, channel.id, highestMessageId);
+          afterId = highestMessageId;
         }
         
-        // Discord returns newest-first when using "after", but we want oldest-first for processing
-        // So add them in the right order
-        const messagesArray = Array.from(messages.values());
-        
-        // Sort by ID ascending (oldest first)
-        messagesArray.sort((a, b) => {
-          const aId = BigInt(a.id);
-          const bId = BigInt(b.id);
-          return aId < bId ? -1 : aId > bId ? 1 : 0;
-        });
-        
-        // Add these messages to our collection
-        newMessages = [...newMessages, ...messagesArray];
-        console.log(`Added ${messagesArray.length} messages, total now: ${newMessages.length}`);
-        
-        // Update the reference point to get the next batch
-        // We need the highest ID (newest message) from this batch for the next "after" query
-        const batchHighestId = messagesArray.reduce((max, msg) => {
-          return BigInt(msg.id) > BigInt(max) ? msg.id : max;
-        }, messagesArray[0].id);
-        
-        currentAfter = batchHighestId;
-        console.log(`Updated currentAfter to ${currentAfter} for next batch`);
-        
-        // Discord pagination with "after" gives us newest messages first in each batch
-        // If we got less than 100, we've reached the end
-        if (messages.size < 100) {
-          hasMoreMessages = false;
-          console.log(`Reached newest messages for ${channel.name} after ${batchCount} batches`);
+        if (!fetched.interrupted) {
+          break;
         }
-
-        // Check memory usage occasionally
-        if (batchCount % 5 === 0) {
-          const memoryExceeded = await checkAndHandleMemoryUsage(exportState, 'PAGINATION_FETCH');
-          if (memoryExceeded) {
-            console.log(`Memory limit reached during pagination. Will continue but may need cleanup.`);
-          }
+        if (await reachedControlPoint(exportState)) {
+          cancelled = true;
+          break;
         }
       }
       
-      // Final count of all new messages
-      console.log(`Total new messages found in ${channel.name}: ${newMessages.length}`);
-      
-      // If no new messages, we're done with this channel
-      if (newMessages.length === 0) {
+      if (afterId === lastStoredMessageId) {
         console.log(`No new messages in ${channel.name} since last fetch`);
         // Preserve the existing lastMessageId since nothing has changed
-        await monitor.markChannelFetchingCompleted(channel.id, lastStoredMessageId);
+        await monitor.markChannelFetchingCompleted(guild.id, channel.id, lastStoredMessageId);
         console.log(`Completed monitoring setup for channel: ${channel.name} (${channel.id}) - no changes`);
-        return;
-      }
-      
-      // Use the highest message ID we tracked during fetching
-      // Make sure it's clean
-      if (highestMessageId) {
-        // Make sure it's a clean string with no spaces
-        highestMessageId = String(highestMessageId).replace(/\s+/g, '');
+      } else {
+        console.log(`Completed monitoring setup for channel: ${channel.name} (${channel.id}) with updated lastMessageId`);
       }
       
-      // Filter out bot messages
-      const nonBotMessages = newMessages.filter(message => !message.author.bot);
-      exportState.messageDroppedCount += (newMessages.length - nonBotMessages.length);
-      exportState.messagesTotalProcessed += newMessages.length;
-      
-      console.log(`Found ${nonBotMessages.length} new non-bot messages in ${channel.name}`);
-      
-      // Process and store these messages in batches
-      const DB_BATCH_SIZE = exportState.dbBatchSize;
-      for (let i = 0; i < nonBotMessages.length; i += DB_BATCH_SIZE) {
-        const batch = nonBotMessages.slice(i, i + DB_BATCH_SIZE);
-        try {
-          console.log(`Storing batch of ${batch.length} messages from ${channel.name}`);
-          await monitor.storeMessagesInDbBatch(batch);
-          exportState.messagesStoredInDb += batch.length;
-          exportState.messagesInCurrentChannel += batch.length;
-          exportState.processedMessages += batch.length;
-        } catch (dbError) {
-          console.error(`Error storing messages batch from ${channel.name}:`, dbError);
-          exportState.dbErrors++;
-          
-          // Try individual storage if batch fails
-          for (const msg of batch) {
-            try {
-              await monitor.storeMessageInDb(msg);
-              exportState.messagesStoredInDb++;
-              exportState.messagesInCurrentChannel++;
-              exportState.processedMessages++;
-            } catch (singleError) {
-              console.error(`Error storing message ${msg.id}:`, singleError);
-              exportState.dbErrors++;
-            }
-          }
-        }
-        
-        // Update status message
-        const currentTime = Date.now();
-        if (currentTime - exportState.lastStatusUpdateTime > STATUS_UPDATE_INTERVAL) {
-          exportState.lastStatusUpdateTime = currentTime;
-          updateStatusMessage(statusMessage, exportState, guild);
-        }
+      // An earlier export may have stopped before reaching the start of the channel
+      if (!cancelled && !historyComplete) {
+        await backfillChannelHistory(channel, exportState, statusMessage, guild, oldestStoredMessageId || lastStoredMessageId);
       }
-      
-      // Update the channel with the new lastMessageId
-      console.log(`Setting new lastMessageId to ${highestMessageId} for channel ${channel.name} (old ID: ${lastStoredMessageId})`);
-      await monitor.markChannelFetchingCompleted(channel.id, highestMessageId);
-      console.log(`Completed monitoring setup for channel: ${channel.name} (${channel.id}) with updated lastMessageId`);
       return;
       
     } catch (error) {
@@ -589,9 +909,24 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
   // For the standard fetch method, we need to track the newest message ID
   // This will be different from lastMessageId which is used for pagination
   let newestMessageId = null;
+  let reachedStart = false;
   
   while (keepFetching) {
     try {
+      // Pause or cancel between batches, after storing the pending batch
+      if (exportState.control.state !== 'running') {
+        if (messageBatch.length > 0) {
+          await storeMessageBatch(messageBatch, exportState);
+          messageBatch = [];
+        }
+        if (await reachedControlPoint(exportState)) {
+          console.log(`Export cancelled while fetching ${channel.name}`);
+          cancelled = true;
+          keepFetching = false;
+          continue;
+        }
+      }
+      
       // Check memory usage every 5 fetch operations
       if (fetchCount % 5 === 0) {
         const memoryExceeded = await checkAndHandleMemoryUsage(exportState, 'FETCH_CYCLE');
@@ -628,6 +963,7 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
       if (messages.size === 0) {
         console.log(`No more messages in ${channel.name}`);
         keepFetching = false;
+        reachedStart = true;
         
         // Flush any remaining messages in the batch
         if (messageBatch.length > 0) {
@@ -693,7 +1029,7 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
             // Process each non-bot message
             for (const message of nonBotMessages) {
               messageBatch.push(message);
-              exportState.messagesInCurrentChannel++;
+              countChannelMessages(exportState, channel, 1);
               exportState.processedMessages++;
             }
             
@@ -735,10 +1071,10 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
       for (const message of nonBotMessages) {
         // Add to database batch
         messageBatch.push(message);
-        exportState.messagesInCurrentChannel++;
+        countChannelMessages(exportState, channel, 1);
         
         // If batch reaches the configured size, store in database
-        if (messageBatch.length >= DB_BATCH_SIZE) {
+        if (messageBatch.length >= exportState.dbBatchSize) {
           try {
             console.log(`Inserting batch of ${messageBatch.length} messages into database`);
             await monitor.storeMessagesInDbBatch(messageBatch);
@@ -769,7 +1105,7 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
       
       // Update status based on configured interval
       const currentTime = Date.now();
-      if (currentTime - exportState.lastStatusUpdateTime > STATUS_UPDATE_INTERVAL) {
+      if (currentTime - exportState.lastStatusUpdateTime > exportState.statusUpdateInterval) {
         exportState.lastStatusUpdateTime = currentTime;
         updateStatusMessage(statusMessage, exportState, guild);
       }
@@ -778,6 +1114,7 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
       if (messages.size < 100) {
         console.log(`Reached end of messages for ${channel.name}`);
         keepFetching = false;
+        reachedStart = true;
         
         // Flush any remaining messages in the batch
         if (messageBatch.length > 0) {
@@ -853,14 +1190,249 @@ async function fetchMessagesFromChannel(channel, exportState, statusMessage, gui
   // 1. The newest message ID if we found one
   // 2. The current lastMessageId we used for pagination
   // 3. The previously stored ID as fallback
-  const idToStore = newestMessageId || lastMessageId || lastStoredMessageId;
+  // A cancelled fallback walk stopped partway down, above messages that are still missing;
+  // keep the previous value and let the next export walk the channel again.
+  // A first export records how far down it got instead, and later exports backfill the rest.
+  const idToStore = cancelled && lastStoredMessageId
+    ? lastStoredMessageId
+    : newestMessageId || lastMessageId || lastStoredMessageId;
   
   // Clean the ID to ensure no spaces
   const cleanIdToStore = idToStore ? String(idToStore).replace(/\s+/g, '') : null;
   
   console.log(`Standard fetch completed. Saving lastMessageId: ${cleanIdToStore}`);
-  await monitor.markChannelFetchingCompleted(channel.id, cleanIdToStore);
+  await monitor.markChannelFetchingCompleted(guild.id, channel.id, cleanIdToStore);
   console.log(`Completed monitoring setup for channel: ${channel.name} (${channel.id})`);
+  
+  if (!lastStoredMessageId) {
+    // The walk went down from the newest message; lastMessageId is the oldest one it reached
+    await monitor.recordChannelHistory(guild.id, channel.id, lastMessageId, reachedStart);
+  } else if (!cancelled && !historyComplete) {
+    await backfillChannelHistory(channel, exportState, statusMessage, guild, oldestStoredMessageId || lastStoredMessageId);
+  }
+}
+
+// Store a batch of messages, falling back to one-by-one inserts if the batch insert fails
+async function storeMessageBatch(batch, exportState) {
+  try {
+    await monitor.storeMessagesInDbBatch(batch);
+    exportState.messagesStoredInDb += batch.length;
+  } catch (dbError) {
+    console.error('Error inserting message batch into database:', dbError);
+    exportState.dbErrors++;
+    
+    for (const batchMessage of batch) {
+      try {
+        await monitor.storeMessageInDb(batchMessage);
+        exportState.messagesStoredInDb++;
+      } catch (singleError) {
+        console.error(`Error inserting individual message ${batchMessage.id}:`, singleError);
+        exportState.dbErrors++;
+      }
+    }
+  }
+}
+
+// Page backwards from beforeId until the start of the channel, storing everything older than
+// what is archived. Progress is recorded after every stored batch so an interrupted backfill
+// resumes where it stopped; the channel is marked fully archived once the first message is reached.
+async function backfillChannelHistory(channel, exportState, statusMessage, guild, beforeId) {
+  let before = beforeId;
+  let fetchCount = 0;
+  let messageBatch = [];
+  let keepFetching = true;
+  let reachedStart = false;
+  
+  // Store the pending batch, then move the oldest archived marker down to the page cursor
+  const flush = async () => {
+    if (messageBatch.length > 0) {
+      await storeMessageBatch(messageBatch, exportState);
+      messageBatch = [];
+    }
+    await monitor.recordChannelHistory(guild.id, channel.id, before, false);
+  };
+  
+  console.log(`Backfilling older history for ${channel.name} before ${beforeId}`);
+  
+  while (keepFetching) {
+    try {
+      // Pause or cancel between batches, after storing the pending batch
+      if (exportState.control.state !== 'running') {
+        await flush();
+        if (await reachedControlPoint(exportState)) {
+          console.log(`Export cancelled while backfilling ${channel.name}`);
+          break;
+        }
+      }
+      
+      if (fetchCount % 5 === 0) {
+        await checkAndHandleMemoryUsage(exportState, 'HISTORY_BACKFILL');
+      }
+      
+      fetchCount++;
+      const batchStartTime = Date.now();
+      const messages = await channel.messages.fetch({ limit: 100, before });
+      console.log(`Fetched ${messages.size} older messages from ${channel.name} (backfill batch ${fetchCount})`);
+      
+      if (messages.size === 0) {
+        reachedStart = true;
+        break;
+      }
+      
+      const batchDuration = (Date.now() - batchStartTime) / 1000;
+      if (batchDuration > 0) {
+        exportState.channelBatchSpeed.set(channel.id, (messages.size / batchDuration).toFixed(2));
+      }
+      
+      const nonBotMessages = Array.from(messages.values()).filter(message => !message.author.bot);
+      exportState.messagesTotalProcessed += messages.size;
+      exportState.messageDroppedCount += (messages.size - nonBotMessages.length);
+      
+      for (const message of nonBotMessages) {
+        messageBatch.push(message);
+        countChannelMessages(exportState, channel, 1);
+        exportState.processedMessages++;
+      }
+      
+      before = messages.last().id;
+      if (messageBatch.length >= exportState.dbBatchSize) {
+        await flush();
+      }
+      
+      if (messages.size < 100) {
+        reachedStart = true;
+        keepFetching = false;
+      }
+      
+      const currentTime = Date.now();
+      if (currentTime - exportState.lastStatusUpdateTime > exportState.statusUpdateInterval) {
+        exportState.lastStatusUpdateTime = currentTime;
+        updateStatusMessage(statusMessage, exportState, guild);
+      }
+    } catch (error) {
+      if (error.code === 10008 || error.code === 50001) {
+        console.log(`Skipping channel ${channel.name}: ${error.message}`);
+        keepFetching = false;
+      } else if (error.httpStatus === 429 || error.code === 'RateLimitedError') {
+        exportState.rateLimitHits++;
+        const retryAfter = error.retry_after || error.timeout || 1000;
+        console.log(`Rate limited in ${channel.name}, waiting ${retryAfter}ms`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter));
+      } else {
+        console.error(`Error backfilling history from ${channel.name}:`, error);
+        keepFetching = false;
+      }
+    }
+  }
+  
+  await flush();
+  if (reachedStart) {
+    await monitor.recordChannelHistory(guild.id, channel.id, before, true);
+    console.log(`Reached the start of ${channel.name}; full history archived`);
+  }
+}
+
+// Fetch only the messages between exportState.options.afterId and beforeId.
+// Pages backwards from the end of the range and stops as soon as a page reaches its start.
+async function fetchMessagesInRange(channel, exportState, statusMessage, guild) {
+  const { afterId, beforeId } = exportState.options;
+  const lowerBound = afterId ? BigInt(afterId) : null;
+  let before = beforeId;
+  let fetchCount = 0;
+  let messageBatch = [];
+  let keepFetching = true;
+  
+  console.log(`Fetching messages in range for ${channel.name} (after: ${afterId || 'none'}, before: ${beforeId || 'none'})`);
+  
+  while (keepFetching) {
+    try {
+      // Pause or cancel between batches, after storing the pending batch
+      if (exportState.control.state !== 'running') {
+        if (messageBatch.length > 0) {
+          await storeMessageBatch(messageBatch, exportState);
+          messageBatch = [];
+        }
+        if (await reachedControlPoint(exportState)) {
+          console.log(`Export cancelled while fetching ${channel.name}`);
+          break;
+        }
+      }
+      
+      if (fetchCount % 5 === 0) {
+        await checkAndHandleMemoryUsage(exportState, 'RANGE_FETCH');
+      }
+      
+      const fetchOptions = { limit: 100 };
+      if (before) {
+        fetchOptions.before = before;
+      }
+      
+      fetchCount++;
+      const batchStartTime = Date.now();
+      const messages = await channel.messages.fetch(fetchOptions);
+      console.log(`Fetched ${messages.size} messages from ${channel.name} (range batch ${fetchCount})`);
+      
+      if (messages.size === 0) {
+        break;
+      }
+      
+      const batchDuration = (Date.now() - batchStartTime) / 1000;
+      if (batchDuration > 0) {
+        exportState.channelBatchSpeed.set(channel.id, (messages.size / batchDuration).toFixed(2));
+      }
+      
+      // Keep only messages after the start of the range
+      const inRange = Array.from(messages.values())
+        .filter(message => lowerBound === null || BigInt(message.id) > lowerBound);
+      const nonBotMessages = inRange.filter(message => !message.author.bot);
+      
+      exportState.messagesTotalProcessed += inRange.length;
+      exportState.messageDroppedCount += (inRange.length - nonBotMessages.length);
+      
+      for (const message of nonBotMessages) {
+        messageBatch.push(message);
+        countChannelMessages(exportState, channel, 1);
+        exportState.processedMessages++;
+        
+        if (messageBatch.length >= exportState.dbBatchSize) {
+          await storeMessageBatch(messageBatch, exportState);
+          messageBatch = [];
+        }
+      }
+      
+      before = messages.last().id;
+      
+      // Stop at the end of the channel or once this page crossed the start of the range
+      if (messages.size < 100 || inRange.length < messages.size) {
+        keepFetching = false;
+      }
+      
+      const currentTime = Date.now();
+      if (currentTime - exportState.lastStatusUpdateTime > exportState.statusUpdateInterval) {
+        exportState.lastStatusUpdateTime = currentTime;
+        updateStatusMessage(statusMessage, exportState, guild);
+      }
+    } catch (error) {
+      if (error.code === 10008 || error.code === 50001) {
+        console.log(`Skipping channel ${channel.name}: ${error.message}`);
+        keepFetching = false;
+      } else if (error.httpStatus === 429 || error.code === 'RateLimitedError') {
+        exportState.rateLimitHits++;
+        const retryAfter = error.retry_after || error.timeout || 1000;
+        console.log(`Rate limited in ${channel.name}, waiting ${retryAfter}ms`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter));
+      } else {
+        console.error(`Error fetching messages in range from ${channel.name}:`, error);
+        keepFetching = false;
+      }
+    }
+  }
+  
+  if (messageBatch.length > 0) {
+    await storeMessageBatch(messageBatch, exportState);
+  }
+  
+  console.log(`Range fetch completed for ${channel.name}: ${exportState.messagesInCurrentChannel} messages stored`);
 }
 
 // Extract message metadata - this function is still needed for monitor.js
@@ -913,7 +1485,7 @@ async function updateStatusMessage(statusMessage, exportState, guild, isFinal =
   if (!isFinal) {
     statusUpdateTimeout = setTimeout(() => {
       statusUpdateTimeout = null;
-    }, STATUS_UPDATE_INTERVAL);
+    }, exportState.statusUpdateInterval);
   }
   
   // Get memory usage for status message
@@ -958,15 +1530,39 @@ async function updateStatusMessage(statusMessage, exportState, guild, isFinal =
   // Build status message
   let status = `Guild Database Import Status (#${exportNumber})\n`;
   
-  if (isFinal) {
-    status += `✅ Import completed! ${exportState.processedMessages.toLocaleString()} non-bot messages saved to database\n`;
+  const control = exportState.control;
+  
+  if (control.state === 'paused' && control.lockReleased) {
+    status += `⏸️ Import paused. Use \`!exportguild resume\` to continue or \`!exportguild cancel\` to stop\n`;
+  } else if (isFinal) {
+    if (control.state === 'cancelled') {
+      status += `⏹️ Import cancelled. ${exportState.processedMessages.toLocaleString()} non-bot messages saved to database\n`;
+    } else {
+      status += `✅ Import completed! ${exportState.processedMessages.toLocaleString()} non-bot messages saved to database\n`;
+    }
         
     if (exportState.dbErrors > 0) {
       status += `⚠️ Database errors encountered: ${exportState.dbErrors}\n`;
     }
     
+    // Channels count as fully archived only once an export has paged back to their first message
+    try {
+      const coverage = await dbGet(monitor.getDatabase(guild.id), `
+        SELECT COUNT(*) AS total, COALESCE(SUM(historyComplete), 0) AS complete
+        FROM channels
+        WHERE COALESCE(deleted, 0) = 0
+      `);
+      status += `📚 Full history archived for ${coverage.complete}/${coverage.total} channels\n`;
+    } catch (coverageError) {
+      console.error('Error counting archived channel history:', coverageError);
+    }
+    
     // Add database name
-    status += `💾 Database file: ${monitor.getCurrentDatabaseFilename()}\n`;
+    status += `💾 Database file: ${monitor.getCurrentDatabaseFilename(guild.id)}\n`;
+  } else if (control.state === 'paused') {
+    status += `⏸️ Pausing after the current batches...\n`;
+  } else if (control.state === 'cancelled') {
+    status += `⏹️ Cancelling after the current batches...\n`;
   } else if (exportState.activeChannels.size > 0) {
     // Get all active channel names
     const channelNames = Array.from(exportState.activeChannels.values());
@@ -975,11 +1571,19 @@ async function updateStatusMessage(statusMessage, exportState, guild, isFinal =
     status += `🔄 Initializing database import...\n`;
   }
   
+  const optionsDescription = describeExportOptions(exportState.options);
+  if (optionsDescription) {
+    status += `📅 Partial export: ${optionsDescription}\n`;
+  }
+  
   status += `📊 Processed ${exportState.processedMessages.toLocaleString()} non-bot messages from ${guild.name}\n`;
     status += `⚡ Processing speed: ${currentSpeed} msg/sec (${avgMessagesPerSecond} average)\n`;
     status += `📈 Progress: ${exportState.processedChannels}/${exportState.totalChannels} channels (${Math.round(exportState.processedChannels / exportState.totalChannels * 100)}%)\n`;
   
   status += `🚦 Rate limit hits: ${exportState.rateLimitHits}\n`;
+  if (exportState.scheduler && !isFinal) {
+    status += `⚙️ Channel concurrency: ${exportState.scheduler.concurrency} (adapts between ${exportState.scheduler.minConcurrency} and ${exportState.scheduler.maxConcurrency})\n`;
+  }
   // Add memory usage info
 
   status += `⏱️ Time elapsed: ${hours}h ${minutes}m ${seconds}s\n`;
@@ -993,7 +1597,77 @@ async function updateStatusMessage(statusMessage, exportState, guild, isFinal =
   }
 }
 
-async function handleExportGuild(message, client) {
+/**
+ * Record the outcome of the run in export_runs; history problems never fail the export itself
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} exportState - Export state
+ * @param {string} status - 'completed', 'cancelled' or 'failed'
+ * @param {string|null} errorMessage - Why the run failed
+ */
+async function recordExportRunEnd(guild, exportState, status, errorMessage = null) {
+  if (!exportState.runId) return;
+  
+  try {
+    await exportHistory.finishExportRun(monitor.getDatabase(guild.id), exportState.runId, exportState, status, errorMessage);
+  } catch (historyError) {
+    console.error(`Error recording the end of export run #${exportState.runId}:`, historyError);
+  }
+}
+
+/**
+ * Handle !exportguild cancel, pause and resume for the export running in the guild
+ * @param {Message} message - The command message
+ * @param {string} action - 'cancel', 'pause' or 'resume'
+ * @param {Set<string>} activeOperations - Guild IDs with an operation in progress
+ */
+async function handleExportControl(message, action, activeOperations) {
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+  
+  const exportState = runningExports.get(message.guild.id);
+  if (!exportState) {
+    return message.reply('No export is fetching messages in this guild right now.');
+  }
+  
+  const control = exportState.control;
+  console.log(`Export ${action} requested by ${message.author.tag} for guild ${message.guild.name} (${message.guild.id})`);
+  
+  if (action === 'cancel') {
+    if (control.state === 'cancelled') {
+      return message.reply('The export is already being cancelled.');
+    }
+    control.state = 'cancelled';
+    wakeParkedWorkers(control);
+    return message.reply('⏹️ Cancelling the export. Messages fetched so far are saved and it stops after the current batches.');
+  }
+  
+  if (action === 'pause') {
+    if (control.state !== 'running') {
+      return message.reply(`The export is already ${control.state}.`);
+    }
+    control.state = 'paused';
+    return message.reply('⏸️ Pausing the export after the current batches. Use `!exportguild resume` to continue.');
+  }
+  
+  // Resume
+  if (control.state !== 'paused') {
+    return message.reply(`The export is not paused (it is ${control.state}).`);
+  }
+  if (control.lockReleased) {
+    // Another command may have started while the export was paused
+    if (activeOperations.has(message.guild.id)) {
+      return message.reply('Another operation is running for this guild. Try again once it has finished.');
+    }
+    activeOperations.add(message.guild.id);
+    control.lockReleased = false;
+  }
+  control.state = 'running';
+  wakeParkedWorkers(control);
+  return message.reply('▶️ Resuming the export.');
+}
+
+async function handleExportGuild(message, client, args = [], activeOperations = new Set()) {
   const guild = message.guild;
   
   console.log(`Starting database import for guild: ${guild.name} (${guild.id})`);
@@ -1004,6 +1678,25 @@ async function handleExportGuild(message, client) {
     return message.reply('You need administrator permissions to use this command.');
   }
   
+  // A paused export no longer holds the guild's operation lock, so check for it here
+  if (runningExports.has(guild.id)) {
+    return message.reply('An export is paused in this guild. Use `!exportguild resume` or `!exportguild cancel` first.');
+  }
+  
+  let options;
+  try {
+    options = parseExportOptions(args, guild);
+  } catch (optionError) {
+    return message.reply(
+      `${optionError.message}\n` +
+      'Usage: `!exportguild [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--channels #a #b] [--category name]`'
+    );
+  }
+  
+  if (isPartialExport(options)) {
+    console.log(`Partial export requested: ${describeExportOptions(options)}`);
+  }
+  
   // Create status message
   const statusMessage = await message.channel.send(
     `Guild Database Import Status (#1)\n` +
@@ -1013,25 +1706,25 @@ async function handleExportGuild(message, client) {
   // Check if database needs initialization without relying on initializedGuilds
   try {
     // Check if database is already initialized by getting the database instance
-    const currentDb = monitor.getDatabase();
+    const currentDb = monitor.getDatabase(guild.id);
     if (!currentDb) {
       console.log(`Database not yet initialized for guild ${guild.name}, initializing now`);
       await monitor.initializeDatabase(guild);
       
       // Get the database from monitor and initialize WAL manager
-      const db = monitor.getDatabase();
+      const db = monitor.getDatabase(guild.id);
       if (db) {
-        await walManager.initialize(client, db);
+        await walManager.initialize(client, guild.id);
       }
       
       console.log(`Database initialized for guild ${guild.name} (${guild.id})`);
-      console.log(`Using database: ${monitor.getCurrentDatabasePath()}`);
+      console.log(`Using database: ${monitor.getCurrentDatabasePath(guild.id)}`);
     }
   } catch (dbError) {
     console.error('Error initializing database:', dbError);
   }
   
-  console.log(`Using database at ${monitor.getCurrentDatabasePath()}`);
+  console.log(`Using database at ${monitor.getCurrentDatabasePath(guild.id)}`);
   
   // Initialize export state
   const exportState = {
@@ -1054,8 +1747,22 @@ async function handleExportGuild(message, client) {
     runningTasksCount: 0,
     saveInProgress: false,
     memoryLimit: MEMORY_LIMIT_BYTES,
-    dbBatchSize: DB_BATCH_SIZE,
+    dbBatchSize: getGuildConfig(guild.id, 'dbBatchSize'),
+    statusUpdateInterval: getGuildConfig(guild.id, 'statusUpdateInterval'),
+    options, // Date range and channel selection from the command
+    // Pause/resume/cancel state shared by the channel workers (see handleExportControl)
+    control: {
+      state: 'running',
+      workers: 0,
+      parkedWorkers: 0,
+      waiters: [],
+      lockReleased: false,
+      activeOperations,
+      guild,
+      statusMessage
+    },
     activeChannels: new Map(), // Map to track active channels (id -> name)
+    channelMessageCounts: new Map(), // Messages stored per channel (id -> { name, messages })
     channelBatchSpeed: new Map() // Map to track current batch speed for each channel
   };
   
@@ -1070,13 +1777,41 @@ async function handleExportGuild(message, client) {
   // Set up status update timer
   const statusUpdateTimer = setInterval(async () => {
     await updateStatusMessage(statusMessage, exportState, guild);
-  }, STATUS_UPDATE_INTERVAL);
+  }, exportState.statusUpdateInterval);
   
   try {
     // Get all channels in the guild that are actually visible
-    const allChannels = await fetchVisibleChannels(guild);
+    const allChannels = await fetchVisibleChannels(guild, options);
     exportState.totalChannels = allChannels.length;
     
+    try {
+      exportState.runId = await exportHistory.startExportRun(monitor.getDatabase(guild.id), {
+        startedBy: message.author,
+        parameters: {
+          args: args.slice(1),
+          from: options.from,
+          to: options.to,
+          channelIds: options.channelIds ? [...options.channelIds] : null,
+          categoryIds: options.categoryIds ? [...options.categoryIds] : null
+        },
+        scope: describeExportOptions(options) || 'full',
+        channelsTotal: allChannels.length
+      });
+      console.log(`Recorded export run #${exportState.runId} for guild ${guild.name}`);
+    } catch (historyError) {
+      console.error('Error recording export run:', historyError);
+    }
+    
+    if (allChannels.length === 0 && isPartialExport(options)) {
+      await recordExportRunEnd(guild, exportState, 'completed');
+      clearInterval(statusUpdateTimer);
+      await statusMessage.edit(
+        `Guild Database Import Status\n` +
+        `⚠️ No readable channels matched the export options (${describeExportOptions(options)}).`
+      );
+      return;
+    }
+    
     console.log(`Found ${allChannels.length} visible channels to process`);
     
     // Store channel metadata in database
@@ -1084,11 +1819,11 @@ async function handleExportGuild(message, client) {
   const channel = channelObj.channel;
   try {
     // Get any existing channel info before updating
-    const channelInfo = await getChannelInfo(channel.id);
+    const channelInfo = await getChannelInfo(guild.id, channel.id);
     
     // If the channel exists and has a lastMessageId, use markChannelFetchingStarted
     // which will preserve the lastMessageId
-    await monitor.markChannelFetchingStarted(channel.id, channel.name);
+    await monitor.markChannelFetchingStarted(guild.id, channel.id, channel.name);
     
     console.log(`Updated channel info for ${channel.name} (${channel.id})${
       channelInfo && channelInfo.lastMessageId ? ` with existing lastMessageId: ${channelInfo.lastMessageId}` : ''
@@ -1099,27 +1834,53 @@ async function handleExportGuild(message, client) {
 }
     
     // Process channels in parallel with controlled concurrency
-    await processChannelsInParallel(allChannels, exportState, statusMessage, guild);
+    runningExports.set(guild.id, exportState);
+    try {
+      await processChannelsInParallel(allChannels, exportState, statusMessage, guild);
+    } finally {
+      runningExports.delete(guild.id);
+    }
+    
+    // Cancelling a paused export wakes it without the operation lock
+    if (exportState.control.lockReleased) {
+      await reacquireOperationLock(exportState.control);
+    }
+    
+    if (exportState.control.state === 'cancelled') {
+      clearInterval(statusUpdateTimer);
+      await monitor.storeGuildMetadata(guild.id, 'import_cancelled_at', new Date().toISOString());
+      await monitor.storeGuildMetadata(guild.id, 'messages_stored_in_db', exportState.messagesStoredInDb.toString());
+      await recordExportRunEnd(guild, exportState, 'cancelled');
+      await updateStatusMessage(statusMessage, exportState, guild, true);
+      
+      // Channels that were fetched keep being monitored
+      await monitor.loadFetchedChannelsState(guild.id);
+      console.log(`Database import cancelled for guild: ${guild.name} (${guild.id})`);
+      return;
+    }
     
     // Check for duplicates in the database after export is complete
-    const duplicates = await monitor.checkForDuplicates();
+    const duplicates = await monitor.checkForDuplicates(guild.id);
     console.log(`Database duplicate check complete. Found ${duplicates} duplicate message IDs.`);
     
     // Store final metadata in the database
     try {
-      await monitor.storeGuildMetadata('import_completed_at', new Date().toISOString());
-      await monitor.storeGuildMetadata('total_messages_processed', exportState.messagesTotalProcessed.toString());
-      await monitor.storeGuildMetadata('total_non_bot_messages', exportState.processedMessages.toString());
-      await monitor.storeGuildMetadata('messages_stored_in_db', exportState.messagesStoredInDb.toString());
-      await monitor.storeGuildMetadata('bot_messages_filtered', exportState.messageDroppedCount.toString());
-      await monitor.storeGuildMetadata('database_errors', exportState.dbErrors.toString());
-      await monitor.storeGuildMetadata('export_duration_seconds', Math.floor((Date.now() - exportState.startTime) / 1000).toString());
-      await monitor.storeGuildMetadata('channels_processed', exportState.totalChannels.toString());
-      await monitor.storeGuildMetadata('rate_limit_hits', exportState.rateLimitHits.toString());
+      await monitor.storeGuildMetadata(guild.id, 'import_completed_at', new Date().toISOString());
+      await monitor.storeGuildMetadata(guild.id, 'total_messages_processed', exportState.messagesTotalProcessed.toString());
+      await monitor.storeGuildMetadata(guild.id, 'total_non_bot_messages', exportState.processedMessages.toString());
+      await monitor.storeGuildMetadata(guild.id, 'messages_stored_in_db', exportState.messagesStoredInDb.toString());
+      await monitor.storeGuildMetadata(guild.id, 'bot_messages_filtered', exportState.messageDroppedCount.toString());
+      await monitor.storeGuildMetadata(guild.id, 'database_errors', exportState.dbErrors.toString());
+      await monitor.storeGuildMetadata(guild.id, 'export_duration_seconds', Math.floor((Date.now() - exportState.startTime) / 1000).toString());
+      await monitor.storeGuildMetadata(guild.id, 'channels_processed', exportState.totalChannels.toString());
+      await monitor.storeGuildMetadata(guild.id, 'rate_limit_hits', exportState.rateLimitHits.toString());
+      await monitor.storeGuildMetadata(guild.id, 'export_scope', describeExportOptions(options) || 'full');
     } catch (metadataError) {
       console.error('Error storing final metadata:', metadataError);
     }
     
+    await recordExportRunEnd(guild, exportState, 'completed');
+    
 // Clear timers before the final status update
 clearInterval(statusUpdateTimer);
 // Then do the final status update
@@ -1140,13 +1901,13 @@ try {
   console.log(`Successfully stored member data: ${memberResult.memberCount} members with ${memberResult.roleCount || 0} roles`);
   
   // Store metadata about member export
-  await monitor.storeGuildMetadata('members_exported', memberResult.memberCount ? memberResult.memberCount.toString() : '0');
+  await monitor.storeGuildMetadata(guild.id, 'members_exported', memberResult.memberCount ? memberResult.memberCount.toString() : '0');
   
   // Fix for roleCount being undefined
   const roleCount = memberResult.roleCount !== undefined ? memberResult.roleCount.toString() : '0';
-  await monitor.storeGuildMetadata('member_roles_exported', roleCount);
+  await monitor.storeGuildMetadata(guild.id, 'member_roles_exported', roleCount);
   
-  await monitor.storeGuildMetadata('member_export_completed_at', new Date().toISOString());
+  await monitor.storeGuildMetadata(guild.id, 'member_export_completed_at', new Date().toISOString());
 }
   
   // Process left members after regular member processing
@@ -1157,20 +1918,20 @@ const leftMembersResult = await memberLeft.processLeftMembers(guild, 200, true);
 
     if (leftMembersResult.success) {
       console.log(`Successfully processed left members: ${leftMembersResult.addedCount} former members added to database`);
-      await monitor.storeGuildMetadata('left_members_processed', leftMembersResult.addedCount.toString());
-      await monitor.storeGuildMetadata('left_members_processed_at', new Date().toISOString());
+      await monitor.storeGuildMetadata(guild.id, 'left_members_processed', leftMembersResult.addedCount.toString());
+      await monitor.storeGuildMetadata(guild.id, 'left_members_processed_at', new Date().toISOString());
     } else {
       console.error('Error during left member processing:', leftMembersResult.error);
-      await monitor.storeGuildMetadata('left_member_processing_error', leftMembersResult.error);
+      await monitor.storeGuildMetadata(guild.id, 'left_member_processing_error', leftMembersResult.error);
     }
   } catch (leftMemberError) {
     console.error('Error during left member processing:', leftMemberError);
-    await monitor.storeGuildMetadata('left_member_processing_error', leftMemberError.message);
+    await monitor.storeGuildMetadata(guild.id, 'left_member_processing_error', leftMemberError.message);
   }
   
 } catch (memberError) {
   console.error('Error during member data export:', memberError);
-  await monitor.storeGuildMetadata('member_export_error', memberError.message);
+  await monitor.storeGuildMetadata(guild.id, 'member_export_error', memberError.message);
 }
     
     // IMPORTANT: Ensure monitoring is active after export completes
@@ -1178,7 +1939,7 @@ const leftMembersResult = await memberLeft.processLeftMembers(guild, 200, true);
     
     // Reload channel states to ensure monitoring picks up newly fetched channels
     try {
-      await monitor.loadFetchedChannelsState();
+      await monitor.loadFetchedChannelsState(guild.id);
       console.log(`Reloaded fetched channel states after export for monitoring`);
     } catch (channelStateError) {
       console.error('Error reloading channel states after export:', channelStateError);
@@ -1200,12 +1961,14 @@ const leftMembersResult = await memberLeft.processLeftMembers(guild, 200, true);
     
     try {
       // Store error information in metadata
-      await monitor.storeGuildMetadata('import_error', error.message);
-      await monitor.storeGuildMetadata('import_error_time', new Date().toISOString());
+      await monitor.storeGuildMetadata(guild.id, 'import_error', error.message);
+      await monitor.storeGuildMetadata(guild.id, 'import_error_time', new Date().toISOString());
     } catch (e) {
       console.error('Error saving error metadata:', e);
     }
     
+    await recordExportRunEnd(guild, exportState, 'failed', error.message);
+    
     await statusMessage.edit(`Error occurred during database import: ${error.message}`);
     
     // Even after error, try to ensure monitoring is active
@@ -1227,6 +1990,13 @@ const leftMembersResult = await memberLeft.processLeftMembers(guild, 200, true);
 
 // Export functions
 module.exports = {
+  parseExportOptions,
+  describeExportOptions,
+  fetchVisibleChannels,
+  fetchMessagesAfter,
   handleExportGuild,
+  handleExportControl,
+  getRunningExports,
+  checkMemoryUsage,
   extractMessageMetadata // Still needed for other modules
-};
\ No newline at end of file
+};
\ No newline at end of file
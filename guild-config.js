@@ -0,0 +1,425 @@
+// guild-config.js - Per-guild settings stored in the guild_config table, falling back to config.js and env
+const { ChannelType } = require('discord.js');
+const config = require('./config');
+const { parseChannelReference, dbAll, dbRun } = require('./utils');
+
+/**
+ * Settings that can be changed per guild with !config. Everything else stays process-wide in config.js.
+ * type decides how values are parsed and validated: boolean, integer (with min/max),
+ * channel (a single channel, or none), channelList, patternList (name globs or /regexes/)
+ * and channelTypeList (names from CHANNEL_TYPE_NAMES).
+ */
+const GUILD_SETTINGS = {
+  excludedChannels: {
+    type: 'channelList',
+    env: 'EX_CHANNELS',
+    description: 'Channels and categories excluded from export and monitoring'
+  },
+  excludedNamePatterns: {
+    type: 'patternList',
+    env: 'EX_NAME_PATTERNS',
+    description: 'Channel names excluded from export and monitoring, as globs (ticket-*) or /regexes/'
+  },
+  excludedChannelTypes: {
+    type: 'channelTypeList',
+    env: 'EX_CHANNEL_TYPES',
+    description: 'Channel types excluded from export and monitoring'
+  },
+  includedChannels: {
+    type: 'channelList',
+    env: 'INCLUDE_CHANNELS',
+    description: 'When set, only these channels and categories are exported and monitored'
+  },
+  channelMonitorLogChannel: {
+    type: 'channel',
+    env: 'CHANNEL_MONITOR_LOG',
+    description: 'Channel where new channel and thread notifications are posted'
+  },
+  startupCatchupEnabled: {
+    type: 'boolean',
+    env: 'STARTUP_CATCHUP_ENABLED',
+    description: 'Fetch messages posted while the bot was offline on startup'
+  },
+  catchupLogChannel: {
+    type: 'channel',
+    env: 'CATCHUP_LOG_CHANNEL',
+    description: 'Channel where the startup catch-up summary is posted'
+  },
+  dbBatchSize: {
+    type: 'integer',
+    env: 'DB_BATCH_SIZE',
+    min: 1,
+    max: 10000,
+    description: 'Messages inserted at once during exports'
+  },
+  statusUpdateInterval: {
+    type: 'integer',
+    env: 'STATUS_UPDATE_INTERVAL',
+    min: 5000,
+    description: 'Milliseconds between export status message updates'
+  },
+  exportInitialConcurrency: {
+    type: 'integer',
+    env: 'EXPORT_INITIAL_CONCURRENCY',
+    min: 1,
+    max: 50,
+    description: 'Channels fetched in parallel when an export starts'
+  },
+  exportMinConcurrency: {
+    type: 'integer',
+    env: 'EXPORT_MIN_CONCURRENCY',
+    min: 1,
+    max: 50,
+    description: 'Fewest channels fetched in parallel under rate limits'
+  },
+  exportMaxConcurrency: {
+    type: 'integer',
+    env: 'EXPORT_MAX_CONCURRENCY',
+    min: 1,
+    max: 50,
+    description: 'Most channels fetched in parallel'
+  },
+  memberBatchSize: {
+    type: 'integer',
+    env: 'MEMBER_BATCH_SIZE',
+    min: 1,
+    max: 1000,
+    description: 'Members stored per batch during exports'
+  },
+  attachmentSizeLimitMB: {
+    type: 'integer',
+    env: 'ATTACHMENT_SIZE_LIMIT_MB',
+    min: 1,
+    max: 500,
+    description: 'Largest export file in MB uploaded to Discord'
+  },
+  walRetentionTime: {
+    type: 'integer',
+    env: 'WAL_RETENTION_TIME',
+    // Entries are only moved to the messages table once they are messageDbTimeout old
+    min: config.messageDbTimeout,
+    description: 'Milliseconds processed WAL entries are kept (at least messageDbTimeout)'
+  }
+};
+
+// Channel type names accepted by excludedChannelTypes
+const CHANNEL_TYPE_NAMES = {
+  text: [ChannelType.GuildText],
+  announcement: [ChannelType.GuildAnnouncement],
+  voice: [ChannelType.GuildVoice],
+  stage: [ChannelType.GuildStageVoice],
+  forum: [ChannelType.GuildForum],
+  media: [ChannelType.GuildMedia],
+  thread: [ChannelType.PublicThread, ChannelType.AnnouncementThread],
+  'private-thread': [ChannelType.PrivateThread]
+};
+
+// Overrides loaded from each guild's database: guildId -> Map of key -> value
+const guildOverrides = new Map();
+
+// Values used without a guild override: key -> value, parsed from the environment once at load
+const defaultValues = new Map();
+// Settings whose default comes from a valid environment variable
+const envSettings = new Set();
+
+/**
+ * Look up a setting definition
+ * @param {string} key - Setting name
+ * @returns {Object}
+ */
+function getSetting(key) {
+  const setting = GUILD_SETTINGS[key];
+  if (!setting) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  return setting;
+}
+
+/**
+ * Turn a channel name pattern into a regular expression. Patterns written as /source/flags
+ * are regular expressions; anything else is a case-insensitive glob where * matches any
+ * run of characters and ? a single character.
+ * @param {string} pattern - Pattern as given to !ex pattern
+ * @returns {RegExp}
+ */
+function compileNamePattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    // Stateful flags would make test() skip matches on later calls
+    return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+  }
+
+  const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  const source = pattern.split('*').map(part => part.split('?').map(escape).join('.')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse and validate a value for a setting
+ * @param {string} key - Setting name
+ * @param {string[]} values - Words given on the command line
+ * @param {Guild|null} guild - When given, channels must exist in this guild
+ * @returns {*} The parsed value
+ */
+function parseSettingValue(key, values, guild = null) {
+  const setting = getSetting(key);
+  const text = values.join(' ').trim();
+
+  const parseChannel = value => {
+    const channelId = parseChannelReference(value);
+    if (!channelId) {
+      throw new Error(`"${value}" is not a channel mention, URL or ID`);
+    }
+    if (guild && !guild.channels.cache.has(channelId)) {
+      throw new Error(`Channel ${channelId} was not found in this server`);
+    }
+    return channelId;
+  };
+
+  switch (setting.type) {
+    case 'boolean': {
+      const value = text.toLowerCase();
+      if (['true', 'on', 'yes', '1'].includes(value)) return true;
+      if (['false', 'off', 'no', '0'].includes(value)) return false;
+      throw new Error(`${key} must be true or false`);
+    }
+
+    case 'integer': {
+      if (!/^-?\d+$/.test(text)) {
+        throw new Error(`${key} must be a whole number`);
+      }
+      const value = parseInt(text, 10);
+      if (setting.min !== undefined && value < setting.min) {
+        throw new Error(`${key} must be at least ${setting.min}`);
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        throw new Error(`${key} must be at most ${setting.max}`);
+      }
+      return value;
+    }
+
+    case 'channel':
+      if (['', 'none', 'off'].includes(text.toLowerCase())) return '';
+      return parseChannel(text);
+
+    case 'channelList':
+      if (['', 'none'].includes(text.toLowerCase())) return [];
+      return [...new Set(values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean).map(parseChannel))];
+
+    case 'patternList':
+      if (['', 'none'].includes(text.toLowerCase())) return [];
+      return [...new Set(values.filter(Boolean).map(pattern => {
+        try {
+          compileNamePattern(pattern);
+        } catch (error) {
+          throw new Error(`"${pattern}" is not a valid pattern: ${error.message}`);
+        }
+        return pattern;
+      }))];
+
+    case 'channelTypeList':
+      if (['', 'none'].includes(text.toLowerCase())) return [];
+      return [...new Set(values.flatMap(value => value.split(',')).map(value => value.trim().toLowerCase()).filter(Boolean).map(typeName => {
+        if (!CHANNEL_TYPE_NAMES[typeName]) {
+          throw new Error(`"${typeName}" is not a channel type (${Object.keys(CHANNEL_TYPE_NAMES).join(', ')})`);
+        }
+        return typeName;
+      }))];
+
+    default:
+      throw new Error(`Setting ${key} has an unknown type`);
+  }
+}
+
+/**
+ * Parse the environment variables of all settings, falling back to config.js.
+ * Runs once when the module loads, so an invalid variable is reported once rather than on every event.
+ */
+function loadDefaultValues() {
+  for (const [key, setting] of Object.entries(GUILD_SETTINGS)) {
+    const envValue = process.env[setting.env];
+    defaultValues.set(key, config[key]);
+    if (envValue === undefined) continue;
+
+    try {
+      defaultValues.set(key, parseSettingValue(key, envValue.split(/\s+/)));
+      envSettings.add(key);
+    } catch (error) {
+      console.error(`Ignoring invalid ${setting.env} environment variable: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Value of a setting when a guild has no override: the environment variable, then config.js
+ * @param {string} key - Setting name
+ * @returns {*}
+ */
+function getDefaultValue(key) {
+  getSetting(key); // throws for unknown settings
+  return defaultValues.get(key);
+}
+
+/**
+ * Effective value of a setting for a guild
+ * @param {string|null} guildId - Guild ID, or null for the defaults
+ * @param {string} key - Setting name
+ * @returns {*}
+ */
+function getGuildConfig(guildId, key) {
+  const overrides = guildOverrides.get(guildId);
+  if (overrides && overrides.has(key)) {
+    return overrides.get(key);
+  }
+  return getDefaultValue(key);
+}
+
+/**
+ * Where the effective value of a setting comes from
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting name
+ * @returns {string} 'guild', 'env' or 'default'
+ */
+function getSettingSource(guildId, key) {
+  const overrides = guildOverrides.get(guildId);
+  if (overrides && overrides.has(key)) return 'guild';
+  getSetting(key); // throws for unknown settings
+  if (envSettings.has(key)) return 'env';
+  return 'default';
+}
+
+/**
+ * Load a guild's overrides into memory; called when its database is opened
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} guildId - Guild ID
+ */
+async function loadGuildConfig(db, guildId) {
+  const overrides = new Map();
+  const rows = await dbAll(db, `SELECT key, value FROM guild_config`);
+
+  for (const row of rows) {
+    if (!GUILD_SETTINGS[row.key]) {
+      console.log(`Ignoring unknown setting ${row.key} in guild_config for guild ${guildId}`);
+      continue;
+    }
+    try {
+      overrides.set(row.key, JSON.parse(row.value));
+    } catch (parseError) {
+      console.error(`Ignoring unreadable value of ${row.key} in guild_config for guild ${guildId}:`, parseError);
+    }
+  }
+
+  guildOverrides.set(guildId, overrides);
+  if (overrides.size > 0) {
+    console.log(`Loaded ${overrides.size} setting override(s) for guild ${guildId}`);
+  }
+}
+
+/**
+ * Store a guild override
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting name
+ * @param {*} value - Parsed value (see parseSettingValue)
+ * @param {string|null} updatedBy - ID of the user who changed it
+ */
+async function setGuildConfig(db, guildId, key, value, updatedBy = null) {
+  getSetting(key);
+  await dbRun(db, `
+    INSERT INTO guild_config (key, value, updatedAt, updatedBy)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt, updatedBy = excluded.updatedBy
+  `, [key, JSON.stringify(value), Date.now(), updatedBy]);
+
+  if (!guildOverrides.has(guildId)) {
+    guildOverrides.set(guildId, new Map());
+  }
+  guildOverrides.get(guildId).set(key, value);
+}
+
+/**
+ * Remove a guild override so the setting falls back to the defaults
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting name
+ * @returns {Promise<boolean>} Whether there was an override
+ */
+async function resetGuildConfig(db, guildId, key) {
+  getSetting(key);
+  const { changes } = await dbRun(db, `DELETE FROM guild_config WHERE key = ?`, [key]);
+  if (guildOverrides.has(guildId)) {
+    guildOverrides.get(guildId).delete(key);
+  }
+  return changes > 0;
+}
+
+/**
+ * Add a channel to a guild's exclusion list
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel to exclude
+ * @param {string|null} updatedBy - ID of the user who changed it
+ * @returns {Promise<boolean>} false when the channel was already excluded
+ */
+async function addExcludedChannel(db, guildId, channelId, updatedBy = null) {
+  const excludedChannels = getGuildConfig(guildId, 'excludedChannels');
+  if (excludedChannels.includes(channelId)) {
+    return false;
+  }
+  await setGuildConfig(db, guildId, 'excludedChannels', [...excludedChannels, channelId], updatedBy);
+  return true;
+}
+
+/**
+ * Remove a channel from a guild's exclusion list
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel to include again
+ * @param {string|null} updatedBy - ID of the user who changed it
+ * @returns {Promise<boolean>} false when the channel was not excluded
+ */
+async function removeExcludedChannel(db, guildId, channelId, updatedBy = null) {
+  const excludedChannels = getGuildConfig(guildId, 'excludedChannels');
+  if (!excludedChannels.includes(channelId)) {
+    return false;
+  }
+  await setGuildConfig(db, guildId, 'excludedChannels', excludedChannels.filter(id => id !== channelId), updatedBy);
+  return true;
+}
+
+/**
+ * Format a setting value for display
+ * @param {string} key - Setting name
+ * @param {*} value - Setting value
+ * @returns {string}
+ */
+function formatSettingValue(key, value) {
+  switch (getSetting(key).type) {
+    case 'channel':
+      return value ? `<#${value}>` : '*none*';
+    case 'channelList':
+      return value && value.length > 0 ? value.map(channelId => `<#${channelId}>`).join(' ') : '*none*';
+    case 'patternList':
+    case 'channelTypeList':
+      return value && value.length > 0 ? value.map(item => `\`${item}\``).join(' ') : '*none*';
+    default:
+      return `\`${value}\``;
+  }
+}
+
+loadDefaultValues();
+
+module.exports = {
+  GUILD_SETTINGS,
+  CHANNEL_TYPE_NAMES,
+  getGuildConfig,
+  getSettingSource,
+  loadGuildConfig,
+  setGuildConfig,
+  resetGuildConfig,
+  addExcludedChannel,
+  removeExcludedChannel,
+  parseSettingValue,
+  formatSettingValue,
+  compileNamePattern
+};
@@ -0,0 +1,385 @@
+// html-export.js - Render archived channel messages as a self-contained HTML transcript
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const { parseChannelReference, dbAll } = require('./utils');
+const {
+  EXPORT_PAGE_SIZE,
+  parseJsonColumn,
+  streamRows,
+  writeToStream,
+  closeStream,
+  buildExportFilePath,
+  formatFileSize,
+  deliverExportFiles
+} = require('./export-utils');
+
+// Consecutive messages from the same author are grouped unless they are further apart than this
+const GROUP_WINDOW_MS = 7 * 60 * 1000;
+
+// Longest reply preview shown above a reply
+const REPLY_PREVIEW_LENGTH = 120;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+const TRANSCRIPT_STYLES = `
+    body { background: #313338; color: #dbdee1; font-family: "gg sans", "Helvetica Neue", Helvetica, Arial, sans-serif; margin: 0; }
+    header { background: #2b2d31; padding: 16px 24px; border-bottom: 1px solid #1e1f22; }
+    header h1 { margin: 0; font-size: 20px; color: #f2f3f5; }
+    header p { margin: 4px 0 0; font-size: 13px; color: #949ba4; }
+    main { padding: 8px 0 24px; }
+    .group { padding: 8px 24px 4px; margin-top: 8px; }
+    .group:hover { background: #2e3035; }
+    .author { font-weight: 600; color: #f2f3f5; }
+    .bot-tag { background: #5865f2; color: #fff; font-size: 10px; border-radius: 3px; padding: 1px 4px; margin-left: 4px; vertical-align: middle; }
+    .time { font-size: 12px; color: #949ba4; margin-left: 6px; }
+    .message-block { padding: 1px 0; scroll-margin-top: 8px; }
+    .message-block:target { background: rgba(250, 168, 26, 0.1); box-shadow: inset 2px 0 0 #f0b232; }
+    .message { margin: 2px 0; line-height: 1.4; white-space: pre-wrap; word-wrap: break-word; }
+    .edited { font-size: 10px; color: #949ba4; margin-left: 4px; }
+    .mention { background: rgba(88, 101, 242, 0.3); color: #c9cdfb; border-radius: 3px; padding: 0 2px; }
+    .reply { font-size: 13px; color: #b5bac1; margin-bottom: 2px; }
+    .reply a { color: #b5bac1; }
+    .attachment { margin: 4px 0; }
+    .attachment img { max-width: 400px; max-height: 300px; border-radius: 4px; display: block; }
+    .attachment a { color: #00a8fc; }
+    .embed { border-left: 4px solid #1e1f22; background: #2b2d31; border-radius: 4px; padding: 6px 10px; margin: 4px 0; max-width: 520px; }
+    .reactions { margin-top: 4px; }
+    .reaction { display: inline-block; background: #2b2d31; border-radius: 8px; padding: 2px 6px; margin-right: 4px; font-size: 13px; }
+`;
+
+/**
+ * Escape a string for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load id -> name lookups for members, roles and channels.
+ * Tables that do not exist yet (e.g. member tracking never ran) produce empty maps.
+ * @param {sqlite3.Database} db - Guild database connection
+ * @returns {Promise<{members: Map, roles: Map, channels: Map}>}
+ */
+async function loadNameLookups(db) {
+  const lookups = {
+    members: new Map(),
+    roles: new Map(),
+    channels: new Map()
+  };
+
+  try {
+    const members = await dbAll(db, `SELECT id, username, displayName FROM guild_members`);
+    for (const member of members) {
+      lookups.members.set(member.id, member.displayName || member.username);
+    }
+  } catch (error) {
+    console.log(`Member names unavailable for HTML export: ${error.message}`);
+  }
+
+  try {
+    const roles = await dbAll(db, `SELECT id, name, color FROM guild_roles`);
+    for (const role of roles) {
+      lookups.roles.set(role.id, { name: role.name, color: role.color });
+    }
+  } catch (error) {
+    console.log(`Role names unavailable for HTML export: ${error.message}`);
+  }
+
+  const channels = await dbAll(db, `SELECT id, name FROM channels`);
+  for (const channel of channels) {
+    lookups.channels.set(channel.id, channel.name);
+  }
+
+  return lookups;
+}
+
+/**
+ * Render message content with mentions and custom emoji resolved to readable names
+ * @param {string} content - Raw message content
+ * @param {Object} row - The message row (for its mentions JSON)
+ * @param {Object} lookups - Name lookups from loadNameLookups
+ * @returns {string} HTML
+ */
+function renderContent(content, row, lookups) {
+  if (!content) return '';
+
+  // Usernames captured with the message cover authors who are not in guild_members
+  const mentionedUsers = new Map(
+    parseJsonColumn(row.mentions, []).map(user => [user.id, user.username])
+  );
+
+  const tokenPattern = /<(@!?|@&|#)(\d+)>|<a?:(\w+):\d+>|@everyone|@here/g;
+  let html = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(content)) !== null) {
+    html += escapeHtml(content.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    const [token, prefix, id, emojiName] = match;
+
+    if (emojiName) {
+      html += `:${escapeHtml(emojiName)}:`;
+    } else if (!prefix) {
+      html += `<span class="mention">${escapeHtml(token)}</span>`;
+    } else if (prefix === '@&') {
+      const role = lookups.roles.get(id);
+      const style = role && role.color && role.color !== '#000000' ? ` style="color: ${escapeHtml(role.color)}"` : '';
+      html += `<span class="mention"${style}>@${escapeHtml(role ? role.name : `unknown-role-${id}`)}</span>`;
+    } else if (prefix === '#') {
+      html += `<span class="mention">#${escapeHtml(lookups.channels.get(id) || `unknown-channel-${id}`)}</span>`;
+    } else {
+      const name = lookups.members.get(id) || mentionedUsers.get(id) || `unknown-user-${id}`;
+      html += `<span class="mention">@${escapeHtml(name)}</span>`;
+    }
+  }
+
+  html += escapeHtml(content.slice(lastIndex));
+  return html;
+}
+
+/**
+ * Load the messages replied to by a page of messages with one query
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Array<Object>} rows - Page of message rows
+ * @returns {Promise<Map>} Map of message ID -> { id, authorId, authorUsername, content }
+ */
+async function loadReferencedMessages(db, rows) {
+  const ids = [...new Set(rows
+    .map(row => parseJsonColumn(row.message_reference, null))
+    .filter(reference => reference && reference.messageId)
+    .map(reference => reference.messageId))];
+
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const placeholders = ids.map(() => '?').join(',');
+  const referenced = await dbAll(db, `SELECT id, authorId, authorUsername, content FROM messages WHERE id IN (${placeholders})`, ids);
+  return new Map(referenced.map(row => [row.id, row]));
+}
+
+/**
+ * Render the reply line shown above a message that references another message
+ * @param {Object} reference - Parsed message_reference
+ * @param {Object|undefined} referenced - The referenced message, if it is archived
+ * @param {string} guildId - Guild ID for the jump link
+ * @param {Object} lookups - Name lookups
+ * @returns {string} HTML
+ */
+function renderReply(reference, referenced, guildId, lookups) {
+  const link = `https://discord.com/channels/${guildId}/${reference.channelId}/${reference.messageId}`;
+
+  if (!referenced) {
+    return `<div class="reply">↪ <a href="${escapeHtml(link)}">Replying to a message that is not in the archive</a></div>`;
+  }
+
+  const name = lookups.members.get(referenced.authorId) || referenced.authorUsername;
+  let preview = (referenced.content || '').replace(/\s+/g, ' ');
+  if (preview.length > REPLY_PREVIEW_LENGTH) {
+    preview = preview.substring(0, REPLY_PREVIEW_LENGTH) + '…';
+  }
+
+  return `<div class="reply">↪ <strong>@${escapeHtml(name)}</strong> <a href="${escapeHtml(link)}">${escapeHtml(preview || 'Click to see attachment')}</a></div>`;
+}
+
+/**
+ * Render a single message (without the author header)
+ * @param {Object} row - Message row
+ * @param {Map} referencedMessages - Replied-to messages of the current page
+ * @param {string} guildId - Guild ID for jump links
+ * @param {Object} lookups - Name lookups
+ * @returns {string} HTML
+ */
+function renderMessage(row, referencedMessages, guildId, lookups) {
+  let html = `<div class="message-block" id="m${escapeHtml(row.id)}">`;
+
+  const reference = parseJsonColumn(row.message_reference, null);
+  if (reference && reference.messageId) {
+    html += renderReply(reference, referencedMessages.get(reference.messageId), guildId, lookups);
+  }
+
+  html += `<div class="message">${renderContent(row.content, row, lookups)}`;
+  if (row.edited_timestamp) {
+    html += `<span class="edited" title="${escapeHtml(row.edited_timestamp)}">(edited)</span>`;
+  }
+  html += `</div>`;
+
+  for (const attachment of parseJsonColumn(row.attachmentsJson, [])) {
+    const filename = attachment.filename || 'attachment';
+    const isImage = IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+    html += `<div class="attachment">`;
+    if (isImage) {
+      html += `<a href="${escapeHtml(attachment.url)}"><img src="${escapeHtml(attachment.url)}" alt="${escapeHtml(filename)}" loading="lazy"></a>`;
+    } else {
+      html += `📎 <a href="${escapeHtml(attachment.url)}">${escapeHtml(filename)}</a> (${formatFileSize(attachment.size || 0)})`;
+    }
+    html += `</div>`;
+  }
+
+  for (const embed of parseJsonColumn(row.embedsJson, [])) {
+    if (!embed.title && !embed.description) continue;
+    html += `<div class="embed">`;
+    if (embed.title) html += `<strong>${escapeHtml(embed.title)}</strong>`;
+    if (embed.description) html += `<div>${escapeHtml(embed.description)}</div>`;
+    html += `</div>`;
+  }
+
+  const reactions = parseJsonColumn(row.reactionsJson, []);
+  if (reactions.length > 0) {
+    html += `<div class="reactions">`;
+    html += reactions.map(reaction => `<span class="reaction">${escapeHtml(reaction.emoji)} ${reaction.count}</span>`).join('');
+    html += `</div>`;
+  }
+
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Write the stored messages of one channel or thread to an HTML transcript
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} options - Options
+ * @param {string} options.channelId - Channel or thread to render
+ * @param {string} options.guildId - Guild ID, used for jump links
+ * @param {string} options.guildName - Guild name for the page header
+ * @param {string} filePath - Destination file
+ * @returns {Promise<{messageCount: number, channelName: string, filePath: string}>}
+ */
+async function exportChannelToHtml(db, options, filePath) {
+  const { channelId, guildId, guildName } = options;
+
+  const lookups = await loadNameLookups(db);
+  const channelName = lookups.channels.get(channelId) || channelId;
+
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let messageCount = 0;
+  let currentGroup = null;
+  let referencedMessages = new Map();
+
+  try {
+    await writeToStream(stream,
+      `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n` +
+      `<title>#${escapeHtml(channelName)} - ${escapeHtml(guildName)}</title>\n` +
+      `<style>${TRANSCRIPT_STYLES}</style>\n</head>\n<body>\n` +
+      `<header><h1>#${escapeHtml(channelName)}</h1>` +
+      `<p>${escapeHtml(guildName)} · Transcript generated ${escapeHtml(new Date().toISOString())}</p></header>\n<main>\n`
+    );
+
+    await streamRows(db, (lastRow, pageSize) => ({
+      sql: lastRow
+        ? `SELECT * FROM messages
+           WHERE channelId = ? AND (timestamp > ? OR (timestamp = ? AND id > ?))
+           ORDER BY timestamp, id LIMIT ?`
+        : `SELECT * FROM messages WHERE channelId = ? ORDER BY timestamp, id LIMIT ?`,
+      params: lastRow
+        ? [channelId, lastRow.timestamp, lastRow.timestamp, lastRow.id, pageSize]
+        : [channelId, pageSize]
+    }), async (row) => {
+      const isReply = !!parseJsonColumn(row.message_reference, null);
+      const continuesGroup = currentGroup &&
+        !isReply &&
+        currentGroup.authorId === row.authorId &&
+        row.timestamp - currentGroup.lastTimestamp < GROUP_WINDOW_MS;
+
+      if (!continuesGroup) {
+        if (currentGroup) {
+          await writeToStream(stream, `</div>\n`);
+        }
+
+        const authorName = lookups.members.get(row.authorId) || row.authorUsername || row.authorId;
+        await writeToStream(stream,
+          `<div class="group">` +
+          `<span class="author" title="${escapeHtml(row.authorUsername)} (${escapeHtml(row.authorId)})">${escapeHtml(authorName)}</span>` +
+          (row.authorBot ? `<span class="bot-tag">BOT</span>` : '') +
+          `<span class="time">${escapeHtml(row.createdAt)}</span>\n`
+        );
+        currentGroup = { authorId: row.authorId, lastTimestamp: row.timestamp };
+      }
+
+      currentGroup.lastTimestamp = row.timestamp;
+      await writeToStream(stream, renderMessage(row, referencedMessages, guildId, lookups) + '\n');
+      messageCount++;
+    }, EXPORT_PAGE_SIZE, async (rows) => {
+      referencedMessages = await loadReferencedMessages(db, rows);
+    });
+
+    if (currentGroup) {
+      await writeToStream(stream, `</div>\n`);
+    }
+
+    if (messageCount === 0) {
+      await writeToStream(stream, `<div class="group">No archived messages for this channel.</div>\n`);
+    }
+
+    await writeToStream(stream, `</main>\n</body>\n</html>\n`);
+  } finally {
+    await closeStream(stream);
+  }
+
+  return { messageCount, channelName, filePath };
+}
+
+/**
+ * Handle the !exportguild html <channel> command
+ * @param {Message} message - The Discord message that triggered the command
+ * @param {string[]} args - Command arguments
+ */
+async function handleHtmlExport(message, args) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  const channelId = parseChannelReference(args[2]);
+  if (!channelId) {
+    return message.reply('Please provide a channel or thread mention, URL or ID: `!exportguild html <channel>`');
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
+  if (!db || !fs.existsSync(dbPath)) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  const statusMessage = await message.channel.send(
+    `HTML Transcript Export\n` +
+    `🔄 Rendering stored messages for <#${channelId}>...`
+  );
+
+  try {
+    const filePath = buildExportFilePath(dbPath, `transcript-${channelId}`, 'html');
+    const result = await exportChannelToHtml(db, {
+      channelId,
+      guildId: message.guild.id,
+      guildName: message.guild.name
+    }, filePath);
+
+    console.log(`HTML transcript for channel ${channelId} written to ${result.filePath} (${result.messageCount} messages)`);
+
+    await deliverExportFiles(message, statusMessage, [result.filePath],
+      `HTML Transcript Export\n` +
+      `✅ Rendered ${result.messageCount.toLocaleString()} messages from #${result.channelName}\n` +
+      `📄 File: \`${path.basename(result.filePath)}\` (${formatFileSize(fs.statSync(result.filePath).size)})`
+    );
+  } catch (error) {
+    console.error('Error during HTML export:', error);
+    await statusMessage.edit(`HTML Transcript Export\n❌ Export failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  handleHtmlExport,
+  exportChannelToHtml,
+  escapeHtml
+};
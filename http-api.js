@@ -0,0 +1,413 @@
+// http-api.js - Optional read-only HTTP API over the guild databases
+const http = require('http');
+const crypto = require('crypto');
+const config = require('./config');
+const monitor = require('./monitor');
+const walManager = require('./wal-manager');
+const { listExportRuns } = require('./export-history');
+const { parseRangeDate, dbAll, dbGet, getFormattedDateTime } = require('./utils');
+
+// Page size when a request does not ask for one, and the largest page served
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Export run columns holding JSON, returned parsed
+const RUN_JSON_COLUMNS = ['parametersJson', 'channelCountsJson'];
+
+let server = null;
+
+/**
+ * Create an error that is answered with the given HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message sent to the client
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Compare the request's bearer token with the configured one in constant time
+ * @param {http.IncomingMessage} req - The request
+ * @param {string} token - Configured API token
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Read the page size from the query string
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {number}
+ */
+function parseLimit(query) {
+  if (!query.has('limit')) return DEFAULT_PAGE_SIZE;
+  const limit = parseInt(query.get('limit'), 10);
+  if (isNaN(limit) || limit < 1) {
+    throw httpError(400, 'limit must be a positive number');
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encode the position after the last row of a page as an opaque cursor
+ * @param {Array} values - Sort key values of the last row
+ * @returns {string}
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {number} length - Number of sort key values expected
+ * @returns {Array}
+ */
+function decodeCursor(cursor, length) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === length) {
+      return values;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw httpError(400, 'Invalid cursor');
+}
+
+/**
+ * Add after/before date filters on a column to a WHERE clause. A date-only value excludes
+ * the named day itself, as in !search and Discord's own search: after=2024-05-01 starts
+ * on May 2nd and before=2024-05-01 ends with April 30th.
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} column - Column holding millisecond timestamps
+ * @param {string[]} conditions - WHERE conditions, extended in place
+ * @param {Array} params - Query parameters, extended in place
+ */
+function addDateFilters(query, column, conditions, params) {
+  try {
+    if (query.has('after')) {
+      conditions.push(`${column} >= ?`);
+      params.push(parseRangeDate(query.get('after'), true));
+    }
+    if (query.has('before')) {
+      conditions.push(`${column} < ?`);
+      params.push(parseRangeDate(query.get('before'), false));
+    }
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+/**
+ * Replace JSON text columns of a row with their parsed values
+ * @param {Object} row - Database row
+ * @param {string[]} columns - Columns holding JSON
+ * @returns {Object}
+ */
+function parseJsonColumns(row, columns) {
+  const parsed = { ...row };
+  for (const column of columns) {
+    try {
+      parsed[column] = row[column] ? JSON.parse(row[column]) : null;
+    } catch (error) {
+      // Leave unreadable values as text
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Get the database of a guild served by the API
+ * @param {string} guildId - Guild ID from the URL
+ * @returns {sqlite3.Database}
+ */
+function requireGuildDatabase(guildId) {
+  const db = monitor.getDatabase(guildId);
+  if (!db) {
+    throw httpError(404, `No database for guild ${guildId}`);
+  }
+  return db;
+}
+
+// GET /api/guilds
+async function listGuilds(client) {
+  const guilds = [];
+  for (const guildId of monitor.getInitializedGuildIds()) {
+    const db = monitor.getDatabase(guildId);
+    const nameRow = await dbGet(db, `SELECT value FROM guild_metadata WHERE key = 'guild_name'`);
+    const channels = await dbGet(db, `SELECT COUNT(*) AS count FROM channels WHERE COALESCE(deleted, 0) = 0`);
+    guilds.push({
+      id: guildId,
+      name: client.guilds.cache.get(guildId)?.name || nameRow?.value || null,
+      database: monitor.getCurrentDatabaseFilename(guildId),
+      channels: channels.count
+    });
+  }
+  return { guilds };
+}
+
+// GET /api/guilds/:guildId/channels
+async function listChannels(client, { guildId }) {
+  const db = requireGuildDatabase(guildId);
+  const channels = await dbAll(db, `
+    SELECT id, name, lastMessageId, oldestMessageId, historyComplete, deleted, deletedAt
+    FROM channels
+    ORDER BY name
+  `);
+  return { channels };
+}
+
+// GET /api/guilds/:guildId/runs?limit=
+async function listRuns(client, { guildId }, query) {
+  const db = requireGuildDatabase(guildId);
+  const runs = await listExportRuns(db, parseLimit(query));
+  return { runs: runs.map(run => parseJsonColumns(run, RUN_JSON_COLUMNS)) };
+}
+
+// GET /api/guilds/:guildId/runs/:runId
+async function getRun(client, { guildId, runId }) {
+  const db = requireGuildDatabase(guildId);
+  const run = await dbGet(db, `SELECT * FROM export_runs WHERE id = ?`, [runId]);
+  if (!run) {
+    throw httpError(404, `No export run ${runId}`);
+  }
+  return { run: parseJsonColumns(run, RUN_JSON_COLUMNS) };
+}
+
+// GET /api/guilds/:guildId/messages?channel=&author=&after=&before=&includeDeleted=&order=&limit=&cursor=
+// Messages still waiting in the WAL show up once they are flushed to the messages table.
+async function listMessages(client, { guildId }, query) {
+  const db = requireGuildDatabase(guildId);
+  const limit = parseLimit(query);
+  const ascending = query.get('order') === 'asc';
+  const conditions = [];
+  const params = [];
+
+  if (query.has('channel')) {
+    conditions.push('channelId = ?');
+    params.push(query.get('channel'));
+  }
+  if (query.has('author')) {
+    conditions.push('authorId = ?');
+    params.push(query.get('author'));
+  }
+  if (query.get('includeDeleted') !== 'true') {
+    conditions.push('COALESCE(deleted, 0) = 0');
+  }
+  addDateFilters(query, 'timestamp', conditions, params);
+
+  // Keyset pagination on (timestamp, id) so pages stay stable while new messages arrive
+  if (query.has('cursor')) {
+    const [timestamp, id] = decodeCursor(query.get('cursor'), 2);
+    const op = ascending ? '>' : '<';
+    conditions.push(`(timestamp ${op} ? OR (timestamp = ? AND id ${op} ?))`);
+    params.push(timestamp, timestamp, id);
+  }
+
+  const direction = ascending ? 'ASC' : 'DESC';
+  const rows = await dbAll(db, `
+    SELECT * FROM messages
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY timestamp ${direction}, id ${direction}
+    LIMIT ?
+  `, [...params, limit + 1]);
+
+  const hasMore = rows.length > limit;
+  const messages = rows.slice(0, limit);
+  const last = messages[messages.length - 1];
+  return {
+    messages,
+    nextCursor: hasMore ? encodeCursor([last.timestamp, last.id]) : null
+  };
+}
+
+// GET /api/guilds/:guildId/members/:memberId
+async function getMember(client, { guildId, memberId }) {
+  const db = requireGuildDatabase(guildId);
+  const member = await dbGet(db, `SELECT * FROM guild_members WHERE id = ?`, [memberId]);
+  if (!member) {
+    throw httpError(404, `No member ${memberId}`);
+  }
+
+  const roles = await dbAll(db, `
+    SELECT roleId, roleName, roleColor, rolePosition, addedAt
+    FROM member_roles
+    WHERE memberId = ?
+    ORDER BY rolePosition DESC
+  `, [memberId]);
+  const roleHistory = await dbAll(db, `
+    SELECT id, roleId, roleName, action, timestamp
+    FROM role_history
+    WHERE memberId = ?
+    ORDER BY timestamp DESC, id DESC
+  `, [memberId]);
+
+  return { member, roles, roleHistory };
+}
+
+// GET /api/guilds/:guildId/role-history?member=&role=&after=&before=&limit=&cursor=
+async function listRoleHistory(client, { guildId }, query) {
+  const db = requireGuildDatabase(guildId);
+  const limit = parseLimit(query);
+  const conditions = [];
+  const params = [];
+
+  if (query.has('member')) {
+    conditions.push('memberId = ?');
+    params.push(query.get('member'));
+  }
+  if (query.has('role')) {
+    conditions.push('roleId = ?');
+    params.push(query.get('role'));
+  }
+  addDateFilters(query, 'timestamp', conditions, params);
+
+  // role_history ids only grow, so they work as the cursor on their own
+  if (query.has('cursor')) {
+    const [id] = decodeCursor(query.get('cursor'), 1);
+    conditions.push('id < ?');
+    params.push(id);
+  }
+
+  const rows = await dbAll(db, `
+    SELECT * FROM role_history
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, limit + 1]);
+
+  const hasMore = rows.length > limit;
+  const entries = rows.slice(0, limit);
+  return {
+    entries,
+    nextCursor: hasMore ? encodeCursor([entries[entries.length - 1].id]) : null
+  };
+}
+
+// GET /api/guilds/:guildId/wal
+async function getWal(client, { guildId }) {
+  requireGuildDatabase(guildId);
+  const stats = await walManager.getWalStats(guildId);
+  if (!stats) {
+    throw httpError(500, 'Could not read WAL statistics');
+  }
+  return { wal: stats };
+}
+
+// Routes are matched in order; named groups become the handler's params
+const ROUTES = [
+  { path: /^\/api\/guilds$/, handler: listGuilds },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/channels$/, handler: listChannels },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/runs$/, handler: listRuns },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/runs\/(?<runId>\d+)$/, handler: getRun },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/messages$/, handler: listMessages },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/members\/(?<memberId>\d+)$/, handler: getMember },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/role-history$/, handler: listRoleHistory },
+  { path: /^\/api\/guilds\/(?<guildId>\d+)\/wal$/, handler: getWal }
+];
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+/**
+ * Answer one request
+ * @param {Client} client - Discord client
+ * @param {string} token - Configured API token
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+async function handleRequest(client, token, req, res) {
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES.find(candidate => candidate.path.test(url.pathname));
+    if (!route) {
+      throw httpError(404, 'Not found');
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      throw httpError(405, 'Method not allowed');
+    }
+    if (!isAuthorized(req, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, 'Missing or invalid API token');
+    }
+
+    const params = url.pathname.match(route.path).groups || {};
+    sendJson(res, 200, await route.handler(client, params, url.searchParams));
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error(`[${getFormattedDateTime()}] Error: HTTP API ${req.method} ${req.url} failed:`, error);
+    }
+    sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+  }
+}
+
+/**
+ * Start the HTTP API if it is configured. Requests must carry the token from
+ * HTTP_API_TOKEN as "Authorization: Bearer <token>".
+ * @param {Client} client - Discord client
+ * @returns {http.Server|null} The server, or null when it was not started
+ */
+function startHttpApi(client) {
+  const token = process.env.HTTP_API_TOKEN;
+  if (!token) {
+    console.error('HTTP API not started: set HTTP_API_TOKEN to enable it');
+    return null;
+  }
+  if (server) return server;
+
+  const port = config.getConfig('httpApiPort', 'HTTP_API_PORT');
+  const host = config.getConfig('httpApiHost', 'HTTP_API_HOST');
+
+  server = http.createServer((req, res) => {
+    handleRequest(client, token, req, res);
+  });
+  server.on('error', error => {
+    console.error(`[${getFormattedDateTime()}] Error: HTTP API server failed:`, error);
+  });
+  server.listen(port, host, () => {
+    console.log(`[${getFormattedDateTime()}] HTTP API listening on http://${host}:${port}`);
+  });
+
+  return server;
+}
+
+/**
+ * Stop the HTTP API server
+ * @returns {Promise<void>}
+ */
+function stopHttpApi() {
+  if (!server) return Promise.resolve();
+  const closing = server;
+  server = null;
+  return new Promise(resolve => closing.close(() => resolve()));
+}
+
+module.exports = {
+  isAuthorized,
+  startHttpApi,
+  stopHttpApi
+};
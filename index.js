@@ -6,7 +6,8 @@ const {
   GatewayIntentBits, 
   Partials,
   EmbedBuilder,
-  PermissionFlagsBits
+  PermissionFlagsBits,
+  ChannelType
 } = require('discord.js');
 
 // Import modules
@@ -19,6 +20,25 @@ const walManager = require('./wal-manager');
 const autoVacuum = require('./vacuum-auto');
 const channelMonitor = require('./channel-monitor');
 const memberTracker = require('./member-tracker');
+const processData = require('./process-data');
+const htmlExport = require('./html-export');
+const csvExport = require('./csv-export');
+const dceExport = require('./dce-export');
+const messageTracker = require('./message-tracker');
+const reactionTracker = require('./reaction-tracker');
+const search = require('./search');
+const messageStats = require('./message-stats');
+const memberStats = require('./member-stats');
+const catchupSync = require('./catchup-sync');
+const slashCommands = require('./slash-commands');
+const exportHistory = require('./export-history');
+const exportEstimate = require('./export-estimate');
+const guildConfig = require('./guild-config');
+const { getExclusionReason } = require('./channel-exclusion');
+const configCommands = require('./config-commands');
+const httpApi = require('./http-api');
+const metrics = require('./metrics');
+const { parseChannelReference } = require('./utils');
 
 
 // Set up the Discord client with necessary intents to read messages
@@ -26,12 +46,15 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers
   ],
   partials: [
     Partials.Channel,
     Partials.Message,
+    Partials.Reaction,
+    Partials.User,
     Partials.ThreadMember
   ]
 });
@@ -40,6 +63,8 @@ const client = new Client({
 const activeOperations = new Set();
 // Track guilds that have databases initialized
 const initializedGuilds = new Set();
+// Guilds whose database is being opened by ensureGuildDatabase, guildId -> Promise
+const pendingGuildDatabases = new Map();
 
 client.once('ready', async () => {
   console.log(`Bot is ready! Logged in as ${client.user.tag}`);
@@ -65,21 +90,18 @@ for (const [guildId, guild] of client.guilds.cache) {
       
       // Fix lastMessageId values for this specific guild's database
       try {
-        await monitor.fixExistingLastMessageIds();
+        await monitor.fixExistingLastMessageIds(guildId);
         console.log(`Completed checking and fixing lastMessageId values for guild ${guild.name} (${guild.id})`);
       } catch (error) {
         console.error(`Error fixing lastMessageId values for guild ${guild.name} (${guild.id}):`, error);
       }
       
-      // Get the database instance from monitor instead of using global db
-      const db = monitor.getDatabase();
+      // Get this guild's database connection from monitor
+      const db = monitor.getDatabase(guildId);
       
-      // Initialize WAL manager with the database from monitor
+      // Initialize WAL manager for this guild's database
       if (db) {
-        await walManager.initialize(client, db);
-        
-        // Initialize member tracking tables in the database
-        await memberTracker.initializeMemberDatabase(db);
+        await walManager.initialize(client, guildId);
         
         // Mark guild as initialized
         initializedGuilds.add(guildId);
@@ -114,6 +136,40 @@ for (const [guildId, guild] of client.guilds.cache) {
       console.log('Member tracking initialized');
     }
     
+    // Initialize message edit and deletion tracking
+    if (config.getConfig('messageTrackingEnabled', 'MESSAGE_TRACKING_ENABLED')) {
+      messageTracker.initializeMessageTracking(client, initializedGuilds);
+      console.log('Message tracking initialized');
+    }
+    
+    // Initialize per-user reaction tracking
+    if (config.getConfig('reactionTrackingEnabled', 'REACTION_TRACKING_ENABLED')) {
+      reactionTracker.initializeReactionTracking(client, initializedGuilds);
+      console.log('Reaction tracking initialized');
+    }
+    
+    // Register slash commands
+    if (config.getConfig('slashCommandsEnabled', 'SLASH_COMMANDS_ENABLED')) {
+      try {
+        await slashCommands.registerSlashCommands(client);
+      } catch (error) {
+        console.error('Error registering slash commands:', error);
+      }
+    }
+    
+    // Serve the guild databases to dashboards over HTTP
+    if (config.getConfig('httpApiEnabled', 'HTTP_API_ENABLED')) {
+      httpApi.startHttpApi(client);
+    }
+    
+    // Health checks and Prometheus metrics for orchestrators, served even when the HTTP API is off
+    if (config.getConfig('metricsEnabled', 'METRICS_ENABLED')) {
+      metrics.startMetricsServer(client);
+    }
+    
+    // Fetch messages posted while the bot was offline, one guild at a time in the background
+    runStartupCatchup();
+    
   } catch (error) {
     console.error('Error during startup:', error);
   }
@@ -121,6 +177,17 @@ for (const [guildId, guild] of client.guilds.cache) {
   
 });
 
+// Rule lists managed with !ex pattern, !ex type and !ex only
+const EXCLUSION_RULE_LISTS = {
+  pattern: { key: 'excludedNamePatterns', title: 'Excluded name patterns', item: 'pattern' },
+  type: { key: 'excludedChannelTypes', title: 'Excluded channel types', item: 'type' },
+  only: { key: 'includedChannels', title: 'Include-only channels', item: 'channel' }
+};
+
+const EX_USAGE = 'Available commands: `!ex list`, `!ex add <channel|category>`, `!ex remove <channel|category>`, ' +
+  '`!ex pattern add|remove|clear <glob|/regex/>`, `!ex type add|remove|clear <type>`, ' +
+  '`!ex only add|remove|clear <channel|category>`, `!ex check <channel>`';
+
 // Function to handle excluded channels commands
 async function handleExcludedChannelsCommands(message, args) {
   // Check if user has administrator permissions
@@ -142,18 +209,20 @@ async function handleExcludedChannelsCommands(message, args) {
         iconURL: message.author.displayAvatarURL() 
       });
 
-    if (config.excludedChannels.length === 0) {
+    const excludedChannels = guildConfig.getGuildConfig(message.guildId, 'excludedChannels');
+    if (excludedChannels.length === 0) {
       embed.addFields({ name: 'No channels excluded', value: 'All channels will be exported.' });
     } else {
       // Create a field for each excluded channel
       let channelList = '';
       
-      for (const channelId of config.excludedChannels) {
+      for (const channelId of excludedChannels) {
         // Try to fetch the channel to get its name
         try {
           const channel = await message.guild.channels.fetch(channelId);
           if (channel) {
-            channelList += `• <#${channelId}> (${channel.name})\n`;
+            const kind = channel.type === ChannelType.GuildCategory ? 'category ' : '';
+            channelList += `• <#${channelId}> (${kind}${channel.name})\n`;
           } else {
             channelList += `• Channel ID: ${channelId} (not found in server)\n`;
           }
@@ -163,7 +232,15 @@ async function handleExcludedChannelsCommands(message, args) {
         }
       }
       
-      embed.addFields({ name: `${config.excludedChannels.length} Excluded Channels`, value: channelList || 'Error retrieving channels' });
+      embed.addFields({ name: `${excludedChannels.length} Excluded Channels`, value: channelList || 'Error retrieving channels' });
+    }
+
+    // Pattern, type and include-only rules, when any are set
+    for (const { key, title } of Object.values(EXCLUSION_RULE_LISTS)) {
+      const values = guildConfig.getGuildConfig(message.guildId, key);
+      if (values.length > 0) {
+        embed.addFields({ name: title, value: guildConfig.formatSettingValue(key, values).slice(0, 1024) });
+      }
     }
 
     return message.channel.send({ embeds: [embed] });
@@ -175,23 +252,21 @@ async function handleExcludedChannelsCommands(message, args) {
       return message.reply('Please provide a channel ID, URL, or mention to add it to the exclusion list.');
     }
 
+    // Exclusions are stored in the guild's database
+    await ensureGuildDatabase(message.guild);
+    const db = monitor.getDatabase(message.guildId);
+
     // Get all arguments after "add" as potential channel references
     const channelReferences = args.slice(2);
     const addedChannels = [];
     const failedChannels = [];
 
     for (const channelRef of channelReferences) {
-      // Try to resolve the channel reference
-      let channelId = channelRef.trim();
-      
-      // Handle channel mentions
-      if (channelRef.startsWith('<#') && channelRef.endsWith('>')) {
-        channelId = channelRef.substring(2, channelRef.length - 1);
-      }
-      // Handle URLs
-      else if (channelRef.includes('/channels/')) {
-        const parts = channelRef.split('/');
-        channelId = parts[parts.length - 1];
+      // Mentions, channel or message links and raw IDs all resolve to the channel ID
+      const channelId = parseChannelReference(channelRef);
+      if (!channelId) {
+        failedChannels.push(`${channelRef} - not a channel mention, URL or ID`);
+        continue;
       }
 
       // Try to fetch the channel to validate it exists
@@ -199,7 +274,7 @@ async function handleExcludedChannelsCommands(message, args) {
         const channel = await message.guild.channels.fetch(channelId);
         if (channel) {
           // Valid channel, add to exclusion list
-          if (config.addExcludedChannel(channelId)) {
+          if (await guildConfig.addExcludedChannel(db, message.guildId, channelId, message.author.id)) {
             addedChannels.push(`<#${channelId}> (${channel.name})`);
           } else {
             failedChannels.push(`<#${channelId}> - already in the exclusion list`);
@@ -234,23 +309,21 @@ async function handleExcludedChannelsCommands(message, args) {
       return message.reply('Please provide a channel ID, URL, or mention to remove it from the exclusion list.');
     }
 
+    // Exclusions are stored in the guild's database
+    await ensureGuildDatabase(message.guild);
+    const db = monitor.getDatabase(message.guildId);
+
     // Get all arguments after "remove" as potential channel references
     const channelReferences = args.slice(2);
     const removedChannels = [];
     const failedChannels = [];
 
     for (const channelRef of channelReferences) {
-      // Try to resolve the channel reference
-      let channelId = channelRef.trim();
-      
-      // Handle channel mentions
-      if (channelRef.startsWith('<#') && channelRef.endsWith('>')) {
-        channelId = channelRef.substring(2, channelRef.length - 1);
-      }
-      // Handle URLs
-      else if (channelRef.includes('/channels/')) {
-        const parts = channelRef.split('/');
-        channelId = parts[parts.length - 1];
+      // Mentions, channel or message links and raw IDs all resolve to the channel ID
+      const channelId = parseChannelReference(channelRef);
+      if (!channelId) {
+        failedChannels.push(`${channelRef} - not a channel mention, URL or ID`);
+        continue;
       }
 
       // Try to fetch the channel to validate it (if possible)
@@ -258,14 +331,14 @@ async function handleExcludedChannelsCommands(message, args) {
         const channel = await message.guild.channels.fetch(channelId);
         if (channel) {
           // Valid channel, remove from exclusion list
-          if (config.removeExcludedChannel(channelId)) {
+          if (await guildConfig.removeExcludedChannel(db, message.guildId, channelId, message.author.id)) {
             removedChannels.push(`<#${channelId}> (${channel.name})`);
           } else {
             failedChannels.push(`<#${channelId}> - not in the exclusion list`);
           }
         } else {
           // Channel not found in the server but try to remove it anyway
-          if (config.removeExcludedChannel(channelId)) {
+          if (await guildConfig.removeExcludedChannel(db, message.guildId, channelId, message.author.id)) {
             removedChannels.push(`Channel ID: ${channelId} (not found in server)`);
           } else {
             failedChannels.push(`${channelRef} - not in the exclusion list`);
@@ -273,7 +346,7 @@ async function handleExcludedChannelsCommands(message, args) {
         }
       } catch (error) {
         // Could not fetch channel, but still try to remove by ID
-        if (config.removeExcludedChannel(channelId)) {
+        if (await guildConfig.removeExcludedChannel(db, message.guildId, channelId, message.author.id)) {
           removedChannels.push(`Channel ID: ${channelId} (not accessible)`);
         } else {
           failedChannels.push(`${channelRef} - ${error.message}`);
@@ -296,18 +369,131 @@ async function handleExcludedChannelsCommands(message, args) {
     return message.channel.send(response || 'No channels were processed.');
   }
   
+  // !ex pattern|type|only add|remove|clear command
+  else if (EXCLUSION_RULE_LISTS[subCommand]) {
+    const { key, title, item } = EXCLUSION_RULE_LISTS[subCommand];
+    const action = args[2]?.toLowerCase();
+    if (!['add', 'remove', 'clear'].includes(action) || (action !== 'clear' && args.length < 4)) {
+      return message.reply(`Usage: \`!ex ${subCommand} add <${item}...>\`, \`!ex ${subCommand} remove <${item}...>\`, \`!ex ${subCommand} clear\``);
+    }
+
+    let values = [];
+    if (action !== 'clear') {
+      try {
+        values = guildConfig.parseSettingValue(key, args.slice(3), message.guild);
+      } catch (error) {
+        return message.reply(`❌ ${error.message}`);
+      }
+    }
+
+    const current = guildConfig.getGuildConfig(message.guildId, key);
+    let updated;
+    if (action === 'add') {
+      updated = [...new Set([...current, ...values])];
+    } else if (action === 'remove') {
+      updated = current.filter(value => !values.includes(value));
+      if (updated.length === current.length) {
+        return message.reply(`None of those are in the ${title.toLowerCase()} list.`);
+      }
+    } else {
+      updated = [];
+    }
+
+    // Rules are stored in the guild's database
+    await ensureGuildDatabase(message.guild);
+    await guildConfig.setGuildConfig(monitor.getDatabase(message.guildId), message.guildId, key, updated, message.author.id);
+
+    return message.channel.send({
+      content: `✅ ${title}: ${guildConfig.formatSettingValue(key, updated)}`,
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  // !ex check command
+  else if (subCommand === 'check') {
+    const channelId = parseChannelReference(args[2] || '');
+    if (!channelId) {
+      return message.reply('Please provide a channel ID, URL, or mention to check.');
+    }
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel || channel.guildId !== message.guildId) {
+      return message.reply('Channel not found in this server.');
+    }
+
+    const reason = getExclusionReason(channel);
+    return message.channel.send(reason
+      ? `🚫 <#${channel.id}> is excluded: ${reason}`
+      : `✅ <#${channel.id}> is exported and monitored.`);
+  }
+  
   // Unknown subcommand
   else {
-    return message.reply('Unknown subcommand. Available commands: `!ex list`, `!ex add <channel>`, `!ex remove <channel>`');
+    return message.reply(`Unknown subcommand. ${EX_USAGE}`);
   }
 }
 
+/**
+ * Open (or create) a guild's database and start its WAL manager, once per guild
+ * @param {Guild} guild - The Discord guild
+ */
+function ensureGuildDatabase(guild) {
+  if (initializedGuilds.has(guild.id)) return Promise.resolve();
+  
+  // Commands that skip the operation lock can get here while another command is still opening the database
+  if (!pendingGuildDatabases.has(guild.id)) {
+    const opening = openGuildDatabase(guild).finally(() => {
+      pendingGuildDatabases.delete(guild.id);
+    });
+    pendingGuildDatabases.set(guild.id, opening);
+  }
+  return pendingGuildDatabases.get(guild.id);
+}
+
+/**
+ * Open a guild's database and start its WAL manager; called through ensureGuildDatabase
+ * @param {Guild} guild - The Discord guild
+ */
+async function openGuildDatabase(guild) {
+  await monitor.initializeDatabase(guild);
+  
+  // Get this guild's database from monitor and initialize WAL manager
+  const db = monitor.getDatabase(guild.id);
+  if (db) {
+    await walManager.initialize(client, guild.id);
+  }
+  
+  initializedGuilds.add(guild.id);
+  console.log(`Database initialized for guild ${guild.name} (${guild.id})`);
+  console.log(`Using database: ${monitor.getCurrentDatabasePath(guild.id)}`);
+}
+
 // Helper function for formatted current date and time (UTC)
 function getFormattedDateTime() {
   const now = new Date();
   return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-${String(now.getUTCDate()).padStart(2, '0')} ${String(now.getUTCHours()).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}:${String(now.getUTCSeconds()).padStart(2, '0')}`;
 }
 
+/**
+ * Backfill the downtime gap of every initialized guild, holding the guild's operation lock meanwhile
+ */
+async function runStartupCatchup() {
+  for (const guildId of initializedGuilds) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild || activeOperations.has(guildId)) continue;
+    if (!guildConfig.getGuildConfig(guildId, 'startupCatchupEnabled')) continue;
+    
+    activeOperations.add(guildId);
+    try {
+      await catchupSync.catchUpGuild(guild);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error: startup catch-up failed for guild ${guild.name} (${guild.id}):`, error);
+    } finally {
+      activeOperations.delete(guildId);
+    }
+  }
+}
+
 // Command handler
 client.on('messageCreate', async (message) => {
   // Ignore messages from bots for both commands and monitoring
@@ -318,7 +504,7 @@ client.on('messageCreate', async (message) => {
   // First check if this guild has an initialized database
   if (initializedGuilds.has(guildId)) {
     // Check if we should be monitoring this message's channel
-    const shouldMonitor = monitor.shouldMonitorChannel(message.channelId);
+    const shouldMonitor = monitor.shouldMonitorChannel(guildId, message.channelId, message.channel);
     
     // If this is a message to be monitored
     if (shouldMonitor) {
@@ -333,7 +519,33 @@ client.on('messageCreate', async (message) => {
     }
   }
 
+  // Prefix commands can be switched off once everyone has moved to the slash commands
+  if (!config.getConfig('prefixCommandsEnabled', 'PREFIX_COMMANDS_ENABLED')) return;
+
   const args = message.content.trim().split(/\s+/);
+  await routeCommand(message, args);
+});
+
+// Slash commands are translated into prefix arguments and share the same routing
+client.on('interactionCreate', async (interaction) => {
+  if (!interaction.isChatInputCommand() || !interaction.inGuild()) return;
+  
+  try {
+    const args = slashCommands.buildCommandArgs(interaction);
+    const message = await slashCommands.createInteractionMessage(interaction, args);
+    await routeCommand(message, args);
+    await message.finish();
+  } catch (error) {
+    console.error(`[${getFormattedDateTime()}] Error: /${interaction.commandName} command failed:`, error);
+  }
+});
+
+/**
+ * Run a command for a prefix message or a slash command adapter
+ * @param {Message|Object} message - The command message, or the adapter from slash-commands.js
+ * @param {string[]} args - Command arguments, starting with the command name
+ */
+async function routeCommand(message, args) {
   const command = args[0].toLowerCase();
 
   // Handle excluded channels commands
@@ -342,6 +554,22 @@ client.on('messageCreate', async (message) => {
     return;
   }
   
+  // Per-guild settings; they only touch the guild_config table, so they skip the operation lock
+  else if (command === '!config') {
+    const timestamp = getFormattedDateTime();
+    console.log(`[${timestamp}] Command: ${args.slice(0, 3).join(' ')} executed by ${message.author.tag} (${message.author.id}) in guild ${message.guild.name} (${message.guild.id})`);
+    
+    try {
+      await ensureGuildDatabase(message.guild);
+      await configCommands.handleConfigCommand(message, args);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error: !config command failed:`, error);
+      message.channel.send(`Error updating settings: ${error.message}`);
+    }
+    
+    return;
+  }
+  
   // Handle channellist command
   else if (command === '!channellist') {
     // Check if user has administrator permissions
@@ -380,6 +608,29 @@ client.on('messageCreate', async (message) => {
   
   // Existing commands for exportguild
   else if (command === '!exportguild') {
+    // Pausing, resuming and cancelling act on the export that holds the lock, so they skip it
+    const controlAction = args[1]?.toLowerCase();
+    if (['cancel', 'pause', 'resume'].includes(controlAction)) {
+      try {
+        await exportGuild.handleExportControl(message, controlAction, activeOperations);
+      } catch (error) {
+        console.error(`[${getFormattedDateTime()}] Error: !exportguild ${controlAction} failed:`, error);
+        message.channel.send(`Error trying to ${controlAction} the export: ${error.message}`);
+      }
+      return;
+    }
+    
+    // Listing past runs only reads the database and works while an export is running
+    if (controlAction === 'history') {
+      try {
+        await exportHistory.handleExportHistoryCommand(message, args);
+      } catch (error) {
+        console.error(`[${getFormattedDateTime()}] Error: !exportguild history failed:`, error);
+        message.channel.send(`Error listing export history: ${error.message}`);
+      }
+      return;
+    }
+    
     // Check if an operation is already running for this guild
     if (activeOperations.has(message.guildId)) {
       return message.reply('An operation is already running for this guild!');
@@ -391,35 +642,20 @@ client.on('messageCreate', async (message) => {
     try {
       const subCommand = args[1]?.toLowerCase();
       
-      if (!subCommand || subCommand === 'export') {
+      if (!subCommand || subCommand === 'export' || subCommand.startsWith('--')) {
         // Initialize the database with this guild info if not already initialized
-        if (!initializedGuilds.has(message.guildId)) {
-          try {
-            await monitor.initializeDatabase(message.guild);
-            
-            // Get the database from monitor and initialize WAL manager
-            const db = monitor.getDatabase();
-            if (db) {
-              await walManager.initialize(client, db);
-              
-              // Initialize member tracking tables in the database
-              await memberTracker.initializeMemberDatabase(db);
-            }
-            
-            initializedGuilds.add(message.guildId);
-            console.log(`Database initialized for guild ${message.guild.name} (${message.guild.id})`);
-            console.log(`Using database: ${monitor.getCurrentDatabasePath()}`);
-          } catch (dbError) {
-            console.error('Error initializing database:', dbError);
-          }
+        try {
+          await ensureGuildDatabase(message.guild);
+        } catch (dbError) {
+          console.error('Error initializing database:', dbError);
         }
         
         // Export guild data
-        await exportGuild.handleExportGuild(message, client);
+        await exportGuild.handleExportGuild(message, client, args, activeOperations);
         
         // After export is complete, check for duplicates in the database
         try {
-          const duplicates = await monitor.checkForDuplicates();
+          const duplicates = await monitor.checkForDuplicates(message.guildId);
           console.log(`Database duplicate check complete. Found ${duplicates} duplicate message IDs.`);
           if (duplicates > 0) {
             await message.channel.send(`✅ Export completed! Note: Found and removed ${duplicates} duplicate message entries in the database.`);
@@ -427,11 +663,23 @@ client.on('messageCreate', async (message) => {
         } catch (dbError) {
           console.error('Error checking for duplicates:', dbError);
         }
+      } else if (subCommand === 'estimate') {
+        // Dry run: sample the channels and project the size of an export
+        await exportEstimate.handleExportEstimate(message, args);
       } else if (subCommand === 'process') {
         // Process NDJSON data
         await processData.processNDJSON(message);
+      } else if (subCommand === 'html') {
+        // Render a channel transcript as HTML
+        await htmlExport.handleHtmlExport(message, args);
+      } else if (subCommand === 'csv') {
+        // Export tables as CSV
+        await csvExport.handleCsvExport(message, args);
+      } else if (subCommand === 'dce') {
+        // Export channels in DiscordChatExporter JSON format
+        await dceExport.handleDceExport(message, args);
       } else {
-        message.reply('Unknown subcommand. Available commands: `!exportguild` or `!exportguild process`');
+        message.reply('Unknown subcommand. Available commands: `!exportguild [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--channels #a #b] [--category name]`, `!exportguild estimate [same options]`, `!exportguild cancel|pause|resume`, `!exportguild history [--limit N] [--run ID]`, `!exportguild process`, `!exportguild html <channel>`, `!exportguild csv [tables] [--columns table=col1,col2] [--flatten]` or `!exportguild dce [channel]`');
       }
     } catch (error) {
       console.error('Critical error:', error);
@@ -442,6 +690,21 @@ client.on('messageCreate', async (message) => {
     }
   }
   
+  else if (command === '!search') {
+    // Log the command execution with timestamp and user info
+    const timestamp = getFormattedDateTime();
+    console.log(`[${timestamp}] Command: !search executed by ${message.author.tag} (${message.author.id}) in guild ${message.guild.name} (${message.guild.id})`);
+    
+    try {
+      await search.handleSearchCommand(message);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error: !search command failed:`, error);
+      message.channel.send(`Error searching archived messages: ${error.message}`);
+    }
+    
+    return;
+  }
+  
   else if (command === '!vacuum') {
     // Check if an operation is already running for this guild
     if (activeOperations.has(message.guildId)) {
@@ -472,12 +735,7 @@ client.on('messageCreate', async (message) => {
     return;
   }
   
-  else if (command === '!memberstats') {
-    // Check if user has administrator permissions
-    if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
-      return message.reply('You need administrator permissions to use this command.');
-    }
-    
+  else if (command === '!messagestats') {
     // Check if an operation is already running for this guild
     if (activeOperations.has(message.guildId)) {
       return message.reply('An operation is already running for this guild!');
@@ -486,111 +744,55 @@ client.on('messageCreate', async (message) => {
     // Set guild as being processed
     activeOperations.add(message.guildId);
     
-    // Log the command execution with timestamp and user info
-    const timestamp = getFormattedDateTime();
-    console.log(`[${timestamp}] Command: !memberstats executed by ${message.author.tag} (${message.author.id}) in guild ${message.guild.name} (${message.guild.id})`);
-    
     try {
-      const statusMessage = await message.channel.send('Generating member statistics...');
+      // Log the command execution with timestamp and user info
+      const timestamp = getFormattedDateTime();
+      console.log(`[${timestamp}] Command: !messagestats executed by ${message.author.tag} (${message.author.id}) in guild ${message.guild.name} (${message.guild.id})`);
       
-      // Get the database
-      const db = monitor.getDatabase();
-      if (!db) {
-        throw new Error('No database available. Please run !exportguild first to set up the database.');
-      }
+      await messageStats.handleMessageStatsCommand(message, args);
       
-      // Run the queries
-      db.all(`SELECT COUNT(*) as totalMembers FROM guild_members WHERE leftGuild = 0`, [], async (err, totalResult) => {
-        if (err) throw err;
-        
-        db.all(`SELECT COUNT(*) as botCount FROM guild_members WHERE bot = 1 AND leftGuild = 0`, [], async (err, botResult) => {
-          if (err) throw err;
-          
-          db.all(`SELECT roleName, COUNT(memberId) as memberCount FROM member_roles GROUP BY roleId ORDER BY memberCount DESC LIMIT 10`, [], async (err, roleResult) => {
-            if (err) throw err;
-            
-            db.all(`SELECT username, displayName, COUNT(roleId) as roleCount FROM guild_members 
-                    JOIN member_roles ON guild_members.id = member_roles.memberId 
-                    WHERE leftGuild = 0 
-                    GROUP BY memberId ORDER BY roleCount DESC LIMIT 10`, [], async (err, memberResult) => {
-              if (err) throw err;
-              
-              // Format the response
-              const totalMembers = totalResult[0].totalMembers;
-              const botCount = botResult[0].botCount;
-              const humanCount = totalMembers - botCount;
-              
-              let response = `# Member Statistics for ${message.guild.name}\n\n`;
-              response += `**Total Members:** ${totalMembers}\n`;
-              response += `**Human Members:** ${humanCount}\n`;
-              response += `**Bot Members:** ${botCount}\n\n`;
-              
-              response += `## Top 10 Roles by Member Count\n`;
-              if (roleResult.length === 0) {
-                response += "*No role data available*\n";
-              } else {
-                roleResult.forEach(role => {
-                  response += `- **${role.roleName}**: ${role.memberCount} members\n`;
-                });
-              }
-              
-              response += `\n## Top 10 Members by Role Count\n`;
-              if (memberResult.length === 0) {
-                response += "*No member role data available*\n";
-              } else {
-                memberResult.forEach(member => {
-                  response += `- **${member.displayName}** (${member.username}): ${member.roleCount} roles\n`;
-                });
-              }
-
-              db.all(`SELECT COUNT(*) as totalRoles FROM guild_roles WHERE deleted = 0`, [], async (err, roleCountResult) => {
-  if (err) throw err;
-
-  db.all(`SELECT name, color, position, mentionable, hoist FROM guild_roles WHERE deleted = 0 ORDER BY position DESC LIMIT 15`, [], async (err, roleDetailResult) => {
-    if (err) throw err;
-    
-    // Add this to your response:
-    response += `\n## Role Statistics\n`;
-    response += `**Total Roles:** ${roleCountResult[0].totalRoles}\n\n`;
+      // Log successful completion
+      console.log(`[${getFormattedDateTime()}] Completed: !messagestats for ${message.guild.name} (${message.guild.id})`);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error: !messagestats command failed:`, error);
+      message.channel.send(`Error generating message statistics: ${error.message}`);
+    } finally {
+      // Remove guild from active operations when done (even if there was an error)
+      activeOperations.delete(message.guildId);
+    }
     
-    if (roleDetailResult.length > 0) {
-      response += `### Top ${roleDetailResult.length} Roles (by hierarchy)\n`;
-      roleDetailResult.forEach(role => {
-        // Add emoji indicators for special properties
-        const hoistEmoji = role.hoist ? '📌' : ''; // Hoisted/displayed separately
-        const mentionEmoji = role.mentionable ? '🔔' : ''; // Mentionable
-        
-        response += `- ${hoistEmoji}${mentionEmoji} **${role.name}** (Position: ${role.position})\n`;
-      });
-    } else {
-      response += "*No role data available*\n";
+    return;
+  }
+  
+  else if (command === '!memberstats') {
+    // Check if an operation is already running for this guild
+    if (activeOperations.has(message.guildId)) {
+      return message.reply('An operation is already running for this guild!');
     }
     
-    // Continue with updating the status message
-  });
-});
-			  
-              // Add timestamp to the report
-              response += `\n\n*Report generated: ${getFormattedDateTime()} UTC*`;
-              
-              // Update the status message with the statistics
-              await statusMessage.edit(response);
-              
-              // Log successful completion
-              console.log(`[${getFormattedDateTime()}] Completed: !memberstats for ${message.guild.name} (${message.guild.id})`);
-            });
-          });
-        });
-      });
+    // Set guild as being processed
+    activeOperations.add(message.guildId);
+    
+    try {
+      // Log the command execution with timestamp and user info
+      const timestamp = getFormattedDateTime();
+      console.log(`[${timestamp}] Command: !memberstats executed by ${message.author.tag} (${message.author.id}) in guild ${message.guild.name} (${message.guild.id})`);
+      
+      await memberStats.handleMemberStatsCommand(message, args);
+      
+      // Log successful completion
+      console.log(`[${getFormattedDateTime()}] Completed: !memberstats for ${message.guild.name} (${message.guild.id})`);
     } catch (error) {
       console.error(`[${getFormattedDateTime()}] Error: !memberstats command failed:`, error);
       message.channel.send(`Error generating member statistics: ${error.message}`);
     } finally {
-      // Remove guild from active operations when done
+      // Remove guild from active operations when done (even if there was an error)
       activeOperations.delete(message.guildId);
     }
+    
+    return;
   }
-});
+}
 
 // Login to Discord
 console.log('Starting Discord bot...');
@@ -599,4 +801,4 @@ console.log(`Current User's Login: noname9006`);
 client.login(process.env.DISCORD_TOKEN).catch(error => {
   console.error('Failed to login:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,5 +1,6 @@
 // member-left.js - Module to process left members based on message history
 const monitor = require('./monitor');
+const { runMigrations } = require('./migrations');
 const sqlite3 = require('sqlite3').verbose(); // Adding .verbose() for better error reporting
 
 // Cache for roles to avoid repeated lookups
@@ -19,7 +20,7 @@ let addRoleStmt = null;
 async function processLeftMembers(guild, batchSize = 100, skipRoles = true) {
     console.log(`[${getFormattedDateTime()}] Processing left members for guild ${guild.name} (${guild.id})`);
     
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guild.id);
     if (!db) {
         console.error("Cannot process left members: Database not initialized");
         return { success: false, error: "Database not initialized" };
@@ -203,22 +204,16 @@ async function ensureTablesExist(db) {
                 return;
             }
             
-            // Import the necessary table creation function from member-tracker
-            try {
-                const memberTracker = require('./member-tracker');
-                memberTracker.initializeMemberDatabase(db)
-                    .then(() => {
-                        console.log(`[${getFormattedDateTime()}] Member tracking tables created successfully`);
-                        resolve(true);
-                    })
-                    .catch(error => {
-                        console.error(`[${getFormattedDateTime()}] Error creating member tracking tables:`, error);
-                        reject(error);
-                    });
-            } catch (error) {
-                console.error(`[${getFormattedDateTime()}] Error importing member-tracker module:`, error);
-                reject(error);
-            }
+            // The member tables are created by the schema migrations
+            runMigrations(db)
+                .then(() => {
+                    console.log(`[${getFormattedDateTime()}] Member tracking tables created successfully`);
+                    resolve(true);
+                })
+                .catch(error => {
+                    console.error(`[${getFormattedDateTime()}] Error creating member tracking tables:`, error);
+                    reject(error);
+                });
         });
     });
 }
@@ -869,4 +864,4 @@ module.exports = {
     processLeftMembers,
     processLeftMembersLegacy,
     ensureTablesExist
-};
\ No newline at end of file
+};
\ No newline at end of file
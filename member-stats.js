@@ -0,0 +1,307 @@
+// member-stats.js - Member statistics report (!memberstats)
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const { buildExportFilePath, formatFileSize } = require('./export-utils');
+const { getFormattedDateTime, splitMessageContent, dbAll, dbGet } = require('./utils');
+
+// Default trend window when --days is not given
+const DEFAULT_TREND_DAYS = 90;
+
+// Rows shown per ranking
+const TOP_LIMIT = 10;
+
+// Reports longer than this many messages are sent as a file instead
+const MAX_REPORT_MESSAGES = 4;
+
+const MEMBER_STATS_USAGE = 'Usage: `!memberstats [--days N]`';
+
+// SQL expressions that turn a millisecond timestamp column into a trend bucket
+const BUCKET_EXPRESSIONS = {
+  day: column => `date(${column} / 1000, 'unixepoch')`,
+  // Monday of the week the timestamp falls in
+  week: column => `date(${column} / 1000, 'unixepoch', '-6 days', 'weekday 1')`,
+  month: column => `strftime('%Y-%m', ${column} / 1000, 'unixepoch')`
+};
+
+/**
+ * Parse the options of !memberstats
+ * @param {string[]} args - Command arguments
+ * @returns {Object} { days, since, granularity }
+ */
+function parseMemberStatsArgs(args) {
+  let days = DEFAULT_TREND_DAYS;
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i].toLowerCase();
+    if (arg === '--days') {
+      days = parseInt(args[i + 1], 10);
+      if (!Number.isInteger(days) || days <= 0) {
+        throw new Error(`Invalid number of days "${args[i + 1] || ''}"`);
+      }
+      i++;
+    } else {
+      throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+
+  // Keep the trend table readable regardless of the window length
+  let granularity = 'month';
+  if (days <= 31) {
+    granularity = 'day';
+  } else if (days <= 365) {
+    granularity = 'week';
+  }
+
+  return {
+    days,
+    since: Date.now() - days * 24 * 60 * 60 * 1000,
+    granularity
+  };
+}
+
+/**
+ * Count joins and leaves per bucket within the trend window
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Array<{bucket: string, joined: number, left: number}>>} Oldest bucket first
+ */
+async function collectMemberTrends(db, options) {
+  const bucketOf = BUCKET_EXPRESSIONS[options.granularity];
+
+  const joins = await dbAll(db, `
+    SELECT ${bucketOf('joinedTimestamp')} AS bucket, COUNT(*) AS count
+    FROM guild_members
+    WHERE joinedTimestamp >= ?
+    GROUP BY bucket
+  `, [options.since]);
+
+  const leaves = await dbAll(db, `
+    SELECT ${bucketOf('leftTimestamp')} AS bucket, COUNT(*) AS count
+    FROM guild_members
+    WHERE leftGuild = 1 AND leftTimestamp >= ?
+    GROUP BY bucket
+  `, [options.since]);
+
+  const buckets = new Map();
+  const bucketFor = key => {
+    if (!buckets.has(key)) {
+      buckets.set(key, { bucket: key, joined: 0, left: 0 });
+    }
+    return buckets.get(key);
+  };
+  joins.forEach(row => { bucketFor(row.bucket).joined = row.count; });
+  leaves.forEach(row => { bucketFor(row.bucket).left = row.count; });
+
+  return [...buckets.values()].sort((a, b) => a.bucket.localeCompare(b.bucket));
+}
+
+/**
+ * Gather everything shown in the member statistics report
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>}
+ */
+async function collectMemberStats(db, options) {
+  const totals = await dbGet(db, `
+    SELECT
+      COALESCE(SUM(CASE WHEN leftGuild = 0 THEN 1 ELSE 0 END), 0) AS members,
+      COALESCE(SUM(CASE WHEN leftGuild = 0 AND bot = 1 THEN 1 ELSE 0 END), 0) AS bots,
+      COALESCE(SUM(CASE WHEN leftGuild = 1 THEN 1 ELSE 0 END), 0) AS departed
+    FROM guild_members
+  `);
+
+  const trends = await collectMemberTrends(db, options);
+
+  // Role churn: additions and removals recorded in the window
+  const churn = await dbAll(db, `
+    SELECT roleId, MAX(roleName) AS roleName,
+           SUM(CASE WHEN action = 'added' THEN 1 ELSE 0 END) AS added,
+           SUM(CASE WHEN action = 'removed' THEN 1 ELSE 0 END) AS removed
+    FROM role_history
+    WHERE timestamp >= ?
+    GROUP BY roleId
+    ORDER BY added + removed DESC
+  `, [options.since]);
+
+  // Current role breakdown, counting only members still in the guild
+  const roles = await dbAll(db, `
+    SELECT gr.id, gr.name, gr.position, gr.hoist, gr.mentionable,
+           COUNT(gm.id) AS memberCount
+    FROM guild_roles gr
+    LEFT JOIN member_roles mr ON mr.roleId = gr.id
+    LEFT JOIN guild_members gm ON gm.id = mr.memberId AND gm.leftGuild = 0
+    WHERE gr.deleted = 0
+    GROUP BY gr.id
+    ORDER BY memberCount DESC, gr.position DESC
+  `);
+
+  const topMembers = await dbAll(db, `
+    SELECT gm.username, gm.displayName, COUNT(mr.roleId) AS roleCount
+    FROM guild_members gm
+    JOIN member_roles mr ON gm.id = mr.memberId
+    WHERE gm.leftGuild = 0
+    GROUP BY gm.id
+    ORDER BY roleCount DESC
+    LIMIT ?
+  `, [TOP_LIMIT]);
+
+  return { totals, trends, churn, roles, topMembers };
+}
+
+/**
+ * Format the report as Markdown
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} stats - Result of collectMemberStats
+ * @param {Object} options - Parsed options
+ * @returns {string}
+ */
+function formatMemberStatsReport(guild, stats, options) {
+  const { totals, trends, churn, roles, topMembers } = stats;
+  const lines = [];
+
+  lines.push(`# Member Statistics for ${guild.name}`);
+  lines.push('');
+  lines.push(`**Total Members:** ${totals.members.toLocaleString()}`);
+  lines.push(`**Human Members:** ${(totals.members - totals.bots).toLocaleString()}`);
+  lines.push(`**Bot Members:** ${totals.bots.toLocaleString()}`);
+  lines.push(`**Members Who Left:** ${totals.departed.toLocaleString()}`);
+
+  lines.push('');
+  lines.push(`## Joins and Leaves (last ${options.days} days, per ${options.granularity})`);
+  if (trends.length === 0) {
+    lines.push('*No joins or leaves recorded in this period*');
+  } else {
+    const joined = trends.reduce((sum, row) => sum + row.joined, 0);
+    const left = trends.reduce((sum, row) => sum + row.left, 0);
+    lines.push(`**Joined:** ${joined} · **Left:** ${left} · **Net:** ${joined - left >= 0 ? '+' : ''}${joined - left}`);
+    lines.push('```');
+    lines.push(`${'Period'.padEnd(10)} ${'Joined'.padStart(7)} ${'Left'.padStart(7)} ${'Net'.padStart(7)}`);
+    trends.forEach(row => {
+      const net = row.joined - row.left;
+      lines.push(`${row.bucket.padEnd(10)} ${String(row.joined).padStart(7)} ${String(row.left).padStart(7)} ${`${net >= 0 ? '+' : ''}${net}`.padStart(7)}`);
+    });
+    lines.push('```');
+  }
+
+  lines.push('');
+  lines.push(`## Role Churn (last ${options.days} days)`);
+  if (churn.length === 0) {
+    lines.push('*No role changes recorded in this period*');
+  } else {
+    const added = churn.reduce((sum, row) => sum + row.added, 0);
+    const removed = churn.reduce((sum, row) => sum + row.removed, 0);
+    lines.push(`**Roles Added:** ${added} · **Roles Removed:** ${removed}`);
+    churn.slice(0, TOP_LIMIT).forEach(row => {
+      lines.push(`- **${row.roleName || row.roleId}**: +${row.added} / -${row.removed}`);
+    });
+  }
+
+  lines.push('');
+  lines.push(`## Current Roles (${roles.length} total)`);
+  if (roles.length === 0) {
+    lines.push('*No role data available*');
+  } else {
+    roles.forEach(role => {
+      // Emoji indicators for hoisted (shown separately) and mentionable roles
+      const flags = `${role.hoist ? '📌' : ''}${role.mentionable ? '🔔' : ''}`;
+      lines.push(`- ${flags}**${role.name}** (Position: ${role.position}): ${role.memberCount} members`);
+    });
+  }
+
+  lines.push('');
+  lines.push(`## Top ${TOP_LIMIT} Members by Role Count`);
+  if (topMembers.length === 0) {
+    lines.push('*No member role data available*');
+  } else {
+    topMembers.forEach(member => {
+      lines.push(`- **${member.displayName || member.username}** (${member.username}): ${member.roleCount} roles`);
+    });
+  }
+
+  lines.push('');
+  lines.push(`*Report generated: ${getFormattedDateTime()} UTC*`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Split the report into Discord messages. A code block cut by a split is closed at the end
+ * of one message and reopened at the start of the next, so both halves keep their layout.
+ * @param {string} report - Markdown report
+ * @returns {string[]} Message contents in order
+ */
+function splitReport(report) {
+  const fence = '```';
+  // Leave room for the fence lines added around a split
+  const chunks = splitMessageContent(report, 2000 - 2 * (fence.length + 1));
+  let insideFence = false;
+
+  return chunks.map(chunk => {
+    const reopened = insideFence ? `${fence}\n${chunk}` : chunk;
+    for (const line of chunk.split('\n')) {
+      if (line.startsWith(fence)) {
+        insideFence = !insideFence;
+      }
+    }
+    return insideFence ? `${reopened}\n${fence}` : reopened;
+  });
+}
+
+/**
+ * Handle !memberstats [--days N]
+ * @param {Message} message - The command message
+ * @param {string[]} args - Command arguments
+ */
+async function handleMemberStatsCommand(message, args) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let options;
+  try {
+    options = parseMemberStatsArgs(args);
+  } catch (parseError) {
+    return message.reply(`${parseError.message}\n${MEMBER_STATS_USAGE}`);
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  if (!db) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  const statusMessage = await message.channel.send('Generating member statistics...');
+
+  const stats = await collectMemberStats(db, options);
+  const report = formatMemberStatsReport(message.guild, stats, options);
+  const chunks = splitReport(report);
+
+  // Role and member names can contain mentions; never ping anyone from the report
+  if (chunks.length <= MAX_REPORT_MESSAGES) {
+    await statusMessage.edit({ content: chunks[0], allowedMentions: { parse: [] } });
+    for (const chunk of chunks.slice(1)) {
+      await message.channel.send({ content: chunk, allowedMentions: { parse: [] } });
+    }
+    return;
+  }
+
+  // Too long to read comfortably in chat; attach the full report instead
+  const filePath = buildExportFilePath(monitor.getCurrentDatabasePath(message.guild.id), 'memberstats', 'md');
+  fs.writeFileSync(filePath, report, 'utf8');
+  console.log(`Member statistics written to ${filePath} (${formatFileSize(fs.statSync(filePath).size)})`);
+
+  await statusMessage.edit({
+    content: `Member statistics for ${message.guild.name}: ${stats.totals.members.toLocaleString()} members, ` +
+      `${stats.roles.length} roles. The full report is attached.`,
+    files: [{ attachment: filePath, name: path.basename(filePath) }],
+    allowedMentions: { parse: [] }
+  });
+}
+
+module.exports = {
+  handleMemberStatsCommand,
+  collectMemberStats,
+  parseMemberStatsArgs
+};
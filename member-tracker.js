@@ -2,136 +2,12 @@
 const { PermissionFlagsBits } = require('discord.js');
 const config = require('./config');
 const monitor = require('./monitor');
-
-// Initialize the database tables for member tracking
-async function initializeMemberDatabase(db) {
-  return new Promise((resolve, reject) => {
-    if (!db) {
-      reject(new Error("Database not initialized"));
-      return;
-    }
-    
-    console.log('Initializing member tracking database tables...');
-    
-    // Create members table to store basic member information
-    db.run(`
-      CREATE TABLE IF NOT EXISTS guild_members (
-        id TEXT PRIMARY KEY,
-        username TEXT,
-        displayName TEXT,
-        avatarURL TEXT,
-        joinedAt TEXT,
-        joinedTimestamp INTEGER,
-        bot INTEGER DEFAULT 0,
-        lastUpdated INTEGER,
-        leftGuild INTEGER DEFAULT 0,
-        leftTimestamp INTEGER
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating guild_members table:', err);
-        reject(err);
-        return;
-      }
-      
-      // Create member_roles table to track current roles
-      db.run(`
-        CREATE TABLE IF NOT EXISTS member_roles (
-          memberId TEXT,
-          roleId TEXT,
-          roleName TEXT,
-          roleColor TEXT,
-          rolePosition INTEGER,
-          addedAt INTEGER,
-          PRIMARY KEY (memberId, roleId)
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating member_roles table:', err);
-          reject(err);
-          return;
-        }
-        
-        // Create role_history table to track role changes over time
-        db.run(`
-          CREATE TABLE IF NOT EXISTS role_history (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            memberId TEXT,
-            roleId TEXT,
-            roleName TEXT,
-            action TEXT,
-            timestamp INTEGER,
-            FOREIGN KEY (memberId) REFERENCES guild_members(id)
-          )
-        `, (err) => {
-          if (err) {
-            console.error('Error creating role_history table:', err);
-            reject(err);
-            return;
-          }
-          
-          // Create guild_roles table to track roles and their hierarchy
-          db.run(`
-            CREATE TABLE IF NOT EXISTS guild_roles (
-              id TEXT PRIMARY KEY,
-              name TEXT,
-              color TEXT,
-              position INTEGER,
-              permissions TEXT,
-              mentionable INTEGER,
-              hoist INTEGER,
-              managed INTEGER,
-              createdAt TEXT,
-              createdTimestamp INTEGER,
-              updatedAt TEXT,
-              updatedTimestamp INTEGER,
-              deleted INTEGER DEFAULT 0,
-              deletedAt TEXT,
-              deletedTimestamp INTEGER
-            )
-          `, (err) => {
-            if (err) {
-              console.error('Error creating guild_roles table:', err);
-              reject(err);
-              return;
-            }
-            
-            // Create processing_checkpoints table for efficient member fetching
-            db.run(`
-              CREATE TABLE IF NOT EXISTS processing_checkpoints (
-                guild_id TEXT PRIMARY KEY,
-                last_member_id TEXT,
-                timestamp INTEGER
-              )
-            `, (err) => {
-              if (err) {
-                console.error('Error creating processing_checkpoints table:', err);
-                reject(err);
-                return;
-              }
-              
-              // Create indexes for better performance
-              db.run(`CREATE INDEX IF NOT EXISTS idx_member_roles_member_id ON member_roles(memberId)`, (err) => {
-                if (err) {
-                  console.error('Error creating member_roles index:', err);
-                  // Non-fatal, continue
-                }
-                
-                console.log('Member tracking database tables initialized successfully');
-                resolve(true);
-              });
-            });
-          });
-        });
-      });
-    });
-  });
-}
+const { getGuildConfig } = require('./guild-config');
 
 // Save member to database
 async function storeMemberInDb(member) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(member.guild.id);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -181,7 +57,7 @@ async function storeMemberInDb(member) {
 // Store member roles in database
 async function storeMemberRolesInDb(member) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(member.guild.id);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -255,7 +131,7 @@ async function storeMemberRolesInDb(member) {
 // Store multiple members' roles in a batch transaction - FIXED VERSION
 async function storeMemberRolesInDbBatch(members) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(members.length > 0 ? members[0].guild.id : null);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -320,9 +196,9 @@ async function storeMemberRolesInDbBatch(members) {
 }
 
 // Add role history entry
-async function addRoleHistoryEntry(memberId, roleId, roleName, action) {
+async function addRoleHistoryEntry(guildId, memberId, roleId, roleName, action) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guildId);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -356,9 +232,9 @@ async function addRoleHistoryEntry(memberId, roleId, roleName, action) {
 }
 
 // Mark member as having left the guild
-async function markMemberLeftGuild(memberId, username) {
+async function markMemberLeftGuild(guildId, memberId, username) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guildId);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -392,7 +268,7 @@ async function markMemberLeftGuild(memberId, username) {
 // Store a role in the database
 async function storeRoleInDb(role) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(role.guild.id);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -440,7 +316,7 @@ async function storeRoleInDb(role) {
 // Mark a role as deleted
 async function markRoleDeleted(role) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(role.guild.id);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -475,7 +351,7 @@ async function markRoleDeleted(role) {
 // Fetch and store all guild roles
 async function fetchAndStoreGuildRoles(guild) {
   try {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guild.id);
     if (!db) {
       console.error("Cannot fetch roles: Database not initialized");
       return { success: false, error: "Database not initialized" };
@@ -520,7 +396,7 @@ async function fetchAndStoreGuildRoles(guild) {
 
 // Store checkpoint for efficient member processing
 async function saveProcessingCheckpoint(guildId, lastProcessedMemberId) {
-  const db = monitor.getDatabase();
+  const db = monitor.getDatabase(guildId);
   return new Promise((resolve, reject) => {
     db.run(
       'INSERT OR REPLACE INTO processing_checkpoints (guild_id, last_member_id, timestamp) VALUES (?, ?, ?)',
@@ -535,7 +411,7 @@ async function saveProcessingCheckpoint(guildId, lastProcessedMemberId) {
 
 // Get last checkpoint for resuming member processing
 async function getProcessingCheckpoint(guildId) {
-  const db = monitor.getDatabase();
+  const db = monitor.getDatabase(guildId);
   return new Promise((resolve, reject) => {
     db.get(
       'SELECT last_member_id FROM processing_checkpoints WHERE guild_id = ?',
@@ -565,7 +441,7 @@ async function fetchMembersInChunks(guild, statusMessage) {
   const memoryThresholdBytes = memoryThresholdMB * 1024 * 1024;
   
   // Initialize database connection once outside the loop
-  const db = monitor.getDatabase();
+  const db = monitor.getDatabase(guild.id);
   if (!db) {
     throw new Error("Database not initialized");
   }
@@ -914,7 +790,7 @@ async function fetchMembersInChunks(guild, statusMessage) {
 // Fetch all members for a guild and store them in database (for exportguild command)
 async function fetchAndStoreMembersForGuild(guild, statusMessage) {
   try {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guild.id);
     if (!db) {
       console.error("Cannot fetch members: Database not initialized");
       return { success: false, error: "Database not initialized" };
@@ -984,7 +860,7 @@ async function fetchAndStoreMembersForGuild(guild, statusMessage) {
     
     // Process members in parallel batches
     const members = Array.from(guild.members.cache.values());
-    const batchSize = config.getConfig('memberBatchSize', 'MEMBER_BATCH_SIZE') || 100;
+    const batchSize = getGuildConfig(guild.id, 'memberBatchSize') || 100;
     const concurrentBatchCount = config.getConfig('concurrentBatches', 'CONCURRENT_BATCHES') || 5;
     
     // START A TRANSACTION HERE FOR ALL BATCHES
@@ -1144,9 +1020,9 @@ async function fetchAndStoreMembersForGuild(guild, statusMessage) {
  * Cleans up WAL files by checkpointing and switching journal mode
  * Can be called anytime WAL files need to be removed
  */
-async function cleanupWalFiles() {
+async function cleanupWalFiles(guildId) {
   return new Promise((resolve, reject) => {
-    const db = monitor.getDatabase();
+    const db = monitor.getDatabase(guildId);
     if (!db) {
       reject(new Error("Database not initialized"));
       return;
@@ -1189,7 +1065,7 @@ function initializeMemberTracking(client) {
   client.on('guildMemberAdd', async (member) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(member.guild);
+      const dbExists = monitor.hasDatabase(member.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping new member ${member.user.username}: no database for guild ${member.guild.name}`);
         return;
@@ -1212,7 +1088,7 @@ function initializeMemberTracking(client) {
   client.on('guildMemberRemove', async (member) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(member.guild);
+      const dbExists = monitor.hasDatabase(member.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping member leave ${member.user.username}: no database for guild ${member.guild.name}`);
         return;
@@ -1221,7 +1097,7 @@ function initializeMemberTracking(client) {
       console.log(`[${getFormattedDateTime()}] Member left: ${member.user.username} (${member.id})`);
       
       // Mark member as having left the guild
-      await markMemberLeftGuild(member.id, member.user.username);
+      await markMemberLeftGuild(member.guild.id, member.id, member.user.username);
       
     } catch (error) {
       console.error(`[${getFormattedDateTime()}] Error processing member leave:`, error);
@@ -1232,7 +1108,7 @@ function initializeMemberTracking(client) {
   client.on('guildMemberUpdate', async (oldMember, newMember) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(newMember.guild);
+      const dbExists = monitor.hasDatabase(newMember.guild.id);
       if (!dbExists) {
         return;
       }
@@ -1250,7 +1126,7 @@ function initializeMemberTracking(client) {
           console.log(`[${getFormattedDateTime()}] Role added to ${newMember.user.username}: ${role.name}`);
           
           // Add to role history
-          await addRoleHistoryEntry(newMember.id, roleId, role.name, 'added');
+          await addRoleHistoryEntry(newMember.guild.id, newMember.id, roleId, role.name, 'added');
         }
       }
       
@@ -1263,7 +1139,7 @@ function initializeMemberTracking(client) {
           console.log(`[${getFormattedDateTime()}] Role removed from ${newMember.user.username}: ${role.name}`);
           
           // Add to role history
-          await addRoleHistoryEntry(newMember.id, roleId, role.name, 'removed');
+          await addRoleHistoryEntry(newMember.guild.id, newMember.id, roleId, role.name, 'removed');
         }
       }
       
@@ -1285,7 +1161,7 @@ function initializeMemberTracking(client) {
   client.on('roleCreate', async (role) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(role.guild);
+      const dbExists = monitor.hasDatabase(role.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping new role ${role.name}: no database for guild ${role.guild.name}`);
         return;
@@ -1305,7 +1181,7 @@ function initializeMemberTracking(client) {
   client.on('roleDelete', async (role) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(role.guild);
+      const dbExists = monitor.hasDatabase(role.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping role deletion ${role.name}: no database for guild ${role.guild.name}`);
         return;
@@ -1325,7 +1201,7 @@ function initializeMemberTracking(client) {
   client.on('roleUpdate', async (oldRole, newRole) => {
     try {
       // Only process if database is initialized for this guild
-      const dbExists = monitor.checkDatabaseExists(newRole.guild);
+      const dbExists = monitor.hasDatabase(newRole.guild.id);
       if (!dbExists) {
         console.log(`[${getFormattedDateTime()}] Skipping role update ${newRole.name}: no database for guild ${newRole.guild.name}`);
         return;
@@ -1345,7 +1221,6 @@ function initializeMemberTracking(client) {
 // Export functions
 module.exports = {
   initializeMemberTracking,
-  initializeMemberDatabase,
   fetchAndStoreMembersForGuild,
   fetchMembersInChunks,
   storeMemberInDb,
@@ -1357,4 +1232,4 @@ module.exports = {
   markRoleDeleted,
   fetchAndStoreGuildRoles,
   cleanupWalFiles
-};
\ No newline at end of file
+};
\ No newline at end of file
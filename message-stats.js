@@ -0,0 +1,300 @@
+// message-stats.js - Message activity statistics (!messagestats)
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const monitor = require('./monitor');
+const { toCsvRow } = require('./csv-export');
+const { buildExportFilePath, formatFileSize } = require('./export-utils');
+const { getFormattedDateTime, parseChannelReference, parseRangeDate, dbAll, dbGet } = require('./utils');
+
+// Default window when neither --days nor --from/--to is given
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Rows shown per ranking in the embeds (the CSV always has everything)
+const TOP_LIMIT = 15;
+
+// Days listed in the daily volume embed
+const DAILY_LIMIT = 14;
+
+const MESSAGE_STATS_USAGE = 'Usage: `!messagestats [--days N | --from YYYY-MM-DD] [--to YYYY-MM-DD] [--channel #channel] [--all]`';
+
+// SQL expression that is 1 for messages with at least one attachment
+const HAS_ATTACHMENTS = `CASE WHEN attachmentsJson IS NOT NULL AND attachmentsJson NOT IN ('', '[]') THEN 1 ELSE 0 END`;
+
+/**
+ * Parse the options of !messagestats
+ * @param {string[]} args - Command arguments
+ * @returns {Object} { from, to, channelId } with times in ms (to is exclusive, null for open ends)
+ */
+function parseMessageStatsArgs(args) {
+  const options = { from: null, to: null, channelId: null };
+  let days = DEFAULT_WINDOW_DAYS;
+  let explicitRange = false;
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i].toLowerCase();
+    const value = args[i + 1];
+
+    if (arg === '--days') {
+      days = parseInt(value, 10);
+      if (!Number.isInteger(days) || days <= 0) {
+        throw new Error(`Invalid number of days "${value || ''}"`);
+      }
+      i++;
+    } else if (arg === '--from' || arg === '--to') {
+      options[arg === '--from' ? 'from' : 'to'] = parseRangeDate(value, arg === '--to');
+      explicitRange = true;
+      i++;
+    } else if (arg === '--channel') {
+      options.channelId = parseChannelReference(value);
+      if (!options.channelId) {
+        throw new Error(`Unknown channel "${value || ''}"`);
+      }
+      i++;
+    } else if (arg === '--all') {
+      days = null;
+    } else {
+      throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+
+  if (!explicitRange && days !== null) {
+    options.from = Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+  if (options.from !== null && options.to !== null && options.from >= options.to) {
+    throw new Error('The start of the range must be before its end.');
+  }
+
+  return options;
+}
+
+/**
+ * Describe the statistics window for headings
+ * @param {Object} options - Parsed options
+ * @returns {string}
+ */
+function describeWindow(options) {
+  const format = time => new Date(time).toISOString().substring(0, 10);
+  if (options.from === null && options.to === null) return 'all time';
+  if (options.to === null) return `since ${format(options.from)}`;
+  if (options.from === null) return `before ${format(options.to)}`;
+  return `${format(options.from)} to ${format(options.to - 1)}`;
+}
+
+/**
+ * Build the WHERE clause selecting the messages in the statistics window
+ * @param {Object} options - Parsed options
+ * @param {string} prefix - Column prefix when the messages table is aliased (e.g. "m.")
+ * @returns {{where: string, params: Array}}
+ */
+function buildWindowClause(options, prefix = '') {
+  const conditions = [];
+  const params = [];
+  if (options.from !== null) {
+    conditions.push(`${prefix}timestamp >= ?`);
+    params.push(options.from);
+  }
+  if (options.to !== null) {
+    conditions.push(`${prefix}timestamp < ?`);
+    params.push(options.to);
+  }
+  if (options.channelId) {
+    conditions.push(`${prefix}channelId = ?`);
+    params.push(options.channelId);
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Collect message volumes for a time window
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Totals and per-channel, per-user, per-day and per-hour volumes
+ */
+async function collectMessageStats(db, options) {
+  const { where, params } = buildWindowClause(options);
+  const joinedWindow = buildWindowClause(options, 'm.');
+
+  const totals = await dbGet(db, `
+    SELECT COUNT(*) AS messages,
+           COUNT(DISTINCT authorId) AS authors,
+           COUNT(DISTINCT channelId) AS channels,
+           COALESCE(SUM(${HAS_ATTACHMENTS}), 0) AS withAttachments,
+           COALESCE(SUM(CASE WHEN deleted = 1 THEN 1 ELSE 0 END), 0) AS deleted
+    FROM messages ${where}
+  `, params);
+
+  const channels = await dbAll(db, `
+    SELECT m.channelId AS key, c.name AS label, COUNT(*) AS messages, SUM(${HAS_ATTACHMENTS}) AS attachments
+    FROM messages m LEFT JOIN channels c ON c.id = m.channelId
+    ${joinedWindow.where}
+    GROUP BY m.channelId ORDER BY messages DESC
+  `, joinedWindow.params);
+
+  const users = await dbAll(db, `
+    SELECT authorId AS key, MAX(authorUsername) AS label, COUNT(*) AS messages, SUM(${HAS_ATTACHMENTS}) AS attachments
+    FROM messages ${where}
+    GROUP BY authorId ORDER BY messages DESC
+  `, params);
+
+  const days = await dbAll(db, `
+    SELECT date(timestamp / 1000, 'unixepoch') AS key, COUNT(*) AS messages, SUM(${HAS_ATTACHMENTS}) AS attachments
+    FROM messages ${where}
+    GROUP BY key ORDER BY key
+  `, params);
+
+  const hours = await dbAll(db, `
+    SELECT CAST(strftime('%H', timestamp / 1000, 'unixepoch') AS INTEGER) AS key, COUNT(*) AS messages, SUM(${HAS_ATTACHMENTS}) AS attachments
+    FROM messages ${where}
+    GROUP BY key ORDER BY key
+  `, params);
+
+  return { totals, channels, users, days, hours };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} part - Part
+ * @param {number} whole - Whole
+ * @returns {string}
+ */
+function formatShare(part, whole) {
+  return whole > 0 ? `${(part / whole * 100).toFixed(1)}%` : '0%';
+}
+
+/**
+ * Render the statistics as embeds
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} stats - Result of collectMessageStats
+ * @param {Object} options - Parsed options
+ * @returns {EmbedBuilder[]}
+ */
+function buildStatsEmbeds(guild, stats, options) {
+  const { totals } = stats;
+  const busiestDay = stats.days.reduce((best, day) => (!best || day.messages > best.messages ? day : best), null);
+  const windowDays = stats.days.length > 0
+    ? Math.max(1, Math.round((Date.parse(stats.days[stats.days.length - 1].key) - Date.parse(stats.days[0].key)) / 86400000) + 1)
+    : 0;
+
+  const overview = new EmbedBuilder()
+    .setTitle(`Message statistics for ${guild.name}`)
+    .setDescription(`Window: ${describeWindow(options)}${options.channelId ? ` in <#${options.channelId}>` : ''}`)
+    .addFields(
+      { name: 'Messages', value: totals.messages.toLocaleString(), inline: true },
+      { name: 'Active users', value: totals.authors.toLocaleString(), inline: true },
+      { name: 'Channels', value: totals.channels.toLocaleString(), inline: true },
+      { name: 'With attachments', value: `${totals.withAttachments.toLocaleString()} (${formatShare(totals.withAttachments, totals.messages)})`, inline: true },
+      { name: 'Deleted since archived', value: totals.deleted.toLocaleString(), inline: true },
+      { name: 'Daily average', value: windowDays > 0 ? Math.round(totals.messages / windowDays).toLocaleString() : '0', inline: true },
+      { name: 'Busiest day', value: busiestDay ? `${busiestDay.key} (${busiestDay.messages.toLocaleString()})` : 'n/a', inline: true }
+    )
+    .setFooter({ text: `Report generated: ${getFormattedDateTime()} UTC` });
+
+  const channelLines = stats.channels.slice(0, TOP_LIMIT).map((channel, index) =>
+    `${index + 1}. <#${channel.key}> — ${channel.messages.toLocaleString()} (${formatShare(channel.messages, totals.messages)})`
+  );
+  const channelEmbed = new EmbedBuilder()
+    .setTitle(`Top ${channelLines.length} channels`)
+    .setDescription(channelLines.join('\n') || '*No messages*');
+
+  const userLines = stats.users.slice(0, TOP_LIMIT).map((user, index) =>
+    `${index + 1}. <@${user.key}> (${user.label || 'unknown'}) — ${user.messages.toLocaleString()} (${formatShare(user.messages, totals.messages)})`
+  );
+  const userEmbed = new EmbedBuilder()
+    .setTitle(`Top ${userLines.length} users`)
+    .setDescription(userLines.join('\n') || '*No messages*');
+
+  // 24 bars, one per UTC hour, scaled to the busiest hour
+  const hourCounts = new Array(24).fill(0);
+  stats.hours.forEach(hour => { hourCounts[hour.key] = hour.messages; });
+  const maxHour = Math.max(1, ...hourCounts);
+  const hourChart = hourCounts
+    .map((count, hour) => `${String(hour).padStart(2, '0')}h ${'█'.repeat(Math.round(count / maxHour * 20)).padEnd(20, ' ')} ${count}`)
+    .join('\n');
+  const topHours = [...stats.hours]
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, 3)
+    .map(hour => `${String(hour.key).padStart(2, '0')}:00–${String(hour.key).padStart(2, '0')}:59`)
+    .join(', ');
+
+  const dayLines = stats.days.slice(-DAILY_LIMIT).map(day => `${day.key}: ${day.messages.toLocaleString()}`);
+  const activityEmbed = new EmbedBuilder()
+    .setTitle('Activity')
+    .setDescription(
+      `**Most active hours (UTC):** ${topHours || 'n/a'}\n` +
+      '```\n' + hourChart + '\n```'
+    )
+    .addFields({
+      name: `Daily volume (last ${dayLines.length} day(s) with messages)`,
+      value: dayLines.join('\n') || '*No messages*'
+    });
+
+  return [overview, channelEmbed, userEmbed, activityEmbed];
+}
+
+/**
+ * Write every statistic to a single long-format CSV file
+ * @param {Object} stats - Result of collectMessageStats
+ * @param {string} filePath - Output file
+ */
+function writeStatsCsv(stats, filePath) {
+  const lines = [toCsvRow(['dimension', 'key', 'label', 'messages', 'attachments'])];
+  stats.channels.forEach(row => lines.push(toCsvRow(['channel', row.key, row.label, row.messages, row.attachments])));
+  stats.users.forEach(row => lines.push(toCsvRow(['user', row.key, row.label, row.messages, row.attachments])));
+  stats.days.forEach(row => lines.push(toCsvRow(['day', row.key, '', row.messages, row.attachments])));
+  stats.hours.forEach(row => lines.push(toCsvRow(['hour', row.key, `${String(row.key).padStart(2, '0')}:00 UTC`, row.messages, row.attachments])));
+
+  // BOM so spreadsheet applications detect UTF-8
+  fs.writeFileSync(filePath, '\ufeff' + lines.join(''), 'utf8');
+}
+
+/**
+ * Handle !messagestats
+ * @param {Message} message - The command message
+ * @param {string[]} args - Command arguments
+ */
+async function handleMessageStatsCommand(message, args) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let options;
+  try {
+    options = parseMessageStatsArgs(args);
+  } catch (parseError) {
+    return message.reply(`${parseError.message}\n${MESSAGE_STATS_USAGE}`);
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
+  if (!db || !fs.existsSync(dbPath)) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  const statusMessage = await message.channel.send(`Generating message statistics (${describeWindow(options)})...`);
+
+  const stats = await collectMessageStats(db, options);
+  if (stats.totals.messages === 0) {
+    await statusMessage.edit(`No archived messages found for ${describeWindow(options)}.`);
+    return;
+  }
+
+  const filePath = buildExportFilePath(dbPath, 'messagestats', 'csv');
+  writeStatsCsv(stats, filePath);
+  console.log(`Message statistics written to ${filePath} (${formatFileSize(fs.statSync(filePath).size)})`);
+
+  await statusMessage.edit({
+    content: `Message statistics for ${message.guild.name}`,
+    embeds: buildStatsEmbeds(message.guild, stats, options),
+    files: [{ attachment: filePath, name: path.basename(filePath) }],
+    allowedMentions: { parse: [] }
+  });
+}
+
+module.exports = {
+  handleMessageStatsCommand,
+  collectMessageStats,
+  parseMessageStatsArgs,
+  describeWindow
+};
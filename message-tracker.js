@@ -0,0 +1,187 @@
+// message-tracker.js - Track edits and deletions of archived messages
+const crypto = require('crypto');
+const monitor = require('./monitor');
+const { getFormattedDateTime, dbAll, dbGet, dbRun } = require('./utils');
+
+/**
+ * Find the stored copy of a message, checking the WAL first since it holds the newest messages
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} messageId - Message ID
+ * @returns {Promise<{table: string, row: Object}|null>}
+ */
+async function findStoredMessage(db, messageId) {
+  for (const table of ['message_wal', 'messages']) {
+    const row = await dbGet(db, `SELECT content, embedsJson, attachmentsJson FROM ${table} WHERE id = ?`, [messageId]);
+    if (row) {
+      return { table, row };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record an edit to a message and update the stored copy in place
+ * @param {Message} oldMessage - Message before the edit (may be partial)
+ * @param {Message} newMessage - Message after the edit
+ * @returns {Promise<boolean>} Whether a revision was recorded
+ */
+async function recordMessageEdit(oldMessage, newMessage) {
+  const db = monitor.getDatabase(newMessage.guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  const messageData = monitor.extractMessageMetadata(newMessage);
+  const newEmbedsJson = JSON.stringify(messageData.embeds);
+  const newAttachmentsJson = JSON.stringify(messageData.attachments);
+
+  // The stored copy is the most reliable "before" state; the cached old message
+  // is only available when the message was seen since the bot started
+  const stored = await findStoredMessage(db, newMessage.id);
+  let previous = null;
+  if (stored) {
+    previous = stored.row;
+  } else if (!oldMessage.partial) {
+    const oldData = monitor.extractMessageMetadata(oldMessage);
+    previous = {
+      content: oldData.content,
+      embedsJson: JSON.stringify(oldData.embeds),
+      attachmentsJson: JSON.stringify(oldData.attachments)
+    };
+  }
+
+  const changed = !previous ||
+    previous.content !== messageData.content ||
+    previous.embedsJson !== newEmbedsJson ||
+    previous.attachmentsJson !== newAttachmentsJson;
+
+  if (!changed) {
+    return false;
+  }
+
+  // Discord also sends updates when link previews load; only edits by the author carry an edit time
+  let recorded = false;
+  if (messageData.edited_timestamp) {
+    await dbRun(db, `
+      INSERT INTO message_revisions (
+        messageId, channelId, authorId,
+        previousContent, newContent,
+        previousEmbedsJson, newEmbedsJson,
+        previousAttachmentsJson, newAttachmentsJson,
+        editedTimestamp, recordedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      messageData.id,
+      messageData.channelId,
+      messageData.authorId,
+      previous ? previous.content : null,
+      messageData.content,
+      previous ? previous.embedsJson : null,
+      newEmbedsJson,
+      previous ? previous.attachmentsJson : null,
+      newAttachmentsJson,
+      messageData.edited_timestamp,
+      Date.now()
+    ]);
+    recorded = true;
+  }
+
+  // Keep both the WAL entry and the archived row in step with Discord
+  for (const table of ['message_wal', 'messages']) {
+    await dbRun(db, `
+      UPDATE ${table}
+      SET content = ?, embedsJson = ?, attachmentsJson = ?, edited_timestamp = ?,
+          mentions = ?, mention_roles = ?, mention_channels = ?, mention_everyone = ?, flags = ?
+      WHERE id = ?
+    `, [
+      messageData.content,
+      newEmbedsJson,
+      newAttachmentsJson,
+      messageData.edited_timestamp,
+      messageData.mentions,
+      messageData.mention_roles,
+      messageData.mention_channels,
+      messageData.mention_everyone ? 1 : 0,
+      messageData.flags,
+      messageData.id
+    ]);
+  }
+
+  return recorded;
+}
+
+/**
+ * Get the stored revisions of a message, oldest first
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Array>} Revision rows
+ */
+function getMessageRevisions(db, messageId) {
+  return dbAll(db, `SELECT * FROM message_revisions WHERE messageId = ? ORDER BY recordedAt, id`, [messageId]);
+}
+
+/**
+ * Listen for message edits and deletions on monitored channels
+ * @param {Client} client - The Discord client
+ * @param {Set<string>} initializedGuilds - Guilds that have a database ready
+ */
+function initializeMessageTracking(client, initializedGuilds) {
+  console.log(`[${getFormattedDateTime()}] Message tracking initialized`);
+
+  client.on('messageUpdate', async (oldMessage, newMessage) => {
+    try {
+      if (!newMessage.guildId || !initializedGuilds.has(newMessage.guildId)) return;
+      if (!monitor.shouldMonitorChannel(newMessage.guildId, newMessage.channelId, newMessage.channel)) return;
+
+      // Updates for messages that were not cached arrive as partials
+      if (newMessage.partial) {
+        newMessage = await newMessage.fetch();
+      }
+
+      if (newMessage.author.bot) return;
+
+      const recorded = await recordMessageEdit(oldMessage, newMessage);
+      if (recorded) {
+        console.log(`[${getFormattedDateTime()}] Recorded edit of message ${newMessage.id} in channel ${newMessage.channelId}`);
+      }
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error processing message edit ${newMessage.id}:`, error);
+    }
+  });
+
+  // Deleted messages stay in the database as tombstones
+  client.on('messageDelete', async (message) => {
+    try {
+      if (!message.guildId || !initializedGuilds.has(message.guildId)) return;
+      if (!monitor.shouldMonitorChannel(message.guildId, message.channelId, message.channel)) return;
+
+      const marked = await monitor.markMessagesDeleted(message.guildId, [message.id], { deletedAt: Date.now() });
+      console.log(`[${getFormattedDateTime()}] Message ${message.id} deleted in channel ${message.channelId}${marked > 0 ? ', kept as tombstone' : ' (not archived yet)'}`);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error processing message deletion ${message.id}:`, error);
+    }
+  });
+
+  client.on('messageDeleteBulk', async (messages, channel) => {
+    try {
+      if (!channel.guildId || !initializedGuilds.has(channel.guildId)) return;
+      if (!monitor.shouldMonitorChannel(channel.guildId, channel.id, channel)) return;
+
+      // One batch ID ties together everything removed by the same purge
+      const batchId = crypto.randomUUID();
+      const marked = await monitor.markMessagesDeleted(channel.guildId, Array.from(messages.keys()), {
+        deletedAt: Date.now(),
+        batchId
+      });
+      console.log(`[${getFormattedDateTime()}] Bulk delete of ${messages.size} messages in channel ${channel.id} (batch ${batchId}), ${marked} archived row(s) marked deleted`);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error processing bulk deletion in channel ${channel.id}:`, error);
+    }
+  });
+}
+
+module.exports = {
+  initializeMessageTracking,
+  recordMessageEdit,
+  getMessageRevisions
+};
@@ -0,0 +1,349 @@
+// metrics.js - Health check and Prometheus metrics for the bot process
+const fs = require('fs');
+const http = require('http');
+const { RESTEvents, Status } = require('discord.js');
+const config = require('./config');
+const monitor = require('./monitor');
+const walManager = require('./wal-manager');
+const exportGuild = require('./exportguild');
+const { isAuthorized } = require('./http-api');
+const { dbGet, getFormattedDateTime } = require('./utils');
+
+// Prefix of every metric name
+const METRIC_PREFIX = 'exportguild_';
+
+// The WAL checker counts as stalled after missing this many runs in a row
+const WAL_STALL_INTERVALS = 3;
+
+// Content type of the Prometheus text exposition format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Rate limits hit by any REST request since startup, split by scope
+const rateLimitHits = { global: 0, route: 0 };
+
+const processStartedAt = Date.now();
+let metricsClient = null;
+let server = null;
+
+/**
+ * Start counting rate limits for the metrics. Exports count their own hits in exportState;
+ * this counter covers every request the bot makes.
+ * @param {Client} client - Discord client
+ */
+function initializeMetrics(client) {
+  if (metricsClient) return;
+  metricsClient = client;
+  client.rest.on(RESTEvents.RateLimited, info => {
+    rateLimitHits[info.global ? 'global' : 'route']++;
+  });
+}
+
+/**
+ * Name of a gateway status for display
+ * @param {number} status - Value of client.ws.status
+ * @returns {string}
+ */
+function describeGatewayStatus(status) {
+  return Object.keys(Status).find(name => Status[name] === status && isNaN(Number(name))) || String(status);
+}
+
+/**
+ * Check whether the bot is connected and its WAL checker still runs
+ * @param {Client} client - Discord client
+ * @returns {{healthy: boolean, gateway: string, uptimeSeconds: number, checks: Object}}
+ */
+function getHealth(client) {
+  const wal = walManager.getWalCheckState();
+  const lastWalRun = wal.lastRunAt || wal.startedAt;
+  const walStalled = wal.guildCount > 0 && lastWalRun !== null &&
+    Date.now() - lastWalRun > wal.intervalMs * WAL_STALL_INTERVALS;
+
+  const checks = {
+    gateway: client.isReady() && client.ws.status === Status.Ready,
+    walChecker: !walStalled
+  };
+
+  return {
+    healthy: Object.values(checks).every(Boolean),
+    gateway: describeGatewayStatus(client.ws.status),
+    uptimeSeconds: Math.round((Date.now() - processStartedAt) / 1000),
+    checks
+  };
+}
+
+/**
+ * Quote a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Collects metric families and renders them in the Prometheus text format
+ */
+function createMetricWriter() {
+  const lines = [];
+
+  return {
+    /**
+     * Add a metric family
+     * @param {string} name - Metric name without the prefix
+     * @param {string} type - gauge, counter or summary
+     * @param {string} help - Description
+     * @param {Array<{labels?: Object, value: number, suffix?: string}>} samples - Samples
+     */
+    add(name, type, help, samples) {
+      const fullName = METRIC_PREFIX + name;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      for (const { labels = {}, value, suffix = '' } of samples) {
+        const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',');
+        const number = typeof value === 'boolean' ? Number(value) : value;
+        lines.push(`${fullName}${suffix}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(number) ? number : 'NaN'}`);
+      }
+    },
+
+    toString() {
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+/**
+ * Read the result of the last vacuum from a guild's database
+ * @param {sqlite3.Database} db - Guild database connection
+ * @returns {Promise<Object|null>}
+ */
+async function getLastVacuum(db) {
+  try {
+    const row = await dbGet(db, `SELECT value FROM guild_metadata WHERE key = 'last_vacuum'`);
+    return row ? JSON.parse(row.value) : null;
+  } catch (error) {
+    console.error('Error reading last vacuum result:', error);
+    return null;
+  }
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @param {Client} client - Discord client
+ * @returns {Promise<string>}
+ */
+async function renderMetrics(client) {
+  const metrics = createMetricWriter();
+  const health = getHealth(client);
+  const seconds = ms => ms / 1000;
+
+  // Process and gateway
+  metrics.add('up', 'gauge', 'Whether the health check passes', [{ value: health.healthy }]);
+  metrics.add('uptime_seconds', 'gauge', 'Seconds since the process started', [{ value: health.uptimeSeconds }]);
+  metrics.add('gateway_connected', 'gauge', 'Whether the Discord gateway connection is ready', [{ value: health.checks.gateway }]);
+  metrics.add('gateway_status', 'gauge', 'Discord gateway status code (0 = ready)', [
+    { labels: { status: health.gateway }, value: client.ws.status }
+  ]);
+  metrics.add('gateway_ping_milliseconds', 'gauge', 'Latest gateway heartbeat round trip', [{ value: client.ws.ping }]);
+  metrics.add('rate_limit_hits_total', 'counter', 'REST rate limits hit since startup', [
+    { labels: { scope: 'global' }, value: rateLimitHits.global },
+    { labels: { scope: 'route' }, value: rateLimitHits.route }
+  ]);
+
+  const memory = exportGuild.checkMemoryUsage();
+  metrics.add('memory_rss_bytes', 'gauge', 'Resident set size of the process', [{ value: memory.rss }]);
+  metrics.add('memory_heap_used_bytes', 'gauge', 'V8 heap in use', [{ value: memory.heapUsed }]);
+  metrics.add('memory_limit_ratio', 'gauge', 'Resident set size as a fraction of the configured memory limit', [{ value: memory.percentOfLimit / 100 }]);
+  metrics.add('memory_above_limit', 'gauge', 'Whether memory use is above the effective export limit', [{ value: memory.isAboveLimit }]);
+
+  metrics.add('message_cache_size', 'gauge', 'Live messages waiting in memory to be written to the WAL', [{ value: monitor.getMessageCacheSize() }]);
+
+  // WAL checker
+  const wal = walManager.getWalCheckState();
+  metrics.add('wal_checker_healthy', 'gauge', 'Whether the WAL checker ran within its expected interval', [{ value: health.checks.walChecker }]);
+  metrics.add('wal_checker_last_run_timestamp_seconds', 'gauge', 'When the WAL checker last finished a run', [
+    { value: wal.lastRunAt ? seconds(wal.lastRunAt) : 0 }
+  ]);
+
+  const flushSamples = [];
+  const lastFlushSamples = [];
+  for (const [guildId, stats] of wal.guilds) {
+    flushSamples.push(
+      { labels: { guild: guildId }, value: seconds(stats.totalMs), suffix: '_sum' },
+      { labels: { guild: guildId }, value: stats.checks, suffix: '_count' }
+    );
+    lastFlushSamples.push({ labels: { guild: guildId }, value: seconds(stats.lastMs) });
+  }
+  metrics.add('wal_flush_duration_seconds', 'summary', 'Time spent moving aged WAL entries into the messages table', flushSamples);
+  metrics.add('wal_flush_last_duration_seconds', 'gauge', 'Duration of the latest WAL flush', lastFlushSamples);
+
+  // Per-guild databases
+  const walPending = [];
+  const walTotal = [];
+  const databaseSizes = [];
+  const vacuumTimes = [];
+  const vacuumSuccess = [];
+  const vacuumReclaimed = [];
+  const vacuumDurations = [];
+
+  for (const guildId of monitor.getInitializedGuildIds()) {
+    const db = monitor.getDatabase(guildId);
+    const labels = { guild: guildId };
+
+    const walCounts = await dbGet(db, `
+      SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN processed = 0 THEN 1 ELSE 0 END), 0) AS pending
+      FROM message_wal
+    `);
+    walPending.push({ labels, value: walCounts.pending });
+    walTotal.push({ labels, value: walCounts.total });
+
+    const dbPath = monitor.getCurrentDatabasePath(guildId);
+    if (dbPath && fs.existsSync(dbPath)) {
+      databaseSizes.push({ labels, value: fs.statSync(dbPath).size });
+    }
+
+    const vacuum = await getLastVacuum(db);
+    if (vacuum) {
+      vacuumTimes.push({ labels, value: seconds(vacuum.finishedAt) });
+      vacuumSuccess.push({ labels, value: vacuum.success });
+      vacuumDurations.push({ labels, value: seconds(vacuum.finishedAt - vacuum.startedAt) });
+      if (vacuum.success) {
+        vacuumReclaimed.push({ labels, value: vacuum.sizeBeforeBytes - vacuum.sizeAfterBytes });
+      }
+    }
+  }
+
+  metrics.add('wal_pending_messages', 'gauge', 'Messages in message_wal not yet moved to the messages table', walPending);
+  metrics.add('wal_entries', 'gauge', 'Rows in message_wal, including processed entries awaiting cleanup', walTotal);
+  metrics.add('database_size_bytes', 'gauge', 'Size of the guild database file', databaseSizes);
+  metrics.add('last_vacuum_timestamp_seconds', 'gauge', 'When the last vacuum finished', vacuumTimes);
+  metrics.add('last_vacuum_success', 'gauge', 'Whether the last vacuum succeeded', vacuumSuccess);
+  metrics.add('last_vacuum_duration_seconds', 'gauge', 'Duration of the last vacuum', vacuumDurations);
+  metrics.add('last_vacuum_reclaimed_bytes', 'gauge', 'Space reclaimed by the last successful vacuum', vacuumReclaimed);
+
+  // Running exports
+  const exportSamples = {
+    running: [], channelsTotal: [], channelsProcessed: [], messagesProcessed: [],
+    messagesStored: [], rateLimitHits: [], concurrency: [], elapsed: []
+  };
+  for (const [guildId, exportState] of exportGuild.getRunningExports()) {
+    const labels = { guild: guildId };
+    exportSamples.running.push({ labels: { ...labels, state: exportState.control.state }, value: 1 });
+    exportSamples.channelsTotal.push({ labels, value: exportState.totalChannels });
+    exportSamples.channelsProcessed.push({ labels, value: exportState.processedChannels });
+    exportSamples.messagesProcessed.push({ labels, value: exportState.messagesTotalProcessed });
+    exportSamples.messagesStored.push({ labels, value: exportState.messagesStoredInDb });
+    exportSamples.rateLimitHits.push({ labels, value: exportState.rateLimitHits });
+    if (exportState.scheduler) {
+      exportSamples.concurrency.push({ labels, value: exportState.scheduler.concurrency });
+    }
+    exportSamples.elapsed.push({ labels, value: seconds(Date.now() - exportState.startTime) });
+  }
+
+  metrics.add('export_running', 'gauge', 'Exports in progress, by state (running or paused)', exportSamples.running);
+  metrics.add('export_channels_total', 'gauge', 'Channels in the running export', exportSamples.channelsTotal);
+  metrics.add('export_channels_processed', 'gauge', 'Channels finished by the running export', exportSamples.channelsProcessed);
+  metrics.add('export_messages_processed', 'gauge', 'Messages fetched by the running export', exportSamples.messagesProcessed);
+  metrics.add('export_messages_stored', 'gauge', 'Messages stored by the running export', exportSamples.messagesStored);
+  metrics.add('export_rate_limit_hits', 'gauge', 'Rate limits hit by the running export', exportSamples.rateLimitHits);
+  metrics.add('export_concurrency', 'gauge', 'Channels the running export fetches in parallel', exportSamples.concurrency);
+  metrics.add('export_elapsed_seconds', 'gauge', 'Time since the running export started', exportSamples.elapsed);
+
+  return metrics.toString();
+}
+
+/**
+ * Send a response with no caching
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {string} contentType - Content-Type header
+ * @param {string} body - Response body
+ */
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+/**
+ * Answer one request
+ * @param {Client} client - Discord client
+ * @param {string|undefined} token - Token required for /metrics, if any
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+async function handleRequest(client, token, req, res) {
+  const json = body => JSON.stringify(body);
+  try {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/healthz' && pathname !== '/metrics') {
+      return send(res, 404, 'application/json; charset=utf-8', json({ error: 'Not found' }));
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return send(res, 405, 'application/json; charset=utf-8', json({ error: 'Method not allowed' }));
+    }
+
+    // Health is public so orchestrators can probe it; 503 when the gateway is down or the WAL checker stalled
+    if (pathname === '/healthz') {
+      const health = getHealth(client);
+      return send(res, health.healthy ? 200 : 503, 'application/json; charset=utf-8', json(health));
+    }
+
+    if (token && !isAuthorized(req, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return send(res, 401, 'application/json; charset=utf-8', json({ error: 'Missing or invalid metrics token' }));
+    }
+    send(res, 200, METRICS_CONTENT_TYPE, await renderMetrics(client));
+  } catch (error) {
+    console.error(`[${getFormattedDateTime()}] Error: metrics ${req.method} ${req.url} failed:`, error);
+    send(res, 500, 'application/json; charset=utf-8', json({ error: 'Internal server error' }));
+  }
+}
+
+/**
+ * Serve /healthz and /metrics on their own listener, separate from the HTTP API.
+ * /metrics requires METRICS_TOKEN as a bearer token when that is set.
+ * @param {Client} client - Discord client
+ * @returns {http.Server}
+ */
+function startMetricsServer(client) {
+  if (server) return server;
+  initializeMetrics(client);
+
+  const token = process.env.METRICS_TOKEN || undefined;
+  const port = config.getConfig('metricsPort', 'METRICS_PORT');
+  const host = config.getConfig('metricsHost', 'METRICS_HOST');
+
+  server = http.createServer((req, res) => {
+    handleRequest(client, token, req, res);
+  });
+  server.on('error', error => {
+    console.error(`[${getFormattedDateTime()}] Error: metrics server failed:`, error);
+  });
+  server.listen(port, host, () => {
+    console.log(`[${getFormattedDateTime()}] Health and metrics listening on http://${host}:${port}`);
+  });
+
+  return server;
+}
+
+/**
+ * Stop the metrics server
+ * @returns {Promise<void>}
+ */
+function stopMetricsServer() {
+  if (!server) return Promise.resolve();
+  const closing = server;
+  server = null;
+  return new Promise(resolve => closing.close(() => resolve()));
+}
+
+module.exports = {
+  initializeMetrics,
+  getHealth,
+  renderMetrics,
+  startMetricsServer,
+  stopMetricsServer
+};
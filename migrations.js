@@ -0,0 +1,436 @@
+// migrations.js - Versioned schema migrations for guild databases
+const { dbAll, dbGet, dbRun } = require('./utils');
+
+/**
+ * Add a column to a table unless it is already there
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<boolean>} Whether the column was added
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = (await dbAll(db, `PRAGMA table_info(${table})`)).map(info => info.name);
+  if (columns.includes(column)) {
+    return false;
+  }
+
+  await dbRun(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`Added ${column} column to ${table}`);
+  return true;
+}
+
+// Columns of the messages table that databases created by early versions do not have
+const MESSAGE_COLUMNS = [
+  ['sticker_items', 'TEXT'],
+  ['edited_timestamp', 'TEXT'],
+  ['tts', 'INTEGER'],
+  ['mention_everyone', 'INTEGER'],
+  ['mentions', 'TEXT'],
+  ['mention_roles', 'TEXT'],
+  ['mention_channels', 'TEXT'],
+  ['type', 'INTEGER'],
+  ['message_reference', 'TEXT'],
+  ['flags', 'INTEGER']
+];
+
+// Columns that keep deleted messages in the database as tombstones
+const TOMBSTONE_COLUMNS = [
+  ['deleted', 'INTEGER DEFAULT 0'],
+  ['deletedAt', 'INTEGER'],
+  ['deleteBatchId', 'TEXT']
+];
+
+/**
+ * Ordered schema migrations. Every step must be idempotent: databases created before
+ * schema_version existed already contain some (or all) of these tables and columns.
+ * Never change a released step; add a new one with the next version instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create messages, channels and guild_metadata tables',
+    up: async (db) => {
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS messages (
+          id TEXT PRIMARY KEY,
+          content TEXT,
+          authorId TEXT,
+          authorUsername TEXT,
+          authorBot INTEGER,
+          timestamp INTEGER,
+          createdAt TEXT,
+          channelId TEXT,
+          attachmentsJson TEXT,
+          embedsJson TEXT,
+          reactionsJson TEXT,
+          ${MESSAGE_COLUMNS.map(([column, definition]) => `${column} ${definition}`).join(',\n          ')}
+        )
+      `);
+      for (const [column, definition] of MESSAGE_COLUMNS) {
+        await addColumnIfMissing(db, 'messages', column, definition);
+      }
+
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS channels (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          fetchStarted INTEGER DEFAULT 0,
+          lastMessageId TEXT,
+          deleted INTEGER DEFAULT 0,
+          deletedAt INTEGER
+        )
+      `);
+      await addColumnIfMissing(db, 'channels', 'lastMessageId', 'TEXT');
+      await addColumnIfMissing(db, 'channels', 'deleted', 'INTEGER DEFAULT 0');
+      await addColumnIfMissing(db, 'channels', 'deletedAt', 'INTEGER');
+
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS guild_metadata (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Create message_wal table',
+    up: async (db) => {
+      // Same structure as the messages table plus the processed flag
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS message_wal (
+          id TEXT PRIMARY KEY,
+          content TEXT,
+          authorId TEXT,
+          authorUsername TEXT,
+          authorBot INTEGER,
+          timestamp INTEGER,
+          createdAt TEXT,
+          channelId TEXT,
+          attachmentsJson TEXT,
+          embedsJson TEXT,
+          reactionsJson TEXT,
+          ${MESSAGE_COLUMNS.map(([column, definition]) => `${column} ${definition}`).join(',\n          ')},
+          processed INTEGER DEFAULT 0
+        )
+      `);
+      for (const [column, definition] of MESSAGE_COLUMNS) {
+        await addColumnIfMissing(db, 'message_wal', column, definition);
+      }
+      await addColumnIfMissing(db, 'message_wal', 'processed', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 3,
+    description: 'Create member and role tracking tables',
+    up: async (db) => {
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS guild_members (
+          id TEXT PRIMARY KEY,
+          username TEXT,
+          displayName TEXT,
+          avatarURL TEXT,
+          joinedAt TEXT,
+          joinedTimestamp INTEGER,
+          bot INTEGER DEFAULT 0,
+          lastUpdated INTEGER,
+          leftGuild INTEGER DEFAULT 0,
+          leftTimestamp INTEGER
+        )
+      `);
+
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS member_roles (
+          memberId TEXT,
+          roleId TEXT,
+          roleName TEXT,
+          roleColor TEXT,
+          rolePosition INTEGER,
+          addedAt INTEGER,
+          PRIMARY KEY (memberId, roleId)
+        )
+      `);
+
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS role_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memberId TEXT,
+          roleId TEXT,
+          roleName TEXT,
+          action TEXT,
+          timestamp INTEGER,
+          FOREIGN KEY (memberId) REFERENCES guild_members(id)
+        )
+      `);
+
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS guild_roles (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          color TEXT,
+          position INTEGER,
+          permissions TEXT,
+          mentionable INTEGER,
+          hoist INTEGER,
+          managed INTEGER,
+          createdAt TEXT,
+          createdTimestamp INTEGER,
+          updatedAt TEXT,
+          updatedTimestamp INTEGER,
+          deleted INTEGER DEFAULT 0,
+          deletedAt TEXT,
+          deletedTimestamp INTEGER
+        )
+      `);
+
+      // Checkpoints for resuming member fetching in large guilds
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS processing_checkpoints (
+          guild_id TEXT PRIMARY KEY,
+          last_member_id TEXT,
+          timestamp INTEGER
+        )
+      `);
+
+      await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_member_roles_member_id ON member_roles(memberId)`);
+    }
+  },
+  {
+    version: 4,
+    description: 'Keep deleted messages as tombstones',
+    up: async (db) => {
+      for (const table of ['messages', 'message_wal']) {
+        for (const [column, definition] of TOMBSTONE_COLUMNS) {
+          await addColumnIfMissing(db, table, column, definition);
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Create message_revisions table',
+    up: async (db) => {
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS message_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          messageId TEXT,
+          channelId TEXT,
+          authorId TEXT,
+          previousContent TEXT,
+          newContent TEXT,
+          previousEmbedsJson TEXT,
+          newEmbedsJson TEXT,
+          previousAttachmentsJson TEXT,
+          newAttachmentsJson TEXT,
+          editedTimestamp TEXT,
+          recordedAt INTEGER
+        )
+      `);
+      await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(messageId, recordedAt)`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Create message_reactions table',
+    up: async (db) => {
+      // One row per user reaction; removing and re-adding a reaction creates a new row
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS message_reactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          messageId TEXT,
+          channelId TEXT,
+          emojiKey TEXT,
+          emojiId TEXT,
+          emojiName TEXT,
+          emojiAnimated INTEGER DEFAULT 0,
+          userId TEXT,
+          addedAt INTEGER,
+          removedAt INTEGER
+        )
+      `);
+
+      // At most one active reaction per user, message and emoji
+      await dbRun(db, `
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_message_reactions_active
+        ON message_reactions(messageId, emojiKey, userId) WHERE removedAt IS NULL
+      `);
+      await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_message_reactions_user ON message_reactions(userId, addedAt)`);
+    }
+  },
+  {
+    version: 7,
+    description: 'Index messages by channel and time',
+    up: async (db) => {
+      // Used by the per-channel exports to page through a channel in order
+      await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_messages_channel_timestamp ON messages(channelId, timestamp)`);
+    }
+  },
+  {
+    version: 8,
+    description: 'Full-text search index over message content',
+    up: async (db) => {
+      // The FTS rowid is the message snowflake, so rows can be found again without a scan.
+      // Triggers keep the index in sync with every write to messages (export, monitor and WAL flush).
+      await dbRun(db, `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(content, tokenize = 'unicode61 remove_diacritics 2')`);
+
+      // Also covers INSERT OR REPLACE, which does not fire delete triggers
+      await dbRun(db, `
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          DELETE FROM messages_fts WHERE rowid = CAST(new.id AS INTEGER);
+          INSERT INTO messages_fts (rowid, content)
+          SELECT CAST(new.id AS INTEGER), new.content WHERE new.content IS NOT NULL AND new.content != '';
+        END
+      `);
+      await dbRun(db, `
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+          DELETE FROM messages_fts WHERE rowid = CAST(old.id AS INTEGER);
+          INSERT INTO messages_fts (rowid, content)
+          SELECT CAST(new.id AS INTEGER), new.content WHERE new.content IS NOT NULL AND new.content != '';
+        END
+      `);
+      await dbRun(db, `
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          DELETE FROM messages_fts WHERE rowid = CAST(old.id AS INTEGER);
+        END
+      `);
+
+      // Index everything archived so far
+      await dbRun(db, `DELETE FROM messages_fts`);
+      await dbRun(db, `
+        INSERT INTO messages_fts (rowid, content)
+        SELECT CAST(id AS INTEGER), content FROM messages WHERE content IS NOT NULL AND content != ''
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Create export_runs table',
+    up: async (db) => {
+      // One row per !exportguild run, kept as an audit trail
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS export_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          startedById TEXT,
+          startedByTag TEXT,
+          parametersJson TEXT,
+          scope TEXT,
+          status TEXT,
+          startedAt INTEGER,
+          endedAt INTEGER,
+          channelsTotal INTEGER DEFAULT 0,
+          channelsProcessed INTEGER DEFAULT 0,
+          messagesProcessed INTEGER DEFAULT 0,
+          messagesStored INTEGER DEFAULT 0,
+          botMessagesFiltered INTEGER DEFAULT 0,
+          channelCountsJson TEXT,
+          dbErrors INTEGER DEFAULT 0,
+          rateLimitHits INTEGER DEFAULT 0,
+          errorMessage TEXT
+        )
+      `);
+      await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_export_runs_started ON export_runs(startedAt)`);
+    }
+  },
+  {
+    version: 10,
+    description: 'Track how far back each channel is archived',
+    up: async (db) => {
+      // Messages between oldestMessageId and lastMessageId are archived;
+      // historyComplete is set once an export has paged back to the start of the channel
+      await addColumnIfMissing(db, 'channels', 'oldestMessageId', 'TEXT');
+      await addColumnIfMissing(db, 'channels', 'historyComplete', 'INTEGER DEFAULT 0');
+
+      // Earlier exports did not record coverage, so start from the oldest stored message
+      // and let the next export confirm (or fill in) the history before it
+      await dbRun(db, `
+        UPDATE channels
+        SET oldestMessageId = (
+          SELECT m.id FROM messages m
+          WHERE m.channelId = channels.id
+          ORDER BY m.timestamp ASC
+          LIMIT 1
+        )
+        WHERE oldestMessageId IS NULL
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Create guild_config table',
+    up: async (db) => {
+      // Per-guild overrides of config.js settings; values are stored as JSON
+      await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS guild_config (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updatedAt INTEGER,
+          updatedBy TEXT
+        )
+      `);
+    }
+  }
+];
+
+/**
+ * Get the schema version of a database (0 when no migration has been recorded)
+ * @param {sqlite3.Database} db - Guild database connection
+ * @returns {Promise<number>}
+ */
+async function getSchemaVersion(db) {
+  const table = await dbGet(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`);
+  if (!table) {
+    return 0;
+  }
+
+  const row = await dbGet(db, `SELECT MAX(version) AS version FROM schema_version`);
+  return row && row.version ? row.version : 0;
+}
+
+/**
+ * Bring a guild database up to the latest schema version.
+ * Each migration runs in its own transaction and is recorded in schema_version.
+ * @param {sqlite3.Database} db - Guild database connection
+ * @returns {Promise<number>} Number of migrations applied
+ */
+async function runMigrations(db) {
+  await dbRun(db, `
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      appliedAt INTEGER
+    )
+  `);
+
+  const currentVersion = await getSchemaVersion(db);
+  const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version}: ${migration.description}`);
+
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+      await migration.up(db);
+      await dbRun(db, `INSERT INTO schema_version (version, description, appliedAt) VALUES (?, ?, ?)`, [
+        migration.version,
+        migration.description,
+        Date.now()
+      ]);
+      await dbRun(db, 'COMMIT');
+    } catch (error) {
+      await dbRun(db, 'ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }
+
+  if (pending.length > 0) {
+    console.log(`Database schema migrated from version ${currentVersion} to ${pending[pending.length - 1].version}`);
+  }
+  return pending.length;
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+  getSchemaVersion
+};
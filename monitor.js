@@ -3,13 +3,18 @@ const fs = require('fs');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const config = require('./config');
+const { dbGet, dbRun } = require('./utils');
+const { runMigrations } = require('./migrations');
+const guildConfig = require('./guild-config');
+const { isChannelExcluded } = require('./channel-exclusion');
 
-// Database connection
-let db = null;
-let dbInitialized = false;
-let fetchingInProgress = new Set(); // Set of channel IDs being fetched
+// Database connections, one per guild
+// Map of guildId -> { db, dbPath }, registered once the schema is migrated
+const guildDatabases = new Map();
+// Initializations still running, guildId -> Promise, so concurrent callers share one connection
+const pendingInitializations = new Map();
+let fetchingInProgress = new Set(); // Set of channel IDs being fetched (channel IDs are unique across guilds)
 let fetchingComplete = new Set(); // Set of channel IDs that completed fetching
-let currentDbPath = null; // Store the current database path
 
 // Message cache with timestamps
 const messageCache = new Map(); // Map of messageId -> { message, timestamp }
@@ -36,258 +41,152 @@ function generateDbFilename(guild) {
   return `${sanitizedGuildName}_${guild.id}_${dateStr}_${timeStr}.db`;
 }
 
-// Check if database exists on startup
+/**
+ * Find the most recent database file for a guild without opening it
+ * @param {Object} guild - The Discord guild object
+ * @returns {String|null} - Path of the database file, or null when the guild has none yet
+ */
+function findDatabaseFile(guild) {
+  // Look for guild-specific database files
+  const files = fs.readdirSync(process.cwd())
+    .filter(file => file.endsWith('.db') && file.includes(`_${guild.id}_`))
+    .map(file => ({
+      name: file,
+      path: path.join(process.cwd(), file),
+      mtime: fs.statSync(path.join(process.cwd(), file)).mtime
+    }))
+    .sort((a, b) => b.mtime - a.mtime); // Sort by modification time, newest first
+    
+  if (files.length === 0) {
+    return null;
+  }
+  
+  // Use the most recent database file
+  if (files.length > 1) {
+    console.log(`Found ${files.length} database files for guild ${guild.name}, using most recent: ${files[0].name}`);
+  }
+  return files[0].path;
+}
+
+// Check if a database exists for the guild (either open or on disk)
 function checkDatabaseExists(guild = null) {
   if (!guild) {
     // Check for default database for backward compatibility
-    const defaultPath = path.join(process.cwd(), 'exportguild.db');
-    currentDbPath = defaultPath; // Set the default path
-    return fs.existsSync(defaultPath);
-  } else {
-    // Look for guild-specific database files
-    const files = fs.readdirSync(process.cwd())
-      .filter(file => file.endsWith('.db') && file.includes(`_${guild.id}_`))
-      .map(file => ({
-        name: file,
-        path: path.join(process.cwd(), file),
-        mtime: fs.statSync(path.join(process.cwd(), file)).mtime
-      }))
-      .sort((a, b) => b.mtime - a.mtime); // Sort by modification time, newest first
-      
-    if (files.length === 0) {
-      // No database found for this guild
-      // Don't set currentDbPath yet since we don't have a file
-      return false;
-    }
-    
-    // Use the most recent database file
-    console.log(`Found ${files.length} database files for guild ${guild.name}, using most recent: ${files[0].name}`);
-    currentDbPath = files[0].path;
-    return true;
+    return fs.existsSync(path.join(process.cwd(), 'exportguild.db'));
   }
+  return guildDatabases.has(guild.id) || findDatabaseFile(guild) !== null;
 }
 
-// Initialize database
-// Initialize database
+// Initialize the database for a guild and register its connection
 function initializeDatabase(guild = null) {
+  // We should always require a guild parameter now
+  if (!guild) {
+    return Promise.reject(new Error('Guild parameter is required for database initialization'));
+  }
+  
+  // Each guild keeps its connection open for the lifetime of the bot
+  if (guildDatabases.has(guild.id)) {
+    return Promise.resolve(true);
+  }
+  
+  // A second caller during initialization waits for the first instead of opening another file
+  if (pendingInitializations.has(guild.id)) {
+    return pendingInitializations.get(guild.id);
+  }
+  
+  const initialization = openGuildDatabase(guild).finally(() => {
+    pendingInitializations.delete(guild.id);
+  });
+  pendingInitializations.set(guild.id, initialization);
+  return initialization;
+}
+
+// Open or create a guild's database file, migrate it and register the connection
+function openGuildDatabase(guild) {
   return new Promise((resolve, reject) => {
-    // We should always require a guild parameter now
-    if (!guild) {
-      reject(new Error('Guild parameter is required for database initialization'));
-      return;
-    }
-    
     // Determine database path based on guild info
-    const dbExists = checkDatabaseExists(guild);
+    let dbPath = findDatabaseFile(guild);
+    const dbExists = dbPath !== null;
     
     // If no database exists, create a new one with the proper naming format
     if (!dbExists) {
-      currentDbPath = path.join(process.cwd(), generateDbFilename(guild));
-      console.log(`Creating new database at: ${currentDbPath}`);
-    }
-    
-    // At this point currentDbPath should be set
-    if (!currentDbPath) {
-      reject(new Error('Database path not set'));
-      return;
+      dbPath = path.join(process.cwd(), generateDbFilename(guild));
+      console.log(`Creating new database at: ${dbPath}`);
     }
     
-    console.log(`Initializing database at: ${currentDbPath}`);
+    console.log(`Initializing database for guild ${guild.name} at: ${dbPath}`);
     
     // Connect to SQLite database (creates file if it doesn't exist)
-    db = new sqlite3.Database(currentDbPath, (err) => {
+    const db = new sqlite3.Database(dbPath, async (err) => {
       if (err) {
         console.error('Error connecting to database:', err);
         reject(err);
         return;
       }
       
-      console.log(`Connected to database at ${currentDbPath}`);
+      console.log(`Connected to database at ${dbPath}`);
       
-      // If database already existed, we're done
-      if (dbExists) {
-        console.log('Using existing database');
-        dbInitialized = true;
-        
-        // Load previously fetched channels after database initialization
-        loadFetchedChannelsState().then(() => {
-          // Start message monitoring if not already running
-          if (!global.monitoringActive) {
-            global.monitoringActive = true;
-            console.log(`Monitoring activated for existing database: ${currentDbPath}`);
-            processMessageCache();
-          } else {
-            console.log(`Monitoring already active, continuing with existing process`);
-          }
-          resolve(true);
-        }).catch(err => {
-          console.error('Error loading channel states:', err);
-          // Still try to activate monitoring even if loading states fails
-          if (!global.monitoringActive) {
-            global.monitoringActive = true;
-            console.log(`Monitoring activated despite channel state loading error`);
-            processMessageCache();
-          }
-          resolve(true); // Still resolve even if loading channel states fails
-        });
+      try {
+        // New and existing databases alike are brought up to the current schema
+        await runMigrations(db);
+      } catch (migrationError) {
+        console.error(`Error migrating database ${dbPath}:`, migrationError);
+        db.close();
+        reject(migrationError);
         return;
       }
       
-      // Create messages table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS messages (
-    id TEXT PRIMARY KEY,
-    content TEXT,
-    authorId TEXT,
-    authorUsername TEXT,
-    authorBot INTEGER,
-    timestamp INTEGER,
-    createdAt TEXT,
-    channelId TEXT,
-    attachmentsJson TEXT,
-    embedsJson TEXT,
-    reactionsJson TEXT,
-    sticker_items TEXT,
-    edited_timestamp TEXT,
-    tts INTEGER,
-    mention_everyone INTEGER,
-    mentions TEXT,
-    mention_roles TEXT,
-    mention_channels TEXT,
-    type INTEGER,
-    message_reference TEXT,
-    flags INTEGER
-  )
-`, (err) => {
-  if (err) {
-    console.error('Error creating messages table:', err);
-    reject(err);
-    return;
-  }
-        
-        // Create channels table to track which channels have been fetched
-        // Removed fetchCompleted and lastFetchTimestamp fields
-        db.run(`
-  CREATE TABLE IF NOT EXISTS channels (
-    id TEXT PRIMARY KEY,
-    name TEXT,
-    fetchStarted INTEGER DEFAULT 0,
-    lastMessageId TEXT,
-    deleted INTEGER DEFAULT 0,
-    deletedAt INTEGER
-  )
-`, (err) => {
-  if (err) {
-    console.error('Error creating channels table:', err);
-    reject(err);
-    return;
-  }
-          
-          // Add metadata table for guild information
-          db.run(`
-            CREATE TABLE IF NOT EXISTS guild_metadata (
-              key TEXT PRIMARY KEY,
-              value TEXT
-            )
-          `, (err) => {
-            if (err) {
-              console.error('Error creating guild_metadata table:', err);
-              reject(err);
-              return;
-            }
-            
-            // Store guild info in metadata
-            const timestamp = new Date().toISOString();
-            const metadataEntries = [
-              { key: 'guild_id', value: guild.id },
-              { key: 'guild_name', value: guild.name },
-              { key: 'creation_date', value: timestamp }
-            ];
-            
-            // Insert all metadata entries
-            const insertPromises = metadataEntries.map(entry => {
-              return new Promise((resolve, reject) => {
-                db.run(
-                  'INSERT INTO guild_metadata (key, value) VALUES (?, ?)',
-                  [entry.key, entry.value],
-                  function(err) {
-                    if (err) {
-                      console.error(`Error storing metadata ${entry.key}:`, err);
-                      reject(err);
-                    } else {
-                      resolve();
-                    }
-                  }
-                );
-              });
-            });
-            
-            // Wait for all inserts to complete
-            Promise.all(insertPromises)
-              .then(() => {
-                console.log('Guild metadata stored in database');
-                dbInitialized = true;
-                
-                // Load previously fetched channels after database initialization
-                loadFetchedChannelsState().then(() => {
-                  // Start message monitoring for new database
-                  if (!global.monitoringActive) {
-                    global.monitoringActive = true;
-                    console.log(`Monitoring activated for new database: ${currentDbPath}`);
-                    processMessageCache();
-                  }
-                  resolve(true);
-                }).catch(err => {
-                  console.error('Error loading channel states:', err);
-                  // Still try to activate monitoring even if loading states fails
-                  if (!global.monitoringActive) {
-                    global.monitoringActive = true;
-                    console.log(`Monitoring activated for new database despite channel state error`);
-                    processMessageCache();
-                  }
-                  resolve(true); // Still resolve even if loading channel states fails
-                });
-              })
-              .catch(err => {
-                console.error('Error storing guild metadata:', err);
-                // Still mark as initialized even if metadata failed
-                dbInitialized = true;
-                
-                // Load previously fetched channels even if metadata failed
-                loadFetchedChannelsState().then(() => {
-                  // Start message monitoring even if metadata failed
-                  if (!global.monitoringActive) {
-                    global.monitoringActive = true;
-                    console.log(`Monitoring activated despite metadata error`);
-                    processMessageCache();
-                  }
-                  resolve(true);
-                }).catch(err => {
-                  console.error('Error loading channel states:', err);
-                  // Still try to activate monitoring as last resort
-                  if (!global.monitoringActive) {
-                    global.monitoringActive = true;
-                    console.log(`Monitoring activated as last resort despite errors`);
-                    processMessageCache();
-                  }
-                  resolve(true); // Still resolve even if loading channel states fails
-                });
-              });
-          });
-        });
-      });
+      // Store guild info in metadata for new databases
+      if (!dbExists) {
+        try {
+          const timestamp = new Date().toISOString();
+          for (const [key, value] of [['guild_id', guild.id], ['guild_name', guild.name], ['creation_date', timestamp]]) {
+            await dbRun(db, 'INSERT OR REPLACE INTO guild_metadata (key, value) VALUES (?, ?)', [key, value]);
+          }
+          console.log('Guild metadata stored in database');
+        } catch (metadataError) {
+          // Still register the database even if metadata failed
+          console.error('Error storing guild metadata:', metadataError);
+        }
+      } else {
+        console.log('Using existing database');
+      }
+      
+      // Per-guild settings are needed before any event for this guild is handled
+      try {
+        await guildConfig.loadGuildConfig(db, guild.id);
+      } catch (configError) {
+        console.error(`Error loading settings for guild ${guild.id}, using defaults:`, configError);
+      }
+      
+      // Register the connection so events for this guild are routed to it
+      guildDatabases.set(guild.id, { db, dbPath });
+      
+      // Load previously fetched channels after database initialization
+      await loadFetchedChannelsState(guild.id);
+      
+      // Start message monitoring if not already running
+      if (!global.monitoringActive) {
+        global.monitoringActive = true;
+        console.log(`Monitoring activated for database: ${dbPath}`);
+        processMessageCache();
+      } else {
+        console.log(`Monitoring already active, continuing with existing process`);
+      }
+      resolve(true);
     });
   });
 }
 
-// Get current database path
-function getCurrentDatabasePath() {
-  return currentDbPath || path.join(process.cwd(), 'exportguild.db');
+// Get the database file path of a guild
+function getCurrentDatabasePath(guildId) {
+  const entry = guildDatabases.get(guildId);
+  return entry ? entry.dbPath : null;
 }
 
-function getCurrentDatabaseFilename() {
-  const fullPath = getCurrentDatabasePath();
-  return path.basename(fullPath);
+function getCurrentDatabaseFilename(guildId) {
+  const fullPath = getCurrentDatabasePath(guildId);
+  return fullPath ? path.basename(fullPath) : null;
 }
 
 // Add message to cache with current timestamp
@@ -302,8 +201,8 @@ function addMessageToCache(message) {
 
 // Process message cache periodically
 async function processMessageCache() {
-  // If database isn't initialized, don't process messages
-  if (!dbInitialized || !db) {
+  // If no guild database is initialized, don't process messages
+  if (guildDatabases.size === 0) {
     console.log('Database not initialized. Will retry message cache processing in 60 seconds.');
     setTimeout(processMessageCache, 60000); // Check again in a minute
     return;
@@ -338,7 +237,13 @@ async function processMessageCache() {
           
           // If channel doesn't exist, remove from cache
           if (!channel) {
-            console.log(`Channel ${channelId} no longer exists, removing message ${messageId} from cache`);
+            console.log(`Channel ${channelId} no longer exists, storing message ${messageId} as a tombstone`);
+            try {
+              await storeMessageInDb(data.message);
+              await markMessagesDeleted(data.message.guildId, [messageId]);
+            } catch (tombstoneError) {
+              console.error(`Error storing tombstone for message ${messageId}:`, tombstoneError);
+            }
             messageCache.delete(messageId);
             continue;
           }
@@ -375,7 +280,18 @@ async function processMessageCache() {
             }
             
           } catch (msgError) {
-            console.log(`Message ${messageId} no longer exists, removing from cache`);
+            // Keep the cached copy as a tombstone instead of losing it
+            if (msgError.code === 10008) {
+              console.log(`Message ${messageId} was deleted, storing it as a tombstone`);
+              try {
+                await storeMessageInDb(data.message);
+                await markMessagesDeleted(data.message.guildId, [messageId]);
+              } catch (tombstoneError) {
+                console.error(`Error storing tombstone for message ${messageId}:`, tombstoneError);
+              }
+            } else {
+              console.log(`Message ${messageId} could not be fetched (${msgError.message}), removing from cache`);
+            }
           }
         } catch (channelError) {
           console.log(`Error fetching channel ${channelId}: ${channelError}`);
@@ -439,11 +355,23 @@ function extractMessageMetadata(message) {
       size: att.size
     })),
     embeds: message.embeds.map(embed => ({
-      type: embed.type,
-      title: embed.title || null
+      type: embed.data.type || 'rich',
+      title: embed.title || null,
+      description: embed.description || null,
+      url: embed.url || null,
+      timestamp: embed.timestamp || null,
+      color: embed.color ?? null,
+      author: embed.author ? { name: embed.author.name, url: embed.author.url || null, iconUrl: embed.author.iconURL || null } : null,
+      thumbnail: embed.thumbnail ? { url: embed.thumbnail.url, width: embed.thumbnail.width || null, height: embed.thumbnail.height || null } : null,
+      image: embed.image ? { url: embed.image.url, width: embed.image.width || null, height: embed.image.height || null } : null,
+      video: embed.video ? { url: embed.video.url, width: embed.video.width || null, height: embed.video.height || null } : null,
+      footer: embed.footer ? { text: embed.footer.text, iconUrl: embed.footer.iconURL || null } : null,
+      fields: embed.fields.map(field => ({ name: field.name, value: field.value, inline: !!field.inline }))
     })),
     reactions: Array.from(message.reactions.cache.values()).map(reaction => ({
       emoji: reaction.emoji.name,
+      emojiId: reaction.emoji.id || null,
+      animated: !!reaction.emoji.animated,
       count: reaction.count
     })),
     // Include sticker_items
@@ -473,6 +401,7 @@ function extractMessageMetadata(message) {
 
 // Store message in database
 async function storeMessageInDb(message) {
+  const db = getDatabase(message.guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -532,14 +461,25 @@ async function storeMessageInDb(message) {
 
 // Store multiple messages in database as a batch
 async function storeMessagesInDbBatch(messages) {
+  // Messages from several guilds are split up so each lands in its own guild's database
+  const guildIds = new Set((messages || []).map(message => message.guildId));
+  if (guildIds.size > 1) {
+    let changes = 0;
+    for (const guildId of guildIds) {
+      changes += await storeMessagesInDbBatch(messages.filter(message => message.guildId === guildId));
+    }
+    return changes;
+  }
+  
+  const db = messages && messages.length > 0 ? getDatabase(messages[0].guildId) : null;
   return new Promise((resolve, reject) => {
-    if (!db) {
-      reject(new Error("Database not initialized"));
+    if (!messages || messages.length === 0) {
+      resolve(0);
       return;
     }
     
-    if (!messages || messages.length === 0) {
-      resolve(0);
+    if (!db) {
+      reject(new Error("Database not initialized"));
       return;
     }
     
@@ -609,7 +549,8 @@ async function storeMessagesInDbBatch(messages) {
 }
 
 // Mark channel as fetching started
-function markChannelFetchingStarted(channelId, channelName) {
+function markChannelFetchingStarted(guildId, channelId, channelName) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -635,24 +576,14 @@ function markChannelFetchingStarted(channelId, channelName) {
       // Get any existing lastMessageId
       const existingLastMessageId = row ? row.lastMessageId : null;
       
-      // Now update the channel but preserve lastMessageId if it exists
-      const updateSql = existingLastMessageId
-        ? `
-          INSERT OR REPLACE INTO channels 
-          (id, name, fetchStarted, lastMessageId) 
-          VALUES (?, ?, ?, ?)
-        `
-        : `
-          INSERT OR REPLACE INTO channels 
-          (id, name, fetchStarted) 
-          VALUES (?, ?, ?)
-        `;
-      
-      const params = existingLastMessageId
-        ? [channelId, channelName, 1, existingLastMessageId]
-        : [channelId, channelName, 1];
+      // Upsert so lastMessageId and the history coverage columns survive a new export
+      const updateSql = `
+        INSERT INTO channels (id, name, fetchStarted)
+        VALUES (?, ?, 1)
+        ON CONFLICT(id) DO UPDATE SET name = excluded.name, fetchStarted = 1
+      `;
       
-      db.run(updateSql, params, function(err) {
+      db.run(updateSql, [channelId, channelName], function(err) {
         if (err) {
           console.error(`Error marking channel ${channelId} as fetching started:`, err);
           reject(err);
@@ -667,7 +598,8 @@ function markChannelFetchingStarted(channelId, channelName) {
 }
 
 // Mark channel as fetching completed
-function markChannelFetchingCompleted(channelId, lastMessageId = null) {
+function markChannelFetchingCompleted(guildId, channelId, lastMessageId = null) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -720,7 +652,34 @@ function markChannelFetchingCompleted(channelId, lastMessageId = null) {
   });
 }
 
-async function fixExistingLastMessageIds() {
+/**
+ * Record how far back a channel's history is archived
+ * @param {string} guildId - Guild the channel belongs to
+ * @param {string} channelId - Channel ID
+ * @param {string|null} oldestMessageId - Oldest message ID reached; only moves the marker further back
+ * @param {boolean} historyComplete - Whether the start of the channel was reached
+ */
+async function recordChannelHistory(guildId, channelId, oldestMessageId, historyComplete) {
+  const db = getDatabase(guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+  
+  const row = await dbGet(db, `SELECT oldestMessageId, historyComplete FROM channels WHERE id = ?`, [channelId]);
+  if (!row) return;
+  
+  let oldest = row.oldestMessageId;
+  if (oldestMessageId && /^\d+$/.test(oldestMessageId) && (!oldest || BigInt(oldestMessageId) < BigInt(oldest))) {
+    oldest = oldestMessageId;
+  }
+  const complete = historyComplete || row.historyComplete === 1 ? 1 : 0;
+  
+  await dbRun(db, `UPDATE channels SET oldestMessageId = ?, historyComplete = ? WHERE id = ?`, [oldest, complete, channelId]);
+  console.log(`Channel ${channelId} archived back to ${oldest || 'unknown'}${complete ? ' (full history)' : ''}`);
+}
+
+async function fixExistingLastMessageIds(guildId) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -796,7 +755,8 @@ async function fixExistingLastMessageIds() {
 }
 
 // Check for duplicate messages in the database
-function checkForDuplicates() {
+function checkForDuplicates(guildId) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -852,7 +812,8 @@ function checkForDuplicates() {
 }
 
 // Get channels that have been fetched
-async function getFetchedChannels() {
+async function getFetchedChannels(guildId) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       console.log("Database not initialized, returning empty array");
@@ -879,10 +840,10 @@ async function getFetchedChannels() {
   });
 }
 
-// Add this function to monitor.js
-async function loadFetchedChannelsState() {
+// Load the channels of a guild that have been fetched so they are monitored
+async function loadFetchedChannelsState(guildId) {
   try {
-    if (!db || !dbInitialized) {
+    if (!hasDatabase(guildId)) {
       console.log('Cannot load fetched channels: database not initialized');
       return;
     }
@@ -890,7 +851,7 @@ async function loadFetchedChannelsState() {
     console.log('Loading previously fetched channels from database...');
     
     // Query the database for channels that have been fetched
-    const channels = await getFetchedChannels();
+    const channels = await getFetchedChannels(guildId);
     
     // Populate the fetchingComplete set from the database
     for (const channel of channels) {
@@ -900,20 +861,27 @@ async function loadFetchedChannelsState() {
       fetchingComplete.add(channel.id);
     }
     
-    console.log(`Loaded ${fetchingComplete.size} channels for monitoring`);
+    console.log(`Loaded ${channels.length} channels for monitoring in guild ${guildId}`);
   } catch (error) {
     console.error('Error loading fetched channels state:', error);
   }
 }
 
-function shouldMonitorChannel(channelId) {
+/**
+ * Whether live changes in a channel should be written to the guild's database
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @param {Channel|null} channel - The channel, when available, so category, name and type rules apply
+ * @returns {boolean}
+ */
+function shouldMonitorChannel(guildId, channelId, channel = null) {
   // Don't monitor excluded channels
-  if (config.excludedChannels.includes(channelId)) {
+  if (channel ? isChannelExcluded(channel) : guildConfig.getGuildConfig(guildId, 'excludedChannels').includes(channelId)) {
     return false;
   }
   
-  // If we have a database, we can monitor if we've fetched or are in process of fetching
-  if (dbInitialized) {
+  // If the guild has a database, we can monitor if we've fetched or are in process of fetching
+  if (hasDatabase(guildId)) {
     const shouldMonitor = fetchingInProgress.has(channelId) || fetchingComplete.has(channelId);
     if (shouldMonitor) {
       console.log(`Monitoring active for channel ${channelId}`);
@@ -922,11 +890,12 @@ function shouldMonitorChannel(channelId) {
   }
   
   // If no database, don't monitor (waiting for fetching to begin)
-  console.log(`Not monitoring channel ${channelId} - database not initialized`);
+  console.log(`Not monitoring channel ${channelId} - database not initialized for guild ${guildId}`);
   return false;
 }
 
-async function storeGuildMetadata(key, value) {
+async function storeGuildMetadata(guildId, key, value) {
+  const db = getDatabase(guildId);
   return new Promise((resolve, reject) => {
     if (!db) {
       reject(new Error("Database not initialized"));
@@ -955,13 +924,69 @@ async function storeGuildMetadata(key, value) {
   });
 }
 
-function getDatabase() {
-  return db; // Return the database connection object
+// Get the database connection of a guild, or null when it has not been initialized
+function getDatabase(guildId) {
+  const entry = guildDatabases.get(guildId);
+  return entry ? entry.db : null;
+}
+
+// Check whether a guild's database has been initialized
+function hasDatabase(guildId) {
+  return guildDatabases.has(guildId);
+}
+
+// Number of live messages waiting in the cache to be written to the WAL
+function getMessageCacheSize() {
+  return messageCache.size;
+}
+
+// IDs of all guilds with an initialized database
+function getInitializedGuildIds() {
+  return Array.from(guildDatabases.keys());
+}
+
+/**
+ * Mark stored messages as deleted, wherever they currently live (WAL or messages table)
+ * @param {string} guildId - Guild the messages belong to
+ * @param {string[]} messageIds - IDs of the deleted messages
+ * @param {Object} details - Deletion details
+ * @param {number} details.deletedAt - When the deletion happened (ms)
+ * @param {string|null} details.batchId - Shared ID for messages removed by one bulk delete
+ * @returns {Promise<number>} Number of rows marked
+ */
+async function markMessagesDeleted(guildId, messageIds, details = {}) {
+  const db = getDatabase(guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+  if (messageIds.length === 0) return 0;
+
+  const deletedAt = details.deletedAt || Date.now();
+  const batchId = details.batchId || null;
+  let marked = 0;
+
+  // Stay well below SQLite's bound parameter limit
+  for (let i = 0; i < messageIds.length; i += 500) {
+    const ids = messageIds.slice(i, i + 500);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    for (const table of ['message_wal', 'messages']) {
+      const result = await dbRun(db, `
+        UPDATE ${table}
+        SET deleted = 1, deletedAt = ?, deleteBatchId = ?
+        WHERE id IN (${placeholders}) AND (deleted IS NULL OR deleted = 0)
+      `, [deletedAt, batchId, ...ids]);
+      marked += result.changes;
+    }
+  }
+
+  return marked;
 }
 
 // Export functions
 module.exports = {
   checkDatabaseExists,
+  findDatabaseFile,
   initializeDatabase,
   addMessageToCache,
   processMessageCache,
@@ -979,5 +1004,10 @@ module.exports = {
   getCurrentDatabasePath,
   getCurrentDatabaseFilename,
   getDatabase,
-  fixExistingLastMessageIds
-};
\ No newline at end of file
+  hasDatabase,
+  getInitializedGuildIds,
+  getMessageCacheSize,
+  fixExistingLastMessageIds,
+  recordChannelHistory,
+  markMessagesDeleted
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+// process-data.js - Stream archived messages out of the guild database as NDJSON
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const monitor = require('./monitor');
+const {
+  EXPORT_PAGE_SIZE,
+  parseJsonColumn,
+  streamRows,
+  writeToStream,
+  closeStream,
+  buildExportFilePath,
+  formatFileSize,
+  deliverExportFiles
+} = require('./export-utils');
+
+// How often to refresh the status message while exporting (in rows)
+const PROGRESS_INTERVAL = 50000;
+
+/**
+ * Convert a messages row (joined with channels) into a plain record with JSON columns decoded
+ * @param {Object} row - Row from the messages table
+ * @returns {Object} Message record
+ */
+function formatMessageRecord(row) {
+  return {
+    id: row.id,
+    channelId: row.channelId,
+    channelName: row.channelName || null,
+    authorId: row.authorId,
+    authorUsername: row.authorUsername,
+    authorBot: !!row.authorBot,
+    timestamp: row.timestamp,
+    createdAt: row.createdAt,
+    editedTimestamp: row.edited_timestamp || null,
+    content: row.content,
+    type: row.type,
+    flags: row.flags,
+    tts: !!row.tts,
+    mentionEveryone: !!row.mention_everyone,
+    attachments: parseJsonColumn(row.attachmentsJson, []),
+    embeds: parseJsonColumn(row.embedsJson, []),
+    reactions: parseJsonColumn(row.reactionsJson, []),
+    stickers: parseJsonColumn(row.sticker_items, []),
+    mentions: parseJsonColumn(row.mentions, []),
+    mentionRoles: parseJsonColumn(row.mention_roles, []),
+    mentionChannels: parseJsonColumn(row.mention_channels, []),
+    reference: parseJsonColumn(row.message_reference, null),
+    deleted: !!row.deleted,
+    deletedAt: row.deletedAt ? new Date(row.deletedAt).toISOString() : null,
+    deleteBatchId: row.deleteBatchId || null
+  };
+}
+
+/**
+ * Write every row of the messages table to an NDJSON file, one message per line
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} filePath - Destination file
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with the running row count every PROGRESS_INTERVAL rows
+ * @returns {Promise<{messageCount: number, filePath: string}>}
+ */
+async function exportMessagesToNDJSON(db, filePath, options = {}) {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let messageCount = 0;
+
+  try {
+    // Page through the table by rowid so each page is an index seek, not an OFFSET scan
+    await streamRows(db, (lastRow, pageSize) => ({
+      sql: `
+        SELECT m.rowid AS rowNumber, m.*, c.name AS channelName
+        FROM messages m
+        LEFT JOIN channels c ON c.id = m.channelId
+        WHERE m.rowid > ?
+        ORDER BY m.rowid
+        LIMIT ?
+      `,
+      params: [lastRow ? lastRow.rowNumber : 0, pageSize]
+    }), async (row) => {
+      await writeToStream(stream, JSON.stringify(formatMessageRecord(row)) + '\n');
+      messageCount++;
+
+      if (options.onProgress && messageCount % PROGRESS_INTERVAL === 0) {
+        await options.onProgress(messageCount);
+      }
+    }, EXPORT_PAGE_SIZE);
+  } finally {
+    await closeStream(stream);
+  }
+
+  return { messageCount, filePath };
+}
+
+/**
+ * Handle the !exportguild process command
+ * @param {Message} message - The Discord message that triggered the command
+ */
+async function processNDJSON(message) {
+  // Verify the user has administrator permissions
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
+  if (!db || !fs.existsSync(dbPath)) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  const statusMessage = await message.channel.send(
+    `NDJSON Export Status\n` +
+    `🔄 Streaming messages from \`${path.basename(dbPath)}\`...`
+  );
+
+  const startTime = Date.now();
+  const filePath = buildExportFilePath(dbPath, 'messages', 'ndjson');
+
+  try {
+    const result = await exportMessagesToNDJSON(db, filePath, {
+      onProgress: async (count) => {
+        try {
+          await statusMessage.edit(
+            `NDJSON Export Status\n` +
+            `🔄 Written ${count.toLocaleString()} messages so far...`
+          );
+        } catch (editError) {
+          console.error('Error updating NDJSON status message:', editError);
+        }
+      }
+    });
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const fileSize = fs.statSync(result.filePath).size;
+    console.log(`NDJSON export complete: ${result.messageCount} messages written to ${result.filePath} in ${duration}s`);
+
+    await deliverExportFiles(message, statusMessage, [result.filePath],
+      `NDJSON Export Status\n` +
+      `✅ Exported ${result.messageCount.toLocaleString()} messages in ${duration}s\n` +
+      `📄 File: \`${path.basename(result.filePath)}\` (${formatFileSize(fileSize)})`
+    );
+  } catch (error) {
+    console.error('Error during NDJSON export:', error);
+    await statusMessage.edit(`NDJSON Export Status\n❌ Export failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  processNDJSON,
+  exportMessagesToNDJSON,
+  formatMessageRecord
+};
@@ -0,0 +1,214 @@
+// reaction-tracker.js - Track who reacted to archived messages and when
+const monitor = require('./monitor');
+const { getFormattedDateTime, dbAll, dbRun } = require('./utils');
+
+/**
+ * Key identifying an emoji: the ID for custom emoji, the characters for unicode emoji
+ * @param {Emoji} emoji - Reaction emoji
+ * @returns {string}
+ */
+function getEmojiKey(emoji) {
+  return emoji.id || emoji.name;
+}
+
+/**
+ * Refresh the reactionsJson snapshot of a stored message from the cached reaction counts
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Message} message - The reacted message
+ */
+async function updateReactionSnapshot(db, message) {
+  // Partial messages do not carry reliable reaction counts
+  if (message.partial) return;
+
+  const reactionsJson = JSON.stringify(monitor.extractMessageMetadata(message).reactions);
+
+  for (const table of ['message_wal', 'messages']) {
+    await dbRun(db, `UPDATE ${table} SET reactionsJson = ? WHERE id = ?`, [reactionsJson, message.id]);
+  }
+}
+
+/**
+ * Record a user adding a reaction
+ * @param {MessageReaction} reaction - The reaction
+ * @param {User} user - The reacting user
+ */
+async function recordReactionAdd(reaction, user) {
+  const db = monitor.getDatabase(reaction.message.guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  await dbRun(db, `
+    INSERT OR IGNORE INTO message_reactions
+    (messageId, channelId, emojiKey, emojiId, emojiName, emojiAnimated, userId, addedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    reaction.message.id,
+    reaction.message.channelId,
+    getEmojiKey(reaction.emoji),
+    reaction.emoji.id || null,
+    reaction.emoji.name,
+    reaction.emoji.animated ? 1 : 0,
+    user.id,
+    Date.now()
+  ]);
+
+  await updateReactionSnapshot(db, reaction.message);
+}
+
+/**
+ * Record a user removing a reaction
+ * @param {MessageReaction} reaction - The reaction
+ * @param {User} user - The user whose reaction was removed
+ */
+async function recordReactionRemove(reaction, user) {
+  const db = monitor.getDatabase(reaction.message.guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  await dbRun(db, `
+    UPDATE message_reactions SET removedAt = ?
+    WHERE messageId = ? AND emojiKey = ? AND userId = ? AND removedAt IS NULL
+  `, [Date.now(), reaction.message.id, getEmojiKey(reaction.emoji), user.id]);
+
+  await updateReactionSnapshot(db, reaction.message);
+}
+
+/**
+ * Record all reactions (or all reactions of one emoji) being cleared from a message
+ * @param {Message} message - The message
+ * @param {Emoji|null} emoji - Only clear this emoji, or null for every emoji
+ * @returns {Promise<number>} Number of reactions closed
+ */
+async function recordReactionsCleared(message, emoji = null) {
+  const db = monitor.getDatabase(message.guildId);
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  const result = emoji
+    ? await dbRun(db, `
+        UPDATE message_reactions SET removedAt = ?
+        WHERE messageId = ? AND emojiKey = ? AND removedAt IS NULL
+      `, [Date.now(), message.id, getEmojiKey(emoji)])
+    : await dbRun(db, `
+        UPDATE message_reactions SET removedAt = ?
+        WHERE messageId = ? AND removedAt IS NULL
+      `, [Date.now(), message.id]);
+
+  if (emoji) {
+    await updateReactionSnapshot(db, message);
+  } else {
+    for (const table of ['message_wal', 'messages']) {
+      await dbRun(db, `UPDATE ${table} SET reactionsJson = '[]' WHERE id = ?`, [message.id]);
+    }
+  }
+  return result.changes;
+}
+
+/**
+ * Get the reaction history of a message, oldest first
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {string} messageId - Message ID
+ * @param {boolean} activeOnly - Only return reactions that have not been removed
+ * @returns {Promise<Array>} Reaction rows
+ */
+function getMessageReactions(db, messageId, activeOnly = false) {
+  return dbAll(db, `
+    SELECT * FROM message_reactions
+    WHERE messageId = ?${activeOnly ? ' AND removedAt IS NULL' : ''}
+    ORDER BY addedAt, id
+  `, [messageId]);
+}
+
+/**
+ * Resolve partial reactions and check the reaction belongs to a monitored channel
+ * @param {MessageReaction} reaction - The reaction
+ * @param {Set<string>} initializedGuilds - Guilds that have a database ready
+ * @param {boolean} fetchPartial - Fetch partial reactions (not possible once the last one was removed)
+ * @returns {Promise<MessageReaction|null>} The reaction, or null when it should be ignored
+ */
+async function resolveTrackedReaction(reaction, initializedGuilds, fetchPartial = true) {
+  const message = reaction.message;
+  if (!message.guildId || !initializedGuilds.has(message.guildId)) return null;
+  if (!monitor.shouldMonitorChannel(message.guildId, message.channelId, message.channel)) return null;
+  if (!fetchPartial) return reaction;
+
+  // Reactions on messages sent before the bot started arrive as partials
+  if (reaction.partial) {
+    reaction = await reaction.fetch();
+  }
+  if (reaction.message.partial) {
+    await reaction.message.fetch();
+  }
+
+  return reaction;
+}
+
+/**
+ * Listen for reaction events on monitored channels
+ * @param {Client} client - The Discord client
+ * @param {Set<string>} initializedGuilds - Guilds that have a database ready
+ */
+function initializeReactionTracking(client, initializedGuilds) {
+  console.log(`[${getFormattedDateTime()}] Reaction tracking initialized`);
+
+  client.on('messageReactionAdd', async (reaction, user) => {
+    try {
+      if (user.bot) return;
+      const tracked = await resolveTrackedReaction(reaction, initializedGuilds);
+      if (!tracked) return;
+
+      await recordReactionAdd(tracked, user);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error recording reaction on message ${reaction.message.id}:`, error);
+    }
+  });
+
+  client.on('messageReactionRemove', async (reaction, user) => {
+    try {
+      if (user.bot) return;
+      // The message, channel and emoji are known even when the reaction is partial
+      const tracked = await resolveTrackedReaction(reaction, initializedGuilds, false);
+      if (!tracked) return;
+
+      await recordReactionRemove(tracked, user);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error recording reaction removal on message ${reaction.message.id}:`, error);
+    }
+  });
+
+  client.on('messageReactionRemoveAll', async (message) => {
+    try {
+      if (!message.guildId || !initializedGuilds.has(message.guildId)) return;
+      if (!monitor.shouldMonitorChannel(message.guildId, message.channelId, message.channel)) return;
+
+      const cleared = await recordReactionsCleared(message);
+      console.log(`[${getFormattedDateTime()}] All reactions cleared from message ${message.id} (${cleared} closed)`);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error recording cleared reactions on message ${message.id}:`, error);
+    }
+  });
+
+  client.on('messageReactionRemoveEmoji', async (reaction) => {
+    try {
+      const message = reaction.message;
+      if (!message.guildId || !initializedGuilds.has(message.guildId)) return;
+      if (!monitor.shouldMonitorChannel(message.guildId, message.channelId, message.channel)) return;
+
+      const cleared = await recordReactionsCleared(message, reaction.emoji);
+      console.log(`[${getFormattedDateTime()}] Reactions with ${reaction.emoji.name} cleared from message ${message.id} (${cleared} closed)`);
+    } catch (error) {
+      console.error(`[${getFormattedDateTime()}] Error recording cleared emoji on message ${reaction.message.id}:`, error);
+    }
+  });
+}
+
+module.exports = {
+  initializeReactionTracking,
+  recordReactionAdd,
+  recordReactionRemove,
+  recordReactionsCleared,
+  getMessageReactions
+};
@@ -0,0 +1,323 @@
+// search.js - Full-text search over archived messages (!search)
+const {
+  PermissionFlagsBits,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType
+} = require('discord.js');
+const monitor = require('./monitor');
+const { parseChannelReference, parseRangeDate, dbAll, dbGet } = require('./utils');
+
+// Results per page; keeps a full page well under Discord's 2000 character limit
+const SEARCH_PAGE_SIZE = 5;
+
+// How long the page buttons keep working after the last use
+const SEARCH_PAGINATION_TIMEOUT = 5 * 60 * 1000;
+
+// Longest snippet shown for a single result
+const SNIPPET_MAX_LENGTH = 200;
+
+const SEARCH_USAGE = 'Usage: `!search <query> [from:@user] [in:#channel] [before:YYYY-MM-DD] [after:YYYY-MM-DD]`';
+
+/**
+ * Split the text after !search into tokens, keeping "quoted phrases" together
+ * @param {string} text - Raw command text without the command name
+ * @returns {Array<{value: string, quoted: boolean}>}
+ */
+function tokenizeSearchText(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ value: match[1], quoted: true });
+    } else {
+      tokens.push({ value: match[2], quoted: false });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse the query and filters of !search
+ * @param {string} text - Raw command text without the command name
+ * @returns {Object} { terms, authorId, authorName, channelId, before, after }
+ */
+function parseSearchQuery(text) {
+  const query = {
+    terms: [],
+    authorId: null,
+    authorName: null,
+    channelId: null,
+    before: null,
+    after: null
+  };
+
+  for (const token of tokenizeSearchText(text)) {
+    const filter = token.quoted ? null : token.value.match(/^(from|in|before|after):(.+)$/i);
+    if (!filter) {
+      if (token.value.trim()) {
+        query.terms.push(token);
+      }
+      continue;
+    }
+
+    const [, name, value] = filter;
+    switch (name.toLowerCase()) {
+      case 'from': {
+        const mention = value.match(/^<@!?(\d+)>$/) || value.match(/^(\d+)$/);
+        if (mention) {
+          query.authorId = mention[1];
+        } else {
+          query.authorName = value.replace(/^@/, '');
+        }
+        break;
+      }
+      case 'in':
+        query.channelId = parseChannelReference(value);
+        if (!query.channelId) {
+          throw new Error(`Unknown channel "${value}"`);
+        }
+        break;
+      case 'before':
+        // Messages sent before the given day
+        query.before = parseRangeDate(value, false);
+        break;
+      case 'after':
+        // Messages sent after the given day
+        query.after = parseRangeDate(value, true);
+        break;
+    }
+  }
+
+  if (query.terms.length === 0) {
+    throw new Error('Please provide something to search for.');
+  }
+
+  return query;
+}
+
+/**
+ * Build an FTS5 MATCH expression. Every word or phrase is quoted so user input
+ * cannot break the query syntax; a trailing * on a word searches by prefix.
+ * @param {Array<{value: string, quoted: boolean}>} terms - Search terms
+ * @returns {string}
+ */
+function buildMatchExpression(terms) {
+  return terms.map(term => {
+    const prefix = !term.quoted && term.value.length > 1 && term.value.endsWith('*');
+    const value = prefix ? term.value.slice(0, -1) : term.value;
+    return `"${value.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+  }).join(' ');
+}
+
+/**
+ * Build the FROM/WHERE clause shared by the result and count queries
+ * @param {Object} query - Parsed search query
+ * @returns {{sql: string, params: Array}}
+ */
+function buildSearchClause(query) {
+  const conditions = ['messages_fts MATCH ?'];
+  const params = [buildMatchExpression(query.terms)];
+
+  if (query.authorId) {
+    conditions.push('m.authorId = ?');
+    params.push(query.authorId);
+  }
+  if (query.authorName) {
+    conditions.push('m.authorUsername = ? COLLATE NOCASE');
+    params.push(query.authorName);
+  }
+  if (query.channelId) {
+    conditions.push('m.channelId = ?');
+    params.push(query.channelId);
+  }
+  if (query.before !== null) {
+    conditions.push('m.timestamp < ?');
+    params.push(query.before);
+  }
+  if (query.after !== null) {
+    conditions.push('m.timestamp >= ?');
+    params.push(query.after);
+  }
+
+  return {
+    sql: `
+      FROM messages_fts
+      JOIN messages m ON m.id = CAST(messages_fts.rowid AS TEXT)
+      WHERE ${conditions.join(' AND ')}
+    `,
+    params
+  };
+}
+
+/**
+ * Search archived messages, newest first
+ * @param {sqlite3.Database} db - Guild database connection
+ * @param {Object} query - Parsed search query
+ * @param {number} page - Zero-based page number
+ * @param {number} pageSize - Results per page
+ * @returns {Promise<{total: number, results: Array}>}
+ */
+async function searchMessages(db, query, page = 0, pageSize = SEARCH_PAGE_SIZE) {
+  const clause = buildSearchClause(query);
+
+  const countRow = await dbGet(db, `SELECT COUNT(*) AS total ${clause.sql}`, clause.params);
+  const results = await dbAll(db, `
+    SELECT m.id, m.channelId, m.authorId, m.authorUsername, m.timestamp, m.deleted,
+           snippet(messages_fts, 0, '**', '**', '…', 24) AS snippet
+    ${clause.sql}
+    ORDER BY m.timestamp DESC
+    LIMIT ? OFFSET ?
+  `, [...clause.params, pageSize, page * pageSize]);
+
+  return { total: countRow ? countRow.total : 0, results };
+}
+
+/**
+ * Format one page of search results
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} page - Result of searchMessages
+ * @param {number} pageNumber - Zero-based page number
+ * @returns {string}
+ */
+function formatResultsPage(guild, page, pageNumber) {
+  const pageCount = Math.max(1, Math.ceil(page.total / SEARCH_PAGE_SIZE));
+  let content = `🔎 ${page.total.toLocaleString()} result(s) — page ${pageNumber + 1}/${pageCount}\n\n`;
+
+  page.results.forEach((result, index) => {
+    let snippet = (result.snippet || '').replace(/\s+/g, ' ').trim();
+    if (snippet.length > SNIPPET_MAX_LENGTH) {
+      snippet = `${snippet.substring(0, SNIPPET_MAX_LENGTH)}…`;
+    }
+
+    const number = pageNumber * SEARCH_PAGE_SIZE + index + 1;
+    const sentAt = Math.floor(result.timestamp / 1000);
+    const jumpUrl = `https://discord.com/channels/${guild.id}/${result.channelId}/${result.id}`;
+
+    content += `**${number}.** <t:${sentAt}:d> **${result.authorUsername || result.authorId}** in <#${result.channelId}>` +
+      `${result.deleted ? ' 🗑️ (deleted)' : ''}\n` +
+      `${snippet}\n` +
+      `[Jump to message](<${jumpUrl}>)\n\n`;
+  });
+
+  return content.trim();
+}
+
+/**
+ * Build the previous/next buttons for a results page
+ * @param {number} pageNumber - Zero-based page number
+ * @param {number} total - Total number of results
+ * @param {boolean} disabled - Disable both buttons (pagination expired)
+ * @returns {ActionRowBuilder[]}
+ */
+function buildPageButtons(pageNumber, total, disabled = false) {
+  const pageCount = Math.ceil(total / SEARCH_PAGE_SIZE);
+  if (pageCount <= 1) {
+    return [];
+  }
+
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('search_prev')
+        .setLabel('◀ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled || pageNumber === 0),
+      new ButtonBuilder()
+        .setCustomId('search_next')
+        .setLabel('Next ▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled || pageNumber >= pageCount - 1)
+    )
+  ];
+}
+
+/**
+ * Handle !search <query> [from:@user] [in:#channel] [before:date] [after:date]
+ * @param {Message} message - The command message
+ */
+async function handleSearchCommand(message) {
+  // Archived messages include deleted content, so searching is limited to administrators
+  if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return message.reply('You need administrator permissions to use this command.');
+  }
+
+  let query;
+  try {
+    query = parseSearchQuery(message.content.trim().replace(/^\S+\s*/, ''));
+  } catch (parseError) {
+    return message.reply(`${parseError.message}\n${SEARCH_USAGE}`);
+  }
+
+  const db = monitor.getDatabase(message.guild.id);
+  if (!db) {
+    return message.reply('No database available. Please run !exportguild first to set up the database.');
+  }
+
+  let pageNumber = 0;
+  let page;
+  try {
+    page = await searchMessages(db, query, pageNumber);
+  } catch (searchError) {
+    // FTS5 rejects some inputs (for example a query made only of punctuation)
+    console.error('Error searching messages:', searchError);
+    return message.reply(`Search failed: ${searchError.message}`);
+  }
+
+  if (page.total === 0) {
+    return message.reply('No archived messages matched your search.');
+  }
+
+  // Snippets can contain mentions; never ping anyone from search results
+  const reply = await message.reply({
+    content: formatResultsPage(message.guild, page, pageNumber),
+    components: buildPageButtons(pageNumber, page.total),
+    allowedMentions: { parse: [], repliedUser: false }
+  });
+
+  if (page.total <= SEARCH_PAGE_SIZE) {
+    return;
+  }
+
+  const collector = reply.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    idle: SEARCH_PAGINATION_TIMEOUT
+  });
+
+  collector.on('collect', async (interaction) => {
+    if (interaction.user.id !== message.author.id) {
+      await interaction.reply({ content: 'Only the person who ran this search can change pages.', ephemeral: true });
+      return;
+    }
+
+    try {
+      pageNumber += interaction.customId === 'search_next' ? 1 : -1;
+      pageNumber = Math.max(0, pageNumber);
+      page = await searchMessages(db, query, pageNumber);
+
+      await interaction.update({
+        content: formatResultsPage(message.guild, page, pageNumber),
+        components: buildPageButtons(pageNumber, page.total),
+        allowedMentions: { parse: [] }
+      });
+    } catch (pageError) {
+      console.error('Error changing search results page:', pageError);
+    }
+  });
+
+  collector.on('end', async () => {
+    try {
+      await reply.edit({ components: buildPageButtons(pageNumber, page.total, true) });
+    } catch (editError) {
+      // The reply may have been deleted in the meantime
+    }
+  });
+}
+
+module.exports = {
+  handleSearchCommand,
+  searchMessages,
+  parseSearchQuery
+};
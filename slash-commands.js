@@ -0,0 +1,375 @@
+// slash-commands.js - Slash command definitions routed through the prefix command handlers
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { GUILD_SETTINGS } = require('./guild-config');
+const { getFormattedDateTime } = require('./utils');
+
+// Channel types that can hold archived messages
+const MESSAGE_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildVoice,
+  ChannelType.GuildForum,
+  ChannelType.PublicThread,
+  ChannelType.PrivateThread,
+  ChannelType.AnnouncementThread
+];
+
+// Commands whose output is only shown to the person who ran them.
+// Exports and vacuums run longer than an interaction token lives (15 minutes),
+// so they keep posting their progress in the channel like the prefix commands.
+const EPHEMERAL_COMMANDS = new Set(['ex', 'config', 'channellist', 'search', 'messagestats', 'memberstats']);
+
+// Actions of /ex pattern, /ex type and /ex only
+const ruleActionOption = option => option
+  .setName('action')
+  .setDescription('What to do with the rule list')
+  .setRequired(true)
+  .addChoices(
+    { name: 'Add', value: 'add' },
+    { name: 'Remove', value: 'remove' },
+    { name: 'Clear', value: 'clear' }
+  );
+
+// Setting names offered by /config
+const settingOption = option => option
+  .setName('setting')
+  .setDescription('Setting name')
+  .setRequired(true)
+  .addChoices(...Object.keys(GUILD_SETTINGS).map(key => ({ name: key, value: key })));
+
+const SLASH_COMMANDS = [
+  new SlashCommandBuilder()
+    .setName('ex')
+    .setDescription('Manage channels excluded from export and monitoring')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('List excluded channels'))
+    .addSubcommand(subcommand => subcommand
+      .setName('add')
+      .setDescription('Exclude a channel')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to exclude')
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('remove')
+      .setDescription('Stop excluding a channel')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to include again')
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('pattern')
+      .setDescription('Exclude channels by name, e.g. ticket-* or /^staff/i')
+      .addStringOption(ruleActionOption)
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('Name globs or /regexes/, separated by spaces')))
+    .addSubcommand(subcommand => subcommand
+      .setName('type')
+      .setDescription('Exclude channels by type')
+      .addStringOption(ruleActionOption)
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('Channel types: text, announcement, voice, stage, forum, media, thread, private-thread')))
+    .addSubcommand(subcommand => subcommand
+      .setName('only')
+      .setDescription('Only export and monitor these channels and categories')
+      .addStringOption(ruleActionOption)
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('Channel or category mentions or IDs, separated by spaces')))
+    .addSubcommand(subcommand => subcommand
+      .setName('check')
+      .setDescription('Show whether a channel is excluded, and why')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to check')
+        .setRequired(true))),
+
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View or change bot settings for this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('Show every setting'))
+    .addSubcommand(subcommand => subcommand
+      .setName('get')
+      .setDescription('Show one setting')
+      .addStringOption(settingOption))
+    .addSubcommand(subcommand => subcommand
+      .setName('set')
+      .setDescription('Override a setting for this server')
+      .addStringOption(settingOption)
+      .addStringOption(option => option
+        .setName('value')
+        .setDescription('New value; channels as mentions or IDs, "none" to clear')
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('reset')
+      .setDescription('Go back to the default value')
+      .addStringOption(settingOption)),
+
+  new SlashCommandBuilder()
+    .setName('channellist')
+    .setDescription('List channels and how many messages each one has archived')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .setDMPermission(false),
+
+  new SlashCommandBuilder()
+    .setName('exportguild')
+    .setDescription('Export the guild to the database or write export files')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option => option
+      .setName('mode')
+      .setDescription('What to do (default: export messages into the database)')
+      .addChoices(
+        { name: 'Export messages', value: 'export' },
+        { name: 'Estimate export size (dry run)', value: 'estimate' },
+        { name: 'Process NDJSON data', value: 'process' },
+        { name: 'HTML transcript', value: 'html' },
+        { name: 'CSV tables', value: 'csv' },
+        { name: 'DiscordChatExporter JSON', value: 'dce' },
+        { name: 'Pause the running export', value: 'pause' },
+        { name: 'Resume the paused export', value: 'resume' },
+        { name: 'Cancel the running export', value: 'cancel' },
+        { name: 'Export history', value: 'history' }
+      ))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Only this channel (required for HTML transcripts)')
+      .addChannelTypes(...MESSAGE_CHANNEL_TYPES))
+    .addChannelOption(option => option
+      .setName('category')
+      .setDescription('Only channels in this category')
+      .addChannelTypes(ChannelType.GuildCategory))
+    .addStringOption(option => option
+      .setName('from')
+      .setDescription('Only messages sent on or after this date (YYYY-MM-DD)'))
+    .addStringOption(option => option
+      .setName('to')
+      .setDescription('Only messages sent on or before this date (YYYY-MM-DD)'))
+    .addStringOption(option => option
+      .setName('tables')
+      .setDescription('CSV only: tables to export, separated by spaces'))
+    .addBooleanOption(option => option
+      .setName('flatten')
+      .setDescription('CSV only: flatten JSON columns')),
+
+  new SlashCommandBuilder()
+    .setName('search')
+    .setDescription('Search archived messages')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption(option => option
+      .setName('query')
+      .setDescription('Words to find; supports from:@user in:#channel before:YYYY-MM-DD after:YYYY-MM-DD')
+      .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('vacuum')
+    .setDescription('Reclaim unused space in the guild database')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false),
+
+  new SlashCommandBuilder()
+    .setName('messagestats')
+    .setDescription('Message activity statistics')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addIntegerOption(option => option
+      .setName('days')
+      .setDescription('Number of days to include (default 30)')
+      .setMinValue(1))
+    .addStringOption(option => option
+      .setName('from')
+      .setDescription('Start date (YYYY-MM-DD)'))
+    .addStringOption(option => option
+      .setName('to')
+      .setDescription('End date (YYYY-MM-DD)'))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Only this channel')
+      .addChannelTypes(...MESSAGE_CHANNEL_TYPES))
+    .addBooleanOption(option => option
+      .setName('all')
+      .setDescription('Include all archived messages')),
+
+  new SlashCommandBuilder()
+    .setName('memberstats')
+    .setDescription('Member statistics with join/leave trends and role churn')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addIntegerOption(option => option
+      .setName('days')
+      .setDescription('Number of days for trends and role churn (default 90)')
+      .setMinValue(1))
+];
+
+/**
+ * Translate a slash command into the arguments of the equivalent prefix command
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @returns {string[]} Arguments as the prefix handlers receive them, starting with the command name
+ */
+function buildCommandArgs(interaction) {
+  const options = interaction.options;
+  const args = [`!${interaction.commandName}`];
+  const channelMention = name => {
+    const channel = options.getChannel(name);
+    return channel ? `<#${channel.id}>` : null;
+  };
+
+  switch (interaction.commandName) {
+    case 'ex': {
+      const subcommand = options.getSubcommand();
+      args.push(subcommand);
+      if (['add', 'remove', 'check'].includes(subcommand)) {
+        args.push(channelMention('channel'));
+      } else if (subcommand !== 'list') {
+        args.push(options.getString('action'));
+        args.push(...(options.getString('value') || '').trim().split(/\s+/).filter(Boolean));
+      }
+      break;
+    }
+
+    case 'config':
+      args.push(options.getSubcommand());
+      if (options.getSubcommand() !== 'list') {
+        args.push(options.getString('setting'));
+      }
+      if (options.getSubcommand() === 'set') {
+        args.push(...options.getString('value').trim().split(/\s+/));
+      }
+      break;
+
+    case 'exportguild': {
+      const mode = options.getString('mode') || 'export';
+      const channel = channelMention('channel');
+      args.push(mode);
+
+      if (mode === 'export' || mode === 'estimate') {
+        if (options.getString('from')) args.push('--from', options.getString('from'));
+        if (options.getString('to')) args.push('--to', options.getString('to'));
+        if (channel) args.push('--channels', channel);
+        if (options.getChannel('category')) args.push('--category', options.getChannel('category').id);
+      } else if (mode === 'html' || mode === 'dce') {
+        if (channel) args.push(channel);
+      } else if (mode === 'csv') {
+        const tables = (options.getString('tables') || '').split(/[\s,]+/).filter(Boolean);
+        args.push(...tables);
+        if (options.getBoolean('flatten')) args.push('--flatten');
+      }
+      break;
+    }
+
+    case 'search':
+      args.push(...options.getString('query').trim().split(/\s+/));
+      break;
+
+    case 'messagestats':
+      if (options.getInteger('days')) args.push('--days', String(options.getInteger('days')));
+      if (options.getString('from')) args.push('--from', options.getString('from'));
+      if (options.getString('to')) args.push('--to', options.getString('to'));
+      if (options.getChannel('channel')) args.push('--channel', channelMention('channel'));
+      if (options.getBoolean('all')) args.push('--all');
+      break;
+
+    case 'memberstats':
+      if (options.getInteger('days')) args.push('--days', String(options.getInteger('days')));
+      break;
+  }
+
+  return args;
+}
+
+/**
+ * Normalise the argument of send/reply/edit to an options object
+ * @param {string|Object} payload - Message content or options
+ * @returns {Object}
+ */
+function toMessageOptions(payload) {
+  return typeof payload === 'string' ? { content: payload } : { ...payload };
+}
+
+/**
+ * Wrap a slash command interaction in the parts of the Message API the prefix handlers use,
+ * so the same handlers serve both. Ephemeral commands answer through the interaction;
+ * the rest acknowledge the command and then post in the channel.
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {string[]} args - Arguments from buildCommandArgs
+ * @returns {Promise<Object>} Message-like object with a finish() method to call once the handler returns
+ */
+async function createInteractionMessage(interaction, args) {
+  const ephemeral = EPHEMERAL_COMMANDS.has(interaction.commandName);
+  let responded = false;
+
+  // Replies sent through the interaction are edited through it as well; ephemeral
+  // messages cannot be edited with Message#edit
+  const wrapReply = (sent, reference) => {
+    const wrapped = Object.create(sent);
+    wrapped.edit = payload => interaction.editReply({ ...toMessageOptions(payload), message: reference });
+    return wrapped;
+  };
+
+  let send;
+  if (ephemeral) {
+    await interaction.deferReply({ ephemeral: true });
+    send = async payload => {
+      if (!responded) {
+        responded = true;
+        return wrapReply(await interaction.editReply(toMessageOptions(payload)), '@original');
+      }
+      const sent = await interaction.followUp({ ...toMessageOptions(payload), ephemeral: true });
+      return wrapReply(sent, sent.id);
+    };
+  } else {
+    await interaction.reply({
+      content: `▶️ \`/${interaction.commandName}\` started by ${interaction.user}`,
+      allowedMentions: { parse: [] }
+    });
+    responded = true;
+    send = payload => interaction.channel.send(payload);
+  }
+
+  return {
+    id: interaction.id,
+    client: interaction.client,
+    guild: interaction.guild,
+    guildId: interaction.guildId,
+    // Uncached members arrive as raw API data, which only has a permission bitfield string
+    member: interaction.inCachedGuild() ? interaction.member : { permissions: interaction.memberPermissions },
+    author: interaction.user,
+    channelId: interaction.channelId,
+    channel: { id: interaction.channelId, send },
+    content: args.join(' '),
+    reply: send,
+    // The deferred reply would otherwise keep showing "thinking..." when a handler sends nothing
+    finish: async () => {
+      if (!responded) {
+        responded = true;
+        await interaction.editReply('✅ Done.');
+      }
+    }
+  };
+}
+
+/**
+ * Register the slash commands with Discord
+ * @param {Client} client - Discord client (must be ready)
+ */
+async function registerSlashCommands(client) {
+  await client.application.commands.set(SLASH_COMMANDS.map(command => command.toJSON()));
+  console.log(`[${getFormattedDateTime()}] Registered ${SLASH_COMMANDS.length} slash commands`);
+}
+
+module.exports = {
+  SLASH_COMMANDS,
+  buildCommandArgs,
+  createInteractionMessage,
+  registerSlashCommands
+};
@@ -3,6 +3,152 @@ function getFormattedDateTime() {
   return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-${String(now.getUTCDate()).padStart(2, '0')} ${String(now.getUTCHours()).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}:${String(now.getUTCSeconds()).padStart(2, '0')}`;
 }
 
+/**
+ * Resolve a channel mention, channel URL or raw ID to a channel ID
+ * @param {string} channelRef - Reference as typed by the user
+ * @returns {string|null} The channel ID, or null if the reference is not recognised
+ */
+function parseChannelReference(channelRef) {
+  if (!channelRef) return null;
+  let channelId = channelRef.trim();
+
+  // Handle channel mentions
+  if (channelId.startsWith('<#') && channelId.endsWith('>')) {
+    channelId = channelId.substring(2, channelId.length - 1);
+  }
+  // Handle URLs (https://discord.com/channels/<guild>/<channel>[/<message>])
+  else if (channelId.includes('/channels/')) {
+    const parts = channelId.split('/channels/')[1].split('/');
+    channelId = parts[1] || parts[0];
+  }
+
+  return /^\d+$/.test(channelId) ? channelId : null;
+}
+
+/**
+ * Parse a date typed in a command. Date-only values are UTC days; an end date includes the whole day.
+ * @param {string} value - Date as typed by the user
+ * @param {boolean} isEnd - Whether this is the end of the range
+ * @returns {number} Unix time in milliseconds (exclusive when isEnd)
+ */
+function parseRangeDate(value, isEnd) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (!value || isNaN(time)) {
+    throw new Error(`Invalid date "${value || ''}". Use YYYY-MM-DD or an ISO 8601 date and time.`);
+  }
+  return isEnd && dateOnly ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+/**
+ * Run a query and resolve with all result rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Result rows
+ */
+function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Run a query and resolve with the first result row
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object|null>} First row, or null when there is none
+ */
+function dbGet(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Run a statement and resolve with its change information
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<{changes: number, lastID: number}>}
+ */
+function dbRun(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+/**
+ * Split text into chunks that fit in a Discord message, breaking at line ends where possible
+ * @param {string} text - Text to split
+ * @param {number} limit - Maximum chunk length (Discord allows 2000 characters)
+ * @returns {string[]} Chunks in order
+ */
+function splitMessageContent(text, limit = 2000) {
+  const chunks = [];
+  let current = '';
+
+  for (const line of text.split('\n')) {
+    // Lines longer than the limit are hard-wrapped
+    const pieces = line.length > limit ? line.match(new RegExp(`[\\s\\S]{1,${limit}}`, 'g')) : [line];
+    for (const piece of pieces) {
+      const candidate = current ? `${current}\n${piece}` : piece;
+      if (candidate.length > limit) {
+        chunks.push(current);
+        current = piece;
+      } else {
+        current = candidate;
+      }
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Discord epoch (2015-01-01T00:00:00.000Z) used by snowflake IDs
+const DISCORD_EPOCH = 1420070400000n;
+
+/**
+ * Build the smallest snowflake ID for a point in time.
+ * Useful as a before/after bound when paginating messages by date.
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {string} Snowflake ID
+ */
+function snowflakeFromTimestamp(timestamp) {
+  const ms = BigInt(Math.max(0, Math.floor(timestamp))) - DISCORD_EPOCH;
+  return (ms > 0n ? ms << 22n : 0n).toString();
+}
+
+/**
+ * Read the creation time encoded in a snowflake ID
+ * @param {string} snowflake - Snowflake ID
+ * @returns {number} Unix time in milliseconds
+ */
+function timestampFromSnowflake(snowflake) {
+  return Number((BigInt(snowflake) >> 22n) + DISCORD_EPOCH);
+}
+
 module.exports = {
-  getFormattedDateTime
-};
\ No newline at end of file
+  getFormattedDateTime,
+  parseChannelReference,
+  parseRangeDate,
+  splitMessageContent,
+  snowflakeFromTimestamp,
+  timestampFromSnowflake,
+  dbAll,
+  dbGet,
+  dbRun
+};
@@ -38,7 +38,7 @@ function initializeAutoVacuum(client, options = {}) {
       for (const [guildId, guild] of client.guilds.cache) {
         try {
           // Check if we have a database for this guild
-          const dbPath = monitor.getCurrentDatabasePath();
+          const dbPath = monitor.getCurrentDatabasePath(guildId);
           if (!dbPath) {
             console.log(`No database found for guild ${guild.name}, skipping automatic vacuum`);
             continue;
@@ -13,11 +13,22 @@ function formatNumber(num) {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+// Remember the outcome in guild_metadata so /metrics can report it, also after a restart
+function recordVacuumResult(db, result, callback) {
+  db.run('INSERT OR REPLACE INTO guild_metadata (key, value) VALUES (?, ?)', ['last_vacuum', JSON.stringify(result)], (err) => {
+    if (err) {
+      console.error('Error recording vacuum result:', err);
+    }
+    callback();
+  });
+}
+
 async function vacuumDatabase(dbPath) {
   return new Promise((resolve, reject) => {
     // Get size before vacuum
     const sizeBefore = getFileSize(dbPath);
     const sizeBeforeMB = sizeBefore.toFixed(2);
+    const startedAt = Date.now();
     
     console.log(`Vacuuming database at ${dbPath} (current size: ${sizeBeforeMB} MB)`);
     
@@ -31,12 +42,12 @@ async function vacuumDatabase(dbPath) {
       
       // Run vacuum command
       db.run('VACUUM', function(err) {
-        // Close the database connection
-        db.close();
-        
         if (err) {
           console.error('Error vacuuming database:', err);
-          reject(err);
+          recordVacuumResult(db, { success: false, startedAt, finishedAt: Date.now(), error: err.message }, () => {
+            db.close();
+            reject(err);
+          });
           return;
         }
         
@@ -51,11 +62,23 @@ async function vacuumDatabase(dbPath) {
         
         console.log(`Vacuum complete: Before: ${sizeBeforeMB} MB, After: ${sizeAfterMB} MB, Saved: ${spaceSavedMB} MB (${percentSaved}%)`);
         
-        resolve({
-          sizeBefore: sizeBeforeMB,
-          sizeAfter: sizeAfterMB,
-          spaceSaved: spaceSavedMB,
-          percentSaved
+        const result = {
+          success: true,
+          startedAt,
+          finishedAt: Date.now(),
+          sizeBeforeBytes: Math.round(sizeBefore * 1024 * 1024),
+          sizeAfterBytes: Math.round(sizeAfter * 1024 * 1024)
+        };
+        
+        // Close the database connection once the result is stored
+        recordVacuumResult(db, result, () => {
+          db.close();
+          resolve({
+            sizeBefore: sizeBeforeMB,
+            sizeAfter: sizeAfterMB,
+            spaceSaved: spaceSavedMB,
+            percentSaved
+          });
         });
       });
     });
@@ -70,7 +93,7 @@ async function handleVacuumCommand(message, monitor) {
     }
     
     // Get current database path
-    const dbPath = monitor.getCurrentDatabasePath();
+    const dbPath = monitor.getCurrentDatabasePath(message.guild.id);
     if (!dbPath || !fs.existsSync(dbPath)) {
       return message.reply('❌ Database not found. Please run the export command first.');
     }
@@ -108,5 +131,6 @@ async function handleVacuumCommand(message, monitor) {
 }
 
 module.exports = {
-  handleVacuumCommand
-};
\ No newline at end of file
+  handleVacuumCommand,
+  vacuumDatabase
+};
\ No newline at end of file
@@ -1,64 +1,39 @@
 // wal-manager.js - Write-Ahead Log manager for Discord messages
 const config = require('./config');
-const sqlite3 = require('sqlite3').verbose();
-const { extractMessageMetadata } = require('./monitor');
+const { extractMessageMetadata, getDatabase } = require('./monitor');
+const { getGuildConfig } = require('./guild-config');
 
 // Global variables
-let db = null;
 let client = null;
 let walCheckInterval = null;
+const walGuilds = new Set(); // IDs of guilds whose WAL is being processed
+
+// Timing of the periodic WAL checks, reported by /metrics and /healthz
+const walCheckState = {
+  intervalMs: null,
+  startedAt: null,
+  lastRunAt: null,
+  guilds: new Map() // guildId -> { checks, totalMs, lastMs, lastCheckedAt }
+};
 
 /**
- * Initialize the WAL manager
+ * Initialize the WAL manager for a guild
  * @param {Discord.Client} discordClient - The Discord client instance
- * @param {sqlite3.Database} database - The SQLite database connection
+ * @param {string} guildId - The guild whose WAL should be processed
  */
-async function initialize(discordClient, database) {
+async function initialize(discordClient, guildId) {
+  // The message_wal table itself is created by the schema migrations
+  if (!getDatabase(guildId)) {
+    throw new Error(`Database not initialized for guild ${guildId}`);
+  }
   // Store references
-  db = database;
   client = discordClient;
+  walGuilds.add(guildId);
   
-  // Create the WAL table if it doesn't exist - using the same structure as the messages table
-  // plus the processed flag
-  await new Promise((resolve, reject) => {
-    db.run(`
-  CREATE TABLE IF NOT EXISTS message_wal (
-      id TEXT PRIMARY KEY,
-      content TEXT,
-      authorId TEXT,
-      authorUsername TEXT,
-      authorBot INTEGER,
-      timestamp INTEGER,
-      createdAt TEXT,
-      channelId TEXT,
-      attachmentsJson TEXT,
-      embedsJson TEXT,
-      reactionsJson TEXT,
-      sticker_items TEXT,
-      edited_timestamp TEXT,
-      tts INTEGER,
-      mention_everyone INTEGER,
-      mentions TEXT,
-      mention_roles TEXT,
-      mention_channels TEXT,
-      type INTEGER,
-      message_reference TEXT,
-      flags INTEGER,
-      processed INTEGER DEFAULT 0
-  )
-`, (err) => {
-  if (err) {
-    console.error('Error creating WAL table:', err);
-    reject(err);
-  } else {
-    console.log('WAL table ready');
-    resolve();
+  // Start periodic checking of WAL entries (once, shared by all guilds)
+  if (!walCheckInterval) {
+    startWalChecking();
   }
-});
-  });
-  
-  // Start periodic checking of WAL entries
-  startWalChecking();
   
   return true;
 }
@@ -75,27 +50,58 @@ function startWalChecking() {
   // Get the check interval from config with default fallback
   const checkInterval = config.walCheckInterval || 60000;
   
+  walCheckState.intervalMs = checkInterval;
+  walCheckState.startedAt = Date.now();
+  
   // Start new interval
-  walCheckInterval = setInterval(() => {
-    checkWalEntries().catch(err => {
-      console.error('Error checking WAL entries:', err);
-    });
-    
-    // Also clean up old WAL entries
-    cleanupOldWalEntries().catch(err => {
-      console.error('Error cleaning up old WAL entries:', err);
-    });
+  walCheckInterval = setInterval(async () => {
+    for (const guildId of walGuilds) {
+      const checkStarted = Date.now();
+      await checkWalEntries(guildId).catch(err => {
+        console.error(`Error checking WAL entries for guild ${guildId}:`, err);
+      });
+      recordWalCheck(guildId, Date.now() - checkStarted);
+      
+      // Also clean up old WAL entries
+      await cleanupOldWalEntries(guildId).catch(err => {
+        console.error(`Error cleaning up old WAL entries for guild ${guildId}:`, err);
+      });
+    }
+    walCheckState.lastRunAt = Date.now();
   }, checkInterval);
   
   console.log(`WAL checker started with interval: ${checkInterval}ms`);
 }
 
+/**
+ * Record how long flushing a guild's WAL took
+ * @param {string} guildId - Guild ID
+ * @param {number} durationMs - Duration of checkWalEntries
+ */
+function recordWalCheck(guildId, durationMs) {
+  const stats = walCheckState.guilds.get(guildId) || { checks: 0, totalMs: 0, lastMs: 0, lastCheckedAt: null };
+  stats.checks++;
+  stats.totalMs += durationMs;
+  stats.lastMs = durationMs;
+  stats.lastCheckedAt = Date.now();
+  walCheckState.guilds.set(guildId, stats);
+}
+
+/**
+ * Timing of the periodic WAL checks
+ * @returns {Object} { intervalMs, startedAt, lastRunAt, guildCount, guilds: Map of guildId -> stats }
+ */
+function getWalCheckState() {
+  return { ...walCheckState, guildCount: walGuilds.size };
+}
+
 /**
  * Add a Discord message to the WAL
  * @param {Discord.Message} message - The Discord message to add
  */
 async function addMessage(message) {
-  // Return early if there's no database connection
+  // Return early if there's no database connection for the message's guild
+  const db = walGuilds.has(message.guildId) ? getDatabase(message.guildId) : null;
   if (!db) {
     console.error('Cannot add message to WAL: No database connection');
     return false;
@@ -164,9 +170,11 @@ async function addMessage(message) {
 
 /**
  * Check WAL entries for messages ready to be processed
+ * @param {string} guildId - The guild whose WAL is checked
  */
-async function checkWalEntries() {
+async function checkWalEntries(guildId) {
   // Return early if there's no database connection
+  const db = getDatabase(guildId);
   if (!db) {
     console.error('Cannot check WAL entries: No database connection');
     return false;
@@ -183,7 +191,7 @@ async function checkWalEntries() {
     // Log current time for reference
     const now = new Date();
     const currentTime = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-${String(now.getUTCDate()).padStart(2, '0')} ${String(now.getUTCHours()).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}:${String(now.getUTCSeconds()).padStart(2, '0')}`;
-    console.log(`WAL check at ${currentTime} (UTC), age threshold: ${new Date(ageThreshold).toISOString()}`);
+    console.log(`WAL check for guild ${guildId} at ${currentTime} (UTC), age threshold: ${new Date(ageThreshold).toISOString()}`);
     
     // Get entries ready to be processed (using message timestamp)
     const entriesToProcess = await new Promise((resolve, reject) => {
@@ -229,27 +237,27 @@ async function checkWalEntries() {
           continue;
         }
         
-        // Try to verify that the message still exists on Discord
-        let messageExists = false;
-        try {
-          // Get the channel from Discord
-          const channel = await client.channels.fetch(entry.channelId);
-          if (channel) {
-            // Try to fetch the message
-            const message = await channel.messages.fetch(entry.id);
-            // If we get here, the message exists
-            messageExists = !!message;
+        // Messages already known to be deleted are moved over as tombstones without asking Discord.
+        // Otherwise check the message still exists; if Discord says it is gone, record that too.
+        if (!entry.deleted) {
+          try {
+            const channel = await client.channels.fetch(entry.channelId);
+            if (channel) {
+              await channel.messages.fetch(entry.id);
+            }
+          } catch (discordErr) {
+            // 10008 = Unknown Message, 10003 = Unknown Channel
+            if (discordErr.code !== 10008 && discordErr.code !== 10003) {
+              throw discordErr; // Temporary failure - retry on the next check
+            }
+            console.log(`Message ${entry.id} no longer exists on Discord, storing it as a tombstone`);
+            entry.deleted = 1;
+            entry.deletedAt = Date.now();
           }
-        } catch (discordErr) {
-          console.log(`Message ${entry.id} no longer exists on Discord: ${discordErr.message}`);
-          // Message doesn't exist (or we can't fetch it)
-          messageExists = false;
         }
         
-        // Only insert into the messages table if the message still exists
-        if (messageExists) {
-          // Insert into messages table
-          await new Promise((resolve, reject) => {
+        // Insert into messages table
+        await new Promise((resolve, reject) => {
 db.run(`
   INSERT INTO messages (
     id, content, authorId, authorUsername, authorBot,
@@ -257,8 +265,9 @@ db.run(`
     attachmentsJson, embedsJson, reactionsJson, sticker_items,
     edited_timestamp, tts, mention_everyone, 
     mentions, mention_roles, mention_channels, 
-    type, message_reference, flags
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    type, message_reference, flags,
+    deleted, deletedAt, deleteBatchId
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `, [
   entry.id, 
   entry.content, 
@@ -280,20 +289,20 @@ db.run(`
   entry.mention_channels,
   entry.type,
   entry.message_reference,
-  entry.flags
+  entry.flags,
+  entry.deleted ? 1 : 0,
+  entry.deletedAt || null,
+  entry.deleteBatchId || null
 ], function(err) {
   if (err) {
     console.error(`Error inserting message ${entry.id} from WAL to main table:`, err);
     reject(err);
   } else {
-    console.log(`Successfully moved message ${entry.id} from WAL to main table`);
+    console.log(`Successfully moved ${entry.deleted ? 'deleted ' : ''}message ${entry.id} from WAL to main table`);
     resolve(this.lastID);
   }
 });
-          });
-        } else {
-          console.log(`Message ${entry.id} no longer exists, skipping database insertion`);
-        }
+        });
         
         // Note: We don't delete the WAL entry here - it will be cleaned up by the retention policy
         
@@ -319,9 +328,11 @@ db.run(`
 
 /**
  * Clean up old WAL entries based on retention time
+ * @param {string} guildId - The guild whose WAL is cleaned up
  */
-async function cleanupOldWalEntries() {
+async function cleanupOldWalEntries(guildId) {
   // Return early if there's no database connection
+  const db = getDatabase(guildId);
   if (!db) {
     console.error('Cannot clean up WAL entries: No database connection');
     return false;
@@ -329,16 +340,16 @@ async function cleanupOldWalEntries() {
   
   try {
     // Get the retention time from config or use default (7 days)
-    const walRetentionTime = config.walRetentionTime || 604800000; // 7 days in ms
+    const walRetentionTime = getGuildConfig(guildId, 'walRetentionTime') ?? 604800000; // 7 days in ms
     
     // Calculate cutoff timestamp - use the message's original timestamp for retention
     const cutoffTime = Date.now() - walRetentionTime;
     
-    console.log(`Cleaning up WAL entries older than ${new Date(cutoffTime).toISOString()}`);
+    console.log(`Cleaning up processed WAL entries older than ${new Date(cutoffTime).toISOString()}`);
     
     // First, count how many entries will be deleted
     const countToDelete = await new Promise((resolve, reject) => {
-      db.get(`SELECT COUNT(*) as count FROM message_wal WHERE timestamp < ?`, [cutoffTime], (err, row) => {
+      db.get(`SELECT COUNT(*) as count FROM message_wal WHERE timestamp < ? AND processed = 1`, [cutoffTime], (err, row) => {
         if (err) reject(err);
         else resolve(row?.count || 0);
       });
@@ -349,9 +360,9 @@ async function cleanupOldWalEntries() {
       return true;
     }
     
-    // Delete entries older than the retention period
+    // Delete processed entries older than the retention period; unprocessed ones still wait for checkWalEntries
     await new Promise((resolve, reject) => {
-      db.run(`DELETE FROM message_wal WHERE timestamp < ?`, [cutoffTime], function(err) {
+      db.run(`DELETE FROM message_wal WHERE timestamp < ? AND processed = 1`, [cutoffTime], function(err) {
         if (err) {
           console.error('Error deleting old WAL entries:', err);
           reject(err);
@@ -370,10 +381,12 @@ async function cleanupOldWalEntries() {
 }
 
 /**
- * Get statistics about the current WAL state
+ * Get statistics about the current WAL state of a guild
+ * @param {string} guildId - The guild whose WAL is inspected
  */
-async function getWalStats() {
+async function getWalStats(guildId) {
   // Return early if there's no database connection
+  const db = getDatabase(guildId);
   if (!db) {
     console.error('Cannot get WAL stats: No database connection');
     return null;
@@ -445,8 +458,8 @@ async function getWalStats() {
       newestAgeMs: newestAge,
       oldestAgeFormatted: oldestAge ? formatDuration(oldestAge) : null,
       newestAgeFormatted: newestAge ? formatDuration(newestAge) : null,
-      retentionTimeMs: config.walRetentionTime || 604800000,
-      retentionTimeFormatted: formatDuration(config.walRetentionTime || 604800000)
+      retentionTimeMs: getGuildConfig(guildId, 'walRetentionTime') ?? 604800000,
+      retentionTimeFormatted: formatDuration(getGuildConfig(guildId, 'walRetentionTime') ?? 604800000)
     };
     
   } catch (error) {
@@ -485,6 +498,7 @@ function shutdown() {
     clearInterval(walCheckInterval);
     walCheckInterval = null;
   }
+  walGuilds.clear();
   
   // Database connection will be closed by the main application
 }
@@ -496,5 +510,6 @@ module.exports = {
   checkWalEntries,
   cleanupOldWalEntries,
   getWalStats,
+  getWalCheckState,
   shutdown
-};
\ No newline at end of file
+};
\ No newline at end of file